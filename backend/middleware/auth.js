@@ -0,0 +1,60 @@
+const { verifyAccessToken } = require("../utils/tokens");
+const { hasPermission } = require("../utils/permissions");
+const { sendProblem } = require("../utils/problem");
+
+/**
+ * Require a valid "Authorization: Bearer <access token>" header.
+ * On success the token's identity is available as req.account.
+ */
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return sendProblem(res, 401, "Authentication required");
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    req.account = {
+      id: payload.sub,
+      email: payload.email,
+      role: payload.role,
+    };
+    next();
+  } catch (error) {
+    const message =
+      error.name === "TokenExpiredError"
+        ? "Access token expired"
+        : "Invalid access token";
+    sendProblem(res, 401, message);
+  }
+};
+
+/**
+ * Route guard that only lets through accounts whose role grants the
+ * given permission. Must run after authenticate.
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  const role = req.account && req.account.role;
+
+  if (!hasPermission(role, permission)) {
+    return sendProblem(
+      res,
+      403,
+      "You do not have permission to perform this action",
+      {
+        code: "FORBIDDEN",
+        requiredPermission: permission,
+        role: role || null,
+      }
+    );
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requirePermission,
+};
@@ -0,0 +1,22 @@
+const { sendProblem } = require("../utils/problem");
+const { isShuttingDown } = require("../utils/shutdown");
+
+// Probes keep answering while draining so orchestrators can see the state
+const PROBE_PATHS = ["/ready", "/alive"];
+
+/**
+ * Refuse new requests with 503 once the server is shutting down. Requests
+ * already running are left to finish.
+ */
+const refuseWhileDraining = (req, res, next) => {
+  if (!isShuttingDown() || PROBE_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  res.set("Connection", "close");
+  sendProblem(res, 503, "Server is shutting down", { code: "SHUTTING_DOWN" });
+};
+
+module.exports = {
+  refuseWhileDraining,
+};
@@ -0,0 +1,104 @@
+const { sendProblem } = require("../utils/problem");
+const { logger } = require("../utils/logger");
+
+/**
+ * Map a Mongoose ValidationError to field -> message
+ */
+const fieldErrors = (error) =>
+  Object.values(error.errors).reduce((errors, fieldError) => {
+    errors[fieldError.path] =
+      fieldError.name === "CastError"
+        ? `Must be a valid ${fieldError.kind.toLowerCase()}`
+        : fieldError.message;
+    return errors;
+  }, {});
+
+/**
+ * Translate an error into { status, detail, extensions }. Errors that are
+ * not recognised become a 500 without leaking their message.
+ */
+const toProblem = (error) => {
+  if (error.name === "ValidationError" && error.errors) {
+    return {
+      status: 422,
+      detail: "Some fields are invalid",
+      extensions: { code: "VALIDATION_FAILED", errors: fieldErrors(error) },
+    };
+  }
+
+  if (error.name === "CastError") {
+    // A malformed id can't match anything
+    if (error.path === "_id") {
+      const model = error.model ? error.model.modelName : "Resource";
+      return { status: 404, detail: `${model} not found`, extensions: {} };
+    }
+    return {
+      status: 400,
+      detail: `Invalid value for "${error.path}"`,
+      extensions: { code: "INVALID_VALUE" },
+    };
+  }
+
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return {
+      status: 409,
+      detail: `A record with this ${
+        fields.join(", ") || "value"
+      } already exists`,
+      extensions: {
+        code: "DUPLICATE_KEY",
+        errors: fields.reduce((errors, field) => {
+          errors[field] = `This ${field} is already in use`;
+          return errors;
+        }, {}),
+      },
+    };
+  }
+
+  // Errors with a status meant for clients: httpError(), body-parser
+  // (malformed JSON, body too large) and similar
+  const status = error.status || error.statusCode;
+  if (
+    Number.isInteger(status) &&
+    status >= 400 &&
+    (status < 500 || error.expose)
+  ) {
+    return {
+      status,
+      detail: error.message,
+      extensions: error.extensions || {},
+    };
+  }
+
+  return { status: 500, detail: "Internal Server Error", extensions: {} };
+};
+
+/**
+ * 404 for unknown API routes
+ */
+const notFound = (req, res) =>
+  sendProblem(res, 404, `Cannot ${req.method} ${req.originalUrl}`);
+
+/**
+ * Central error handler: routes pass errors to next() and they are answered
+ * here as problem+json
+ */
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    // Too late for an error body (e.g. mid-export); just drop the connection
+    return next(error);
+  }
+
+  const { status, detail, extensions } = toProblem(error);
+  if (status >= 500) {
+    logger.error("Unhandled error", { error });
+  }
+  sendProblem(res, status, detail, extensions);
+};
+
+module.exports = {
+  toProblem,
+  notFound,
+  errorHandler,
+};
@@ -0,0 +1,176 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { sendProblem } = require("../utils/problem");
+const { logger } = require("../utils/logger");
+
+const DEFAULT_TTL_HOURS = 24;
+// Node's default requestTimeout; a request running longer has been cut off
+const DEFAULT_LEASE_SECONDS = 300;
+// Printable ASCII without spaces, like the UUIDs clients usually send
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const getTtlMs = () => {
+  const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+  return (
+    (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) *
+    60 *
+    60 *
+    1000
+  );
+};
+
+// How long a key stays "processing" before it counts as abandoned, e.g. by a
+// server that crashed or was stopped mid-request
+const getLeaseMs = () =>
+  (parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || DEFAULT_LEASE_SECONDS) *
+  1000;
+
+/**
+ * Fingerprint of a request, to tell a retry from a different request that
+ * reuses the key
+ */
+const requestHash = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        req.method,
+        req.originalUrl,
+        req.body === undefined ? null : req.body,
+      ])
+    )
+    .digest("hex");
+
+/**
+ * Claim a key whose first request was abandoned while processing. Only one
+ * retry wins; it runs the request again under a fresh lease.
+ */
+const takeOver = (req, key, hash) =>
+  IdempotencyKey.findOneAndUpdate(
+    {
+      account: req.account.id,
+      key,
+      requestHash: hash,
+      status: "processing",
+      startedAt: { $lt: new Date(Date.now() - getLeaseMs()) },
+    },
+    {
+      startedAt: new Date(),
+      expiresAt: new Date(Date.now() + getTtlMs()),
+    },
+    { new: true }
+  );
+
+/**
+ * Answer a request whose key has been seen before: replay the stored
+ * response, or refuse if the key belongs to another request or the first
+ * one is still running
+ */
+const replay = async (req, res, key, hash) => {
+  const record = await IdempotencyKey.findOne({ account: req.account.id, key });
+
+  if (record && record.requestHash !== hash) {
+    return sendProblem(
+      res,
+      422,
+      "This Idempotency-Key was already used for a different request",
+      { code: "IDEMPOTENCY_KEY_REUSED" }
+    );
+  }
+
+  if (!record || record.status !== "completed") {
+    res.set("Retry-After", "1");
+    return sendProblem(
+      res,
+      409,
+      "A request with this Idempotency-Key is still being processed",
+      { code: "IDEMPOTENCY_KEY_IN_USE" }
+    );
+  }
+
+  const { statusCode, contentType, body } = record.response;
+  res.set("Idempotent-Replayed", "true");
+  return res.status(statusCode).type(contentType).send(body);
+};
+
+/**
+ * Make a write safe to retry. A request with an Idempotency-Key header is
+ * handled once; later requests with the same key and body get the stored
+ * response (with Idempotent-Replayed: true) for IDEMPOTENCY_KEY_TTL_HOURS.
+ * Server errors are not stored, so the request can be retried for real, and
+ * a key left processing for IDEMPOTENCY_LEASE_SECONDS is taken over by the
+ * next retry. Requests without the header are handled as usual. Needs
+ * authenticate.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) {
+    return next();
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return sendProblem(
+      res,
+      400,
+      "Idempotency-Key must be 1 to 255 printable ASCII characters",
+      { code: "INVALID_IDEMPOTENCY_KEY" }
+    );
+  }
+
+  const hash = requestHash(req);
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      account: req.account.id,
+      requestHash: hash,
+      startedAt: new Date(),
+      expiresAt: new Date(Date.now() + getTtlMs()),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+    try {
+      record = await takeOver(req, key, hash);
+      if (!record) {
+        return await replay(req, res, key, hash);
+      }
+    } catch (replayError) {
+      return next(replayError);
+    }
+    logger.warn("Took over an abandoned Idempotency-Key", { key });
+  }
+
+  // A request that outlived its lease and was taken over doesn't touch the
+  // key any more
+  const own = { _id: record._id, startedAt: record.startedAt };
+
+  // Store the response as soon as the route answers, so a retry that
+  // arrives after a dropped connection still finds it
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const stored =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne(own)
+        : IdempotencyKey.updateOne(own, {
+            status: "completed",
+            response: {
+              statusCode: res.statusCode,
+              contentType: res.get("Content-Type") || "application/json",
+              body: JSON.stringify(body),
+            },
+          });
+    stored.catch((error) => {
+      logger.error("Failed to store idempotent response", { error, key });
+      // Without a stored response, retries would be refused until expiry
+      return IdempotencyKey.deleteOne(own).catch(() => {});
+    });
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotent,
+};
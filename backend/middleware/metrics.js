@@ -0,0 +1,95 @@
+const { counter, histogram } = require("../utils/metrics");
+const { findOperation } = require("./validateRequest");
+
+const httpRequestsTotal = counter({
+  name: "http_requests_total",
+  help: "HTTP requests served, by method, route template and status",
+  labelNames: ["method", "route", "status"],
+});
+
+const httpRequestDuration = histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency in seconds, by method, route template and status",
+  labelNames: ["method", "route", "status"],
+});
+
+/**
+ * Remember the full route template (e.g. /api/users/:id) when Express
+ * matches a route, and the deepest mount path reached (e.g. /api/users) for
+ * requests that router-level middleware such as authenticate answers first.
+ * req.baseUrl is reset when an error leaves a router, so it can't be read
+ * after the response.
+ */
+const trackRouteTemplate = (req) => {
+  let baseUrl = req.baseUrl;
+  Object.defineProperty(req, "baseUrl", {
+    configurable: true,
+    enumerable: true,
+    get: () => baseUrl,
+    set: (value) => {
+      baseUrl = value;
+      if (value && value.length > (req.mountPath || "").length) {
+        req.mountPath = value;
+      }
+    },
+  });
+
+  let route;
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value && typeof value.path === "string") {
+        req.routeTemplate = `${req.baseUrl}${value.path}`;
+      }
+    },
+  });
+};
+
+/**
+ * The API spec's template for a request, in Express form (/api/users/:id)
+ */
+const specTemplate = (req) => {
+  const match = findOperation(req.method, req.originalUrl.split("?")[0]);
+  return match && match.template.replace(/\{([^}]+)\}/g, ":$1");
+};
+
+/**
+ * The route label of a finished request. A request turned away before any
+ * route matched (401, 403, 422, 429, ...) is labelled with its template
+ * from the API spec, or else the path its router is mounted at. Unknown
+ * URLs (404 without a route) are labelled "unmatched" so arbitrary URLs
+ * can't create new series.
+ */
+const routeLabel = (req, res) =>
+  req.routeTemplate ||
+  (res.statusCode !== 404 && (specTemplate(req) || req.mountPath)) ||
+  "unmatched";
+
+/**
+ * Count and time every request
+ */
+const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  trackRouteTemplate(req);
+
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: routeLabel(req, res),
+      status: res.statusCode,
+    };
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, seconds);
+  });
+
+  next();
+};
+
+module.exports = {
+  httpMetrics,
+};
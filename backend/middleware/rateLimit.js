@@ -0,0 +1,75 @@
+const { sendProblem } = require("../utils/problem");
+const { logger } = require("../utils/logger");
+const {
+  isRateLimitEnabled,
+  getPolicy,
+  getRateLimitStore,
+} = require("../utils/rateLimit");
+
+// Methods that change data
+const WRITE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Signed-in clients are limited per account, everyone else per IP address
+ */
+const clientKey = (req) =>
+  req.account ? `account:${req.account.id}` : `ip:${req.ip}`;
+
+/**
+ * Limit requests with the token-bucket policy of a route group (see
+ * utils/rateLimit). Only the listed methods are counted when `methods` is
+ * given. Sends RateLimit-* headers, and 429 with Retry-After once the
+ * bucket is empty. If the store fails, requests are let through.
+ */
+const rateLimit =
+  (group, { methods } = {}) =>
+  async (req, res, next) => {
+    if (!isRateLimitEnabled() || (methods && !methods.includes(req.method))) {
+      return next();
+    }
+
+    const policy = getPolicy(group);
+    let result;
+    try {
+      result = await getRateLimitStore().consume(
+        `${group}:${clientKey(req)}`,
+        policy
+      );
+    } catch (error) {
+      logger.warn("Rate limit store failed; request allowed", { error });
+      return next();
+    }
+
+    // Seconds an empty bucket takes to fill up again
+    const window = Math.ceil((policy.burst * 60) / policy.perMinute);
+    res.set({
+      "RateLimit-Policy": `${policy.burst};w=${window}`,
+      "RateLimit-Limit": String(policy.burst),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.resetSeconds),
+    });
+
+    if (!result.allowed) {
+      const seconds = result.retryAfterSeconds;
+      res.set("Retry-After", String(seconds));
+      logger.warn("Rate limit exceeded", {
+        policy: group,
+        client: clientKey(req),
+      });
+      return sendProblem(
+        res,
+        429,
+        `Too many requests. Try again in ${seconds} second${
+          seconds === 1 ? "" : "s"
+        }.`,
+        { code: "RATE_LIMITED", policy: group, retryAfter: seconds }
+      );
+    }
+
+    next();
+  };
+
+module.exports = {
+  WRITE_METHODS,
+  rateLimit,
+};
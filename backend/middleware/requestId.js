@@ -0,0 +1,21 @@
+const crypto = require("crypto");
+const { withLogContext } = require("../utils/logger");
+
+/**
+ * Assign every request an id, reusing an incoming X-Request-Id header when
+ * present, and echo it back on the response. Everything logged while
+ * handling the request carries the id.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && /^[\w.:-]{1,128}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  withLogContext({ requestId: req.id }, next);
+};
+
+module.exports = {
+  requestId,
+};
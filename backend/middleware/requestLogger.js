@@ -0,0 +1,52 @@
+const { logger } = require("../utils/logger");
+
+// Status logged for requests whose client went away first, as nginx does
+const CLIENT_CLOSED_REQUEST = 499;
+
+/**
+ * Log a line when each request completes, with its status and duration.
+ * Server errors are logged as errors and client errors as warnings. Query
+ * strings are left out since they can hold search terms and filters.
+ */
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  const path = req.originalUrl.split("?")[0];
+  // "close" after a client disconnects fires outside the request's log
+  // context, so the id is passed explicitly
+  const { id: requestId, ip } = req;
+
+  logger.debug("Request started", { method: req.method, path });
+
+  const done = (message, status) => {
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+
+    logger[level](message, {
+      requestId,
+      method: req.method,
+      path,
+      status,
+      durationMs:
+        Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      ip,
+      userAgent: req.get("User-Agent"),
+      ...(req.account && { accountId: req.account.id }),
+    });
+  };
+
+  const onFinish = () => {
+    res.off("close", onClose);
+    done("Request completed", res.statusCode);
+  };
+  const onClose = () => {
+    res.off("finish", onFinish);
+    done("Request aborted", CLIENT_CLOSED_REQUEST);
+  };
+
+  res.once("finish", onFinish);
+  res.once("close", onClose);
+  next();
+};
+
+module.exports = {
+  requestLogger,
+};
@@ -0,0 +1,276 @@
+const { getOpenApiDocument } = require("../utils/openapi");
+const { resolveRef, validateSchema } = require("../utils/schemaValidator");
+const { sendProblem } = require("../utils/problem");
+const { logger } = require("../utils/logger");
+
+const MODES = ["off", "warn", "enforce"];
+
+/**
+ * OPENAPI_VALIDATION: off (default), warn (log mismatches and carry on) or
+ * enforce (reject requests that don't match the spec)
+ */
+const getValidationMode = () => {
+  const mode = (process.env.OPENAPI_VALIDATION || "off").toLowerCase();
+  return MODES.includes(mode) ? mode : "off";
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+let routes = null;
+
+/**
+ * Compile the spec's paths into matchers. Literal paths come first so that
+ * /api/users/search wins over /api/users/{id}.
+ */
+const getRoutes = () => {
+  if (routes) {
+    return routes;
+  }
+  const document = getOpenApiDocument();
+  routes = Object.entries(document.paths)
+    .map(([template, operations]) => {
+      const pattern = template
+        .split(/\{[^}]+\}/)
+        .map(escapeRegex)
+        .join("[^/]+");
+      return {
+        template,
+        operations,
+        regex: new RegExp(`^${pattern}/?$`, "i"),
+        literal: !template.includes("{"),
+      };
+    })
+    .sort((a, b) => b.literal - a.literal);
+  return routes;
+};
+
+/**
+ * The spec operation for a request, or null when the spec doesn't know it
+ */
+const findOperation = (method, path) => {
+  const route = getRoutes().find(({ regex }) => regex.test(path));
+  const operation = route && route.operations[method.toLowerCase()];
+  return operation ? { template: route.template, operation } : null;
+};
+
+/**
+ * Convert a query string value to the type its schema asks for, so that
+ * "10" can be checked as an integer and "true" as a boolean
+ */
+const coerceQueryValue = (schema, value) => {
+  if (schema.type === "integer" || schema.type === "number") {
+    return value.trim() !== "" && Number.isFinite(Number(value))
+      ? Number(value)
+      : value;
+  }
+  if (schema.type === "boolean") {
+    return value === "true" ? true : value === "false" ? false : value;
+  }
+  return value;
+};
+
+/**
+ * Check the query string against the operation's parameters. Unknown
+ * parameters are errors, as they are in the handlers.
+ */
+const validateQuery = (operation, query, document) => {
+  const parameters = (operation.parameters || [])
+    .map((parameter) => resolveRef(parameter, document))
+    .filter((parameter) => parameter.in === "query");
+  const errors = {};
+
+  Object.entries(query).forEach(([name, value]) => {
+    const parameter = parameters.find((candidate) => candidate.name === name);
+    if (!parameter) {
+      errors[name] = "Is not a known query parameter";
+      return;
+    }
+    if (typeof value !== "string") {
+      errors[name] = "Must be given once, as a plain value";
+      return;
+    }
+    // Empty values are treated as absent by the handlers
+    if (value === "") {
+      return;
+    }
+    const schema = resolveRef(parameter.schema, document);
+    const problems = validateSchema(schema, coerceQueryValue(schema, value), {
+      document,
+      direction: "request",
+    });
+    if (problems) {
+      errors[name] = problems.body;
+    }
+  });
+
+  parameters
+    .filter(({ name, required }) => required && query[name] === undefined)
+    .forEach(({ name }) => {
+      errors[name] = "Is required";
+    });
+
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+/**
+ * Check the body against the request body schema for its content type.
+ * Returns { status, detail, code, errors } for a mismatch.
+ */
+const validateBody = (req, operation, document) => {
+  const requestBody = resolveRef(operation.requestBody, document);
+  if (!requestBody) {
+    return null;
+  }
+
+  const hasBody =
+    req.body !== undefined &&
+    !(
+      typeof req.body === "object" &&
+      !Array.isArray(req.body) &&
+      Object.keys(req.body).length === 0 &&
+      !req.is("*/*")
+    );
+  if (!hasBody) {
+    return requestBody.required
+      ? {
+          status: 400,
+          detail: "Request body is required",
+          code: "BODY_REQUIRED",
+        }
+      : null;
+  }
+
+  const mediaTypes = Object.keys(requestBody.content);
+  const mediaType = req.is(mediaTypes);
+  if (!mediaType) {
+    return {
+      status: 415,
+      code: "UNSUPPORTED_MEDIA_TYPE",
+      detail: `Content-Type must be one of: ${mediaTypes.join(", ")}`,
+    };
+  }
+
+  const errors = validateSchema(
+    requestBody.content[mediaType].schema,
+    req.body,
+    { document, direction: "request" }
+  );
+  return errors
+    ? {
+        status: 422,
+        detail: "Request body does not match the API schema",
+        code: "VALIDATION_FAILED",
+        errors,
+      }
+    : null;
+};
+
+/**
+ * The documented schema of a response, if any
+ */
+const responseSchema = (operation, status, document) => {
+  const response = resolveRef(
+    operation.responses[status] || operation.responses.default,
+    document
+  );
+  if (!response || !response.content) {
+    return undefined;
+  }
+  const media =
+    response.content["application/json"] ||
+    response.content["application/problem+json"];
+  return media && media.schema;
+};
+
+/**
+ * Log JSON responses that don't match the spec. Only used when
+ * OPENAPI_VALIDATE_RESPONSES=true, since every body is serialised twice.
+ */
+const checkResponses = (res, { template, operation }, document) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const schema = responseSchema(operation, res.statusCode, document);
+    // Unexpected errors aren't documented per operation
+    if (!schema && res.statusCode < 500) {
+      logger.warn("Response status is not in the API spec", {
+        operation: operation.operationId,
+        path: template,
+        status: res.statusCode,
+      });
+    } else if (schema) {
+      const errors = validateSchema(schema, JSON.parse(JSON.stringify(body)), {
+        document,
+        direction: "response",
+      });
+      if (errors) {
+        logger.warn("Response does not match the API spec", {
+          operation: operation.operationId,
+          path: template,
+          status: res.statusCode,
+          errors,
+        });
+      }
+    }
+    return json(body);
+  };
+};
+
+/**
+ * Validate requests against the OpenAPI document (see utils/openapi.js).
+ * Mount after authentication so unauthenticated requests still get a 401.
+ * Requests the spec doesn't describe are passed through.
+ */
+const validateRequest = (req, res, next) => {
+  const mode = getValidationMode();
+  if (mode === "off") {
+    return next();
+  }
+
+  const path = req.baseUrl + req.path;
+  const match = findOperation(req.method, path);
+  if (!match) {
+    return next();
+  }
+
+  const document = getOpenApiDocument();
+  if (process.env.OPENAPI_VALIDATE_RESPONSES === "true") {
+    checkResponses(res, match, document);
+  }
+
+  const queryErrors = validateQuery(match.operation, req.query, document);
+  const problem = queryErrors
+    ? {
+        status: 400,
+        detail: "Query parameters do not match the API schema",
+        code: "INVALID_QUERY",
+        errors: queryErrors,
+      }
+    : validateBody(req, match.operation, document);
+
+  if (!problem) {
+    return next();
+  }
+
+  const { status, detail, code, errors } = problem;
+  if (mode === "warn") {
+    logger.warn("Request does not match the API spec", {
+      operation: match.operation.operationId,
+      path: match.template,
+      status,
+      detail,
+      errors,
+    });
+    return next();
+  }
+
+  sendProblem(res, status, detail, {
+    code,
+    ...(errors && { errors }),
+  });
+};
+
+module.exports = {
+  findOperation,
+  getValidationMode,
+  validateRequest,
+};
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const { ROLES, getPermissions } = require("../utils/permissions");
+
+const SALT_ROUNDS = 10;
+
+const accountSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      minlength: [2, "Name must be at least 2 characters long"],
+      maxlength: [50, "Name cannot exceed 50 characters"],
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please enter a valid email",
+      ],
+    },
+    password: {
+      type: String,
+      required: [true, "Password is required"],
+      minlength: [8, "Password must be at least 8 characters long"],
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(", ")}`,
+      },
+      default: "viewer",
+    },
+    // Set only on the first account, which registers as admin. The unique
+    // index below lets just one registration claim it.
+    bootstrapAdmin: {
+      type: Boolean,
+      select: false,
+    },
+    // Identifiers of refresh tokens that are still valid for this account.
+    // Logging out or rotating a token removes its id from the list.
+    refreshTokens: {
+      type: [
+        {
+          _id: false,
+          tokenId: { type: String, required: true },
+          expiresAt: { type: Date, required: true },
+        },
+      ],
+      select: false,
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountSchema.index(
+  { bootstrapAdmin: 1 },
+  { unique: true, partialFilterExpression: { bootstrapAdmin: true } }
+);
+
+// Hash the password whenever it is set or changed
+accountSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) {
+    return next();
+  }
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Compare a plain-text password with the stored hash
+ */
+accountSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+/**
+ * Public representation of the account (never includes credentials)
+ */
+accountSchema.methods.toProfile = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    permissions: getPermissions(this.role),
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model("Account", accountSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    entity: {
+      type: String,
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "delete", "restore", "purge"],
+      required: true,
+    },
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "Account" },
+      email: String,
+    },
+    requestId: String,
+    // Field-level diff, e.g. { field: "city", before: "Pune", after: "Mumbai" }
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: "timestamp", updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ entity: 1, entityId: 1, timestamp: -1 });
+auditLogSchema.index({ "actor.id": 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Named counters that only go up, shared by every server instance. "users"
+// versions the user list responses (see utils/userCache.js);
+// "health-checks:<instance>" counts health check requests (see
+// utils/healthHistory.js).
+const counterSchema = new mongoose.Schema(
+  {
+    _id: String,
+    seq: {
+      type: Number,
+      default: 0,
+    },
+    // When seq last went up
+    changedAt: Date,
+  },
+  {
+    versionKey: false,
+  }
+);
+
+/**
+ * Add one to a counter, creating it on first use
+ */
+counterSchema.statics.increment = function (name) {
+  return this.updateOne(
+    { _id: name },
+    { $inc: { seq: 1 }, $currentDate: { changedAt: true } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
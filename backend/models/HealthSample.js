@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// One run of the health checks, kept when HEALTH_HISTORY_PERSIST=true so
+// uptime and incidents survive restarts (see utils/healthHistory.js)
+const healthSampleSchema = new mongoose.Schema(
+  {
+    // HEALTH_INSTANCE_ID (or host name) of the server that took the sample
+    instance: {
+      type: String,
+      required: true,
+    },
+    at: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["OK", "DEGRADED", "ERROR"],
+      required: true,
+    },
+    // Status of each check, by name
+    checks: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Duration of a successful database ping
+    dbLatencyMs: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    versionKey: false,
+    // Created capped by loadHealthHistory, only when persistence is on
+    autoCreate: false,
+    autoIndex: false,
+  }
+);
+
+healthSampleSchema.index({ instance: 1, at: -1 });
+
+module.exports = mongoose.model("HealthSample", healthSampleSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// An Idempotency-Key sent with a write, and the response to replay for
+// retries that send it again (see middleware/idempotency.js)
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // Keys are per account, so clients never see each other's responses
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    // Hash of the method, URL and body the key was first used with
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    // "processing" until the first request has been answered
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    // When the request holding the key started; one still processing after
+    // the lease is taken over by a retry
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    response: {
+      statusCode: Number,
+      contentType: String,
+      // Serialized body, sent back as is
+      body: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+idempotencyKeySchema.index({ account: 1, key: 1 }, { unique: true });
+// Removed by MongoDB once expired
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const Counter = require("./Counter");
+const { SEARCH_FIELDS, buildSearchKeys } = require("../utils/searchText");
 
 const userSchema = new mongoose.Schema(
   {
@@ -35,10 +37,192 @@ const userSchema = new mongoose.Schema(
       trim: true,
       match: [/^[0-9-+\s()]+$/, "Please enter a valid phone number"],
     },
+    // Soft delete: set when the user is moved to the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    // Derived from name, email and city for search (see utils/searchText.js)
+    searchTokens: {
+      type: [String],
+      select: false,
+    },
+    searchPrefixes: {
+      type: [String],
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Indexes backing the sortable fields of GET /api/users (see
+// utils/userQuery.js). Every list query filters on deletedAt, so it leads.
+["createdAt", "updatedAt", "name", "email", "age", "city"].forEach((field) => {
+  userSchema.index({ deletedAt: 1, [field]: 1, _id: 1 });
+});
+
+// Search-as-you-type matches on stored prefixes; full-word search uses the
+// text index with relevance ranking. No stemming: these are mostly names.
+userSchema.index({ deletedAt: 1, searchPrefixes: 1 });
+userSchema.index(
+  { name: "text", email: "text", city: "text" },
+  {
+    name: "UserTextIndex",
+    weights: { name: 10, email: 5, city: 2 },
+    default_language: "none",
+  }
+);
+
+// Keep the search keys in sync with the searchable fields
+userSchema.pre("save", function (next) {
+  if (this.isNew || SEARCH_FIELDS.some((field) => this.isModified(field))) {
+    Object.assign(this, buildSearchKeys(this));
+  }
+  next();
+});
+
+userSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...(update.$set || {}) };
+  const unset = update.$unset || {};
+
+  const touched = SEARCH_FIELDS.filter(
+    (field) => changes[field] !== undefined || field in unset
+  );
+  if (touched.length === 0) {
+    return;
+  }
+
+  const current = await this.model
+    .findOne(this.getQuery())
+    .select(SEARCH_FIELDS.join(" "))
+    .session(this.getOptions().session || null)
+    .lean();
+  if (!current) {
+    return;
+  }
+
+  touched.forEach((field) => {
+    current[field] = field in unset ? undefined : changes[field];
+  });
+  this.set(buildSearchKeys(current));
+});
+
+// Every write bumps the version key, which the API exposes as the ETag used
+// for optimistic concurrency (see utils/etag.js)
+userSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    this.increment();
+  }
+  next();
+});
+
+userSchema.pre("findOneAndUpdate", function () {
+  const update = this.getUpdate() || {};
+  this.setUpdate({ ...update, $inc: { ...(update.$inc || {}), __v: 1 } });
+});
+
+// Any write, purges included, changes the list responses: count it in the
+// users version (see utils/userCache.js). Writes that matched nothing
+// don't count.
+const USERS_VERSION = "users";
+
+const wroteNothing = (result) =>
+  result === null ||
+  result.deletedCount === 0 ||
+  (result.modifiedCount === 0 && !result.upsertedCount);
+
+userSchema.post("save", async function () {
+  await Counter.increment(USERS_VERSION);
+});
+
+userSchema.post("insertMany", async function () {
+  await Counter.increment(USERS_VERSION);
+});
+
+userSchema.post(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "findOneAndDelete",
+  ],
+  async function (result) {
+    if (!wroteNothing(result)) {
+      await Counter.increment(USERS_VERSION);
+    }
+  }
+);
+
+/**
+ * Compute search keys for users saved before search keys existed
+ */
+userSchema.statics.backfillSearchKeys = async function () {
+  const cursor = this.find({ searchPrefixes: { $exists: false } })
+    .select(SEARCH_FIELDS.join(" "))
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  for await (const doc of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: buildSearchKeys(doc) },
+        timestamps: false,
+      },
+    });
+    if (operations.length === 500) {
+      await this.bulkWrite(operations);
+      updated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+    updated += operations.length;
+  }
+
+  // bulkWrite has no middleware; newly searchable users change results
+  if (updated > 0) {
+    await Counter.increment(USERS_VERSION);
+  }
+
+  return updated;
+};
+
+// Query helpers: User.find().notDeleted() / User.find().deleted()
+userSchema.query.notDeleted = function () {
+  return this.where({ deletedAt: null });
+};
+
+userSchema.query.deleted = function () {
+  return this.where({ deletedAt: { $ne: null } });
+};
+
+/**
+ * The users version: { seq, changedAt }, where seq goes up with every write
+ */
+userSchema.statics.getVersion = async function () {
+  const version = await Counter.findById(USERS_VERSION).lean();
+  return version
+    ? { seq: version.seq, changedAt: version.changedAt }
+    : { seq: 0, changedAt: new Date(0) };
+};
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const retentionDays = () => {
+  const days = parseFloat(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookSubscription",
+      required: true,
+    },
+    // Id of the event; redeliveries share it so receivers can deduplicate
+    eventId: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // The JSON body that is signed and sent
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // pending: waiting for its next attempt; succeeded: the receiver
+    // answered 2xx; failed: out of attempts or the subscription is gone
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    attempts: [
+      {
+        _id: false,
+        at: { type: Date, required: true },
+        durationMs: Number,
+        responseStatus: Number,
+        // First part of the response body, for debugging receivers
+        responseBody: String,
+        error: String,
+      },
+    ],
+    // Set when this delivery was created by redelivering another one
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+// Old deliveries are removed by MongoDB. Changing the retention needs the
+// index to be dropped so it can be recreated.
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: Math.round(retentionDays() * 24 * 60 * 60) }
+);
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
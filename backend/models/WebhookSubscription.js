@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, "URL is required"],
+      trim: true,
+      maxlength: [2000, "URL cannot exceed 2000 characters"],
+      match: [
+        /^https?:\/\/[^\s/]+\S*$/i,
+        "URL must start with http:// or https://",
+      ],
+    },
+    // User lifecycle events delivered to this subscription
+    events: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: [
+              "user.created",
+              "user.updated",
+              "user.deleted",
+              "user.restored",
+              "user.purged",
+            ],
+            message: "Unknown event type: {VALUE}",
+          },
+        },
+      ],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "Subscribe to at least one event",
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Shared secret for the X-Webhook-Signature HMAC. Only returned when the
+    // subscription is created or the secret is rotated.
+    secret: {
+      type: String,
+      required: true,
+      minlength: [16, "Secret must be at least 16 characters long"],
+      select: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.secret;
+        return ret;
+      },
+    },
+  }
+);
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema
+);
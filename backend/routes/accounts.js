@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const Account = require("../models/Account");
+const { ROLES } = require("../utils/permissions");
+const { sendProblem } = require("../utils/problem");
+
+// READ - List all accounts with their roles
+router.get("/", async (req, res, next) => {
+  try {
+    const accounts = await Account.find().sort({ createdAt: 1 });
+    res.json(accounts.map((account) => account.toProfile()));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// UPDATE - Change the role of an account
+router.put("/:id/role", async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return sendProblem(res, 400, `Role must be one of: ${ROLES.join(", ")}`);
+    }
+
+    if (req.params.id === req.account.id && role !== "admin") {
+      return sendProblem(res, 400, "You cannot remove your own admin role");
+    }
+
+    const account = await Account.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    if (!account) {
+      return sendProblem(res, 404, "Account not found");
+    }
+
+    res.json({
+      message: "Role updated successfully",
+      account: account.toProfile(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const AuditLog = require("../models/AuditLog");
+const { sendProblem } = require("../utils/problem");
+
+const ACTIONS = AuditLog.schema.path("action").enumValues;
+
+/**
+ * Parse an ISO date query parameter, returning undefined when absent
+ */
+const parseDate = (value, name) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return date;
+};
+
+// QUERY - Search the audit trail
+// Filters: actor (account id or email), action, entity, entityId, from, to
+router.get("/", async (req, res, next) => {
+  let filter;
+  try {
+    const { actor, action, entity, entityId, from, to } = req.query;
+    filter = {};
+
+    if (actor) {
+      if (mongoose.isValidObjectId(actor)) {
+        filter["actor.id"] = actor;
+      } else {
+        filter["actor.email"] = String(actor).toLowerCase();
+      }
+    }
+
+    if (action) {
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Action must be one of: ${ACTIONS.join(", ")}`);
+      }
+      filter.action = action;
+    }
+
+    if (entity) {
+      filter.entity = String(entity);
+    }
+
+    if (entityId) {
+      if (!mongoose.isValidObjectId(entityId)) {
+        throw new Error(`Invalid entityId: ${entityId}`);
+      }
+      filter.entityId = entityId;
+    }
+
+    const fromDate = parseDate(from, "from");
+    const toDate = parseDate(to, "to");
+    if (fromDate || toDate) {
+      filter.timestamp = {};
+      if (fromDate) filter.timestamp.$gte = fromDate;
+      if (toDate) filter.timestamp.$lte = toDate;
+    }
+  } catch (error) {
+    return sendProblem(res, 400, error.message);
+  }
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const entries = await AuditLog.find(filter)
+      .skip(skip)
+      .limit(limit)
+      .sort({ timestamp: -1 });
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      entries,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalEntries: total,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require("express");
+const router = express.Router();
+const Account = require("../models/Account");
+const { authenticate } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const {
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+} = require("../utils/tokens");
+const { sendProblem } = require("../utils/problem");
+
+/**
+ * Issue a new access/refresh token pair and remember the refresh token id
+ */
+const issueTokens = async (account) => {
+  const accessToken = signAccessToken(account);
+  const refresh = signRefreshToken(account);
+
+  // Drop refresh tokens that have already expired before adding the new one
+  await Account.updateOne(
+    { _id: account._id },
+    { $pull: { refreshTokens: { expiresAt: { $lt: new Date() } } } }
+  );
+  await Account.updateOne(
+    { _id: account._id },
+    {
+      $push: {
+        refreshTokens: {
+          tokenId: refresh.tokenId,
+          expiresAt: refresh.expiresAt,
+        },
+      },
+    }
+  );
+
+  return {
+    accessToken,
+    refreshToken: refresh.token,
+  };
+};
+
+// REGISTER - Create a new account
+router.post("/register", rateLimit("auth"), async (req, res, next) => {
+  try {
+    const { name, email, password } = req.body;
+
+    const existingAccount = await Account.findOne({ email });
+    if (existingAccount) {
+      return sendProblem(
+        res,
+        409,
+        "An account with this email already exists",
+        { errors: { email: "An account with this email already exists" } }
+      );
+    }
+
+    // The very first account bootstraps the system as an admin; everyone
+    // else starts as a viewer until an admin grants more access.
+    const isFirstAccount = (await Account.estimatedDocumentCount()) === 0;
+
+    let savedAccount;
+    try {
+      if (isFirstAccount) {
+        // The bootstrapAdmin index must exist before it can settle a race
+        await Account.init();
+      }
+      savedAccount = await new Account({
+        name,
+        email,
+        password,
+        ...(isFirstAccount && { role: "admin", bootstrapAdmin: true }),
+      }).save();
+    } catch (error) {
+      // Another registration claimed admin at the same time
+      if (
+        !isFirstAccount ||
+        error.code !== 11000 ||
+        !error.keyPattern?.bootstrapAdmin
+      ) {
+        throw error;
+      }
+      savedAccount = await new Account({ name, email, password }).save();
+    }
+    const tokens = await issueTokens(savedAccount);
+
+    res.status(201).json({
+      message: "Account created successfully",
+      account: savedAccount.toProfile(),
+      ...tokens,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// LOGIN - Exchange credentials for tokens
+router.post("/login", rateLimit("auth"), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return sendProblem(res, 400, "Email and password are required");
+    }
+
+    const account = await Account.findOne({
+      email: String(email).toLowerCase().trim(),
+    }).select("+password");
+
+    if (!account || !(await account.comparePassword(password))) {
+      return sendProblem(res, 401, "Invalid email or password");
+    }
+
+    const tokens = await issueTokens(account);
+
+    res.json({
+      message: "Logged in successfully",
+      account: account.toProfile(),
+      ...tokens,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// REFRESH - Rotate a refresh token into a new token pair
+router.post("/refresh", rateLimit("auth"), async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return sendProblem(res, 400, "Refresh token is required");
+  }
+
+  let payload;
+  try {
+    payload = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return sendProblem(res, 401, "Invalid refresh token");
+  }
+
+  try {
+    // Consume the token atomically so it cannot be replayed
+    const account = await Account.findOneAndUpdate(
+      { _id: payload.sub, "refreshTokens.tokenId": payload.jti },
+      { $pull: { refreshTokens: { tokenId: payload.jti } } },
+      { new: true }
+    );
+
+    if (!account) {
+      return sendProblem(res, 401, "Refresh token has been revoked");
+    }
+
+    const tokens = await issueTokens(account);
+
+    res.json({
+      account: account.toProfile(),
+      ...tokens,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// LOGOUT - Revoke a refresh token
+router.post("/logout", async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return sendProblem(res, 400, "Refresh token is required");
+  }
+
+  try {
+    const payload = verifyRefreshToken(refreshToken);
+    await Account.updateOne(
+      { _id: payload.sub },
+      { $pull: { refreshTokens: { tokenId: payload.jti } } }
+    );
+  } catch (error) {
+    // An invalid or expired token is already unusable; treat as logged out
+  }
+
+  res.json({ message: "Logged out successfully" });
+});
+
+// ME - Get the currently authenticated account
+router.get("/me", authenticate, async (req, res, next) => {
+  try {
+    const account = await Account.findById(req.account.id);
+    if (!account) {
+      return sendProblem(res, 404, "Account not found");
+    }
+    res.json(account.toProfile());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
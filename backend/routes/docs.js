@@ -0,0 +1,60 @@
+const express = require("express");
+const swaggerUi = require("swagger-ui-dist");
+const router = express.Router();
+const { getOpenApiDocument } = require("../utils/openapi");
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>MERN Stack Application API</title>
+    <link rel="stylesheet" href="./swagger-ui.css" />
+    <link rel="icon" type="image/png" href="./favicon-32x32.png" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="./swagger-ui-bundle.js"></script>
+    <script src="./swagger-ui-standalone-preset.js"></script>
+    <script src="./docs-initializer.js"></script>
+  </body>
+</html>
+`;
+
+// Kept out of the page so it also works under a script-src 'self' policy
+const DOCS_INITIALIZER = `window.onload = function () {
+  window.ui = SwaggerUIBundle({
+    url: "../openapi.json",
+    dom_id: "#swagger-ui",
+    deepLinking: true,
+    persistAuthorization: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: "StandaloneLayout",
+  });
+};
+`;
+
+// SPEC - The OpenAPI 3 document
+router.get("/openapi.json", (req, res) => {
+  res.json(getOpenApiDocument());
+});
+
+// DOCS - Interactive API docs, served from the swagger-ui-dist package so
+// they work without internet access. Relative asset URLs need the slash.
+router.get("/docs", (req, res, next) => {
+  if (!req.originalUrl.split("?")[0].endsWith("/")) {
+    return res.redirect(301, `${req.baseUrl}/docs/`);
+  }
+  next();
+});
+router.get("/docs/", (req, res) => {
+  res.type("html").send(DOCS_PAGE);
+});
+router.get("/docs/docs-initializer.js", (req, res) => {
+  res.type("application/javascript").send(DOCS_INITIALIZER);
+});
+router.use(
+  "/docs",
+  express.static(swaggerUi.getAbsoluteFSPath(), { index: false })
+);
+
+module.exports = router;
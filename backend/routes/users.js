@@ -1,153 +1,808 @@
 const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { requirePermission } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { idempotent } = require("../middleware/idempotency");
+const { getRetentionDays } = require("../utils/trashRetention");
+const { recordAudit } = require("../utils/audit");
+const { publishUserEvent } = require("../utils/userEvents");
+const { eventsSince, subscribe } = require("../utils/userStream");
+const { parseImportBody, importUsers } = require("../utils/userImport");
+const { FORMATS, streamUsers } = require("../utils/userExport");
+const {
+  FILTER_PARAMS,
+  assertKnownParams,
+  buildUserFilter,
+  parseSort,
+  parseFields,
+  toProjection,
+} = require("../utils/userQuery");
+const {
+  CURSOR_FIELD,
+  parsePagination,
+  getMaxLimit,
+  findCursorPage,
+} = require("../utils/pagination");
+const { parseSearchTerms } = require("../utils/searchText");
+const {
+  SEARCH_MODES,
+  searchFilter,
+  searchUsers,
+} = require("../utils/userSearch");
+const {
+  userETag,
+  weakETag,
+  isNotModified,
+  ifMatchSatisfied,
+  versionFilter,
+} = require("../utils/etag");
+const {
+  getUsersVersion,
+  cachedPage,
+  cachedCount,
+  clearUserCache,
+} = require("../utils/userCache");
+const {
+  EDITABLE_FIELDS,
+  editableValues,
+  parseReplacement,
+  applyMergePatch,
+  applyJsonPatch,
+  toUserUpdate,
+} = require("../utils/userPatch");
+const { sendProblem } = require("../utils/problem");
+const {
+  parseBatch,
+  requiredPermissions,
+  runBatch,
+} = require("../utils/userBatch");
+const { hasPermission } = require("../utils/permissions");
+const { logger } = require("../utils/logger");
+
+const LIST_PARAMS = [
+  ...FILTER_PARAMS,
+  "sort",
+  "fields",
+  "page",
+  "limit",
+  "cursor",
+  "pagination",
+  "includeTotal",
+];
+const EXPORT_PARAMS = [
+  ...FILTER_PARAMS,
+  "q",
+  "mode",
+  "sort",
+  "fields",
+  "format",
+];
+const SEARCH_PARAMS = ["q", "mode", "page", "limit"];
+const DEFAULT_STREAM_HEARTBEAT_MS = 15000;
+// Tells EventSource-style clients how long to wait before reconnecting
+const STREAM_RETRY_MS = 5000;
+
+// 412 for a stale If-Match, with the current user so the client can resolve
+// the conflict without another request
+const sendPreconditionFailed = (res, current) =>
+  sendProblem(
+    res.set("ETag", userETag(current)),
+    412,
+    "This user was changed by someone else since you loaded it",
+    { code: "PRECONDITION_FAILED", current }
+  );
+
+// Any write may change cached list pages and counts
+router.use((req, res, next) => {
+  if (!["GET", "HEAD", "OPTIONS"].includes(req.method)) {
+    res.on("finish", clearUserCache);
+  }
+  next();
+});
+
+/**
+ * Answer 304 when the client's copy of a list or search response is still
+ * current. Those responses change whenever any user does, so they are
+ * validated by the users version and the URL.
+ */
+const listNotModified = async (req, res) => {
+  const version = await getUsersVersion();
+  const notModified = isNotModified(req, res, {
+    etag: weakETag(version.seq, req.originalUrl),
+    lastModified: version.changedAt,
+  });
+  if (notModified) {
+    res.status(304).end();
+  }
+  return { version, notModified };
+};
 
 // CREATE - Add a new user
-router.post("/", async (req, res) => {
-  try {
-    const { name, email, age, city, phone } = req.body;
+// Send an Idempotency-Key to make retries safe (see middleware/idempotency.js)
+router.post(
+  "/",
+  requirePermission("users:create"),
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const { name, email, age, city, phone } = req.body;
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res
-        .status(400)
-        .json({ error: "User with this email already exists" });
+      // Check if user already exists
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        const message = existingUser.deletedAt
+          ? "User with this email is in the trash; restore or purge it first"
+          : "User with this email already exists";
+        return sendProblem(res, 409, message, { errors: { email: message } });
+      }
+
+      const user = new User({
+        name,
+        email,
+        age,
+        city,
+        phone,
+      });
+
+      const savedUser = await user.save();
+      await recordAudit(req, { action: "create", after: savedUser });
+      await publishUserEvent(req, { action: "create", after: savedUser });
+
+      res.status(201).json({
+        message: "User created successfully",
+        user: savedUser,
+      });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    const user = new User({
-      name,
-      email,
-      age,
-      city,
-      phone,
-    });
+// IMPORT - Bulk create users from a CSV or JSON upload
+// Query: dryRun=true to validate only, onConflict=skip|upsert. Honors
+// Idempotency-Key like CREATE
+router.post(
+  "/import",
+  requirePermission("users:create"),
+  (req, res, next) =>
+    req.query.onConflict === "upsert"
+      ? requirePermission("users:update")(req, res, next)
+      : next(),
+  idempotent,
+  async (req, res, next) => {
+    const dryRun = req.query.dryRun === "true";
+    const onConflict = req.query.onConflict || "skip";
 
-    const savedUser = await user.save();
-    res.status(201).json({
-      message: "User created successfully",
-      user: savedUser,
-    });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+    if (!["skip", "upsert"].includes(onConflict)) {
+      return sendProblem(res, 400, "onConflict must be one of: skip, upsert");
+    }
+
+    try {
+      const records = parseImportBody(req);
+      const report = await importUsers(req, records, { dryRun, onConflict });
+      res.status(dryRun ? 200 : 201).json(report);
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+// BATCH - Update or delete several users in one request
+// Body: { mode: "atomic" | "bestEffort", operations: [{ op, id | filter, set }] }
+// See utils/userBatch.js. Needs update and/or delete permission depending on
+// the operations. Honors Idempotency-Key like CREATE
+router.post(
+  "/batch",
+  (req, res, next) => {
+    const missing = requiredPermissions(req.body).find(
+      (permission) => !hasPermission(req.account.role, permission)
+    );
+    return missing ? requirePermission(missing)(req, res, next) : next();
+  },
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const report = await runBatch(req, parseBatch(req.body));
+      if (!report.committed) {
+        const failed = report.results.find(
+          (result) => result.status === "failed"
+        );
+        return sendProblem(
+          res,
+          422,
+          `Operation ${failed.index} failed (${failed.error}); no changes were made`,
+          { code: "BATCH_ROLLED_BACK", ...report }
+        );
+      }
+      res.json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 // READ - Get all users
-router.get("/", async (req, res) => {
+// Query: filters (see utils/userQuery.js), sort=[-]field, fields=a,b and
+// either page/limit or cursor pagination (see utils/pagination.js). Honors
+// If-None-Match / If-Modified-Since with a 304
+router.get("/", requirePermission("users:read"), async (req, res, next) => {
+  let filter, sort, fields, pagination;
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    assertKnownParams(req.query, LIST_PARAMS);
+    filter = buildUserFilter(req.query);
+    sort = parseSort(req.query.sort);
+    fields = req.query.fields ? parseFields(req.query.fields) : null;
+    pagination = parsePagination(req.query);
+  } catch (error) {
+    return sendProblem(res, 400, error.message);
+  }
 
-    const users = await User.find()
-      .skip(skip)
-      .limit(limit)
-      .sort({ createdAt: -1 });
+  const { mode, page, limit, cursor, includeTotal } = pagination;
+  const order = sort[CURSOR_FIELD];
 
-    const total = await User.countDocuments();
+  // Checked before the conditional GET so a bad request never costs a query
+  if (mode === "cursor") {
+    if (Object.keys(sort)[0] !== CURSOR_FIELD) {
+      return sendProblem(
+        res,
+        400,
+        `Cursor pagination only supports sort=${CURSOR_FIELD} or sort=-${CURSOR_FIELD}`
+      );
+    }
+    if (cursor && cursor.order !== order) {
+      return sendProblem(res, 400, "Cursor does not match the sort order");
+    }
+  }
 
-    res.json({
+  let version;
+  try {
+    const validated = await listNotModified(req, res);
+    if (validated.notModified) {
+      return;
+    }
+    version = validated.version;
+  } catch (error) {
+    return next(error);
+  }
+
+  if (mode === "cursor") {
+    try {
+      const result = await findCursorPage(User, filter, {
+        cursor,
+        limit,
+        order,
+        fields,
+      });
+
+      res.json({
+        users: result.items,
+        nextCursor: result.nextCursor,
+        prevCursor: result.prevCursor,
+        limit,
+        ...(includeTotal && {
+          totalUsers: await cachedCount(version, filter),
+        }),
+      });
+    } catch (error) {
+      next(error);
+    }
+    return;
+  }
+
+  try {
+    const skip = (page - 1) * limit;
+
+    const users = await cachedPage(
+      version,
+      { filter, sort, fields, skip, limit },
+      () => {
+        const query = User.find(filter).skip(skip).limit(limit).sort(sort);
+        if (fields) {
+          query.select(toProjection(fields));
+        }
+        return query;
+      }
+    );
+
+    const response = {
       users,
       currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalUsers: total,
-    });
+    };
+
+    if (includeTotal) {
+      const total = await cachedCount(version, filter);
+      response.totalPages = Math.ceil(total / limit);
+      response.totalUsers = total;
+    }
+
+    res.json(response);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// READ - Get a single user by ID
-router.get("/:id", async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+// EXPORT - Stream users as CSV, JSON or NDJSON
+// Query: format=csv|json|ndjson, fields=name,email,..., sort, the same
+// filters as GET /, and q/mode to export the users GET /search matches
+router.get(
+  "/export",
+  requirePermission("users:read"),
+  async (req, res, next) => {
+    const format = req.query.format || "csv";
+    let filter, sort, fields;
+
+    if (!FORMATS[format]) {
+      return sendProblem(
+        res,
+        400,
+        `Format must be one of: ${Object.keys(FORMATS).join(", ")}`
+      );
+    }
+
+    try {
+      assertKnownParams(req.query, EXPORT_PARAMS);
+      filter = buildUserFilter(req.query);
+      if (req.query.q !== undefined) {
+        const mode = req.query.mode || "prefix";
+        if (!SEARCH_MODES.includes(mode)) {
+          throw new Error(`mode must be one of: ${SEARCH_MODES.join(", ")}`);
+        }
+        filter = {
+          ...filter,
+          ...searchFilter(parseSearchTerms(req.query.q), mode),
+        };
+      } else if (req.query.mode !== undefined) {
+        throw new Error('"mode" needs a search query in "q"');
+      }
+      sort = parseSort(req.query.sort);
+      fields = parseFields(req.query.fields);
+    } catch (error) {
+      return sendProblem(res, 400, error.message);
+    }
+
+    try {
+      await streamUsers(res, { format, fields, filter, sort });
+    } catch (error) {
+      if (res.headersSent) {
+        // Too late for an error response; cut the download short instead
+        logger.error("Export failed", { error });
+        res.destroy(error);
+      } else {
+        next(error);
+      }
     }
-    res.json(user);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
+);
+
+// SEARCH - Ranked full-text search over name, email and city
+// Query: q=<text>, mode=prefix|text (prefix matches as you type, text matches
+// whole words), page, limit. Honors If-None-Match / If-Modified-Since like
+// GET /
+router.get(
+  "/search",
+  requirePermission("users:read"),
+  rateLimit("search"),
+  async (req, res, next) => {
+    const mode = req.query.mode || "prefix";
+    let terms, pagination;
+    try {
+      assertKnownParams(req.query, SEARCH_PARAMS);
+      if (!SEARCH_MODES.includes(mode)) {
+        throw new Error(`mode must be one of: ${SEARCH_MODES.join(", ")}`);
+      }
+      terms = parseSearchTerms(req.query.q);
+      pagination = parsePagination(req.query);
+    } catch (error) {
+      return sendProblem(res, 400, error.message);
+    }
+
+    const { page, limit } = pagination;
+
+    try {
+      if ((await listNotModified(req, res)).notModified) {
+        return;
+      }
+      const { users, total } = await searchUsers(terms, { mode, page, limit });
+
+      res.json({
+        users,
+        query: req.query.q,
+        terms,
+        mode,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// SEARCH (deprecated) - Use GET /search?q= instead. Returns the first page
+// of results as a plain array. Registered before the /:id routes so that
+// /search/history isn't taken for a user's history.
+router.get(
+  "/search/:query",
+  requirePermission("users:read"),
+  rateLimit("search"),
+  async (req, res, next) => {
+    let terms;
+    try {
+      terms = parseSearchTerms(req.params.query);
+    } catch (error) {
+      return sendProblem(res, 400, error.message);
+    }
+
+    try {
+      if ((await listNotModified(req, res)).notModified) {
+        return;
+      }
+      const { users, total } = await searchUsers(terms, {
+        page: 1,
+        limit: getMaxLimit(),
+      });
+
+      res.set("Deprecation", "true");
+      res.set(
+        "Link",
+        `</api/users/search?q=${encodeURIComponent(
+          req.params.query
+        )}>; rel="successor-version"`
+      );
+      res.set("X-Total-Count", String(total));
+      res.json(users);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// STREAM - Server-Sent Events for changes to users: user.created,
+// user.updated, user.deleted, user.restored and user.purged, each with the
+// user as data. Send Last-Event-ID to receive what was missed; a "reset"
+// event means that isn't possible and the client should reload.
+router.get("/stream", requirePermission("users:read"), (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = ({ id, type, data }) =>
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId) {
+    const missed = eventsSince(lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      res.write(`event: reset\ndata: {}\n\n`);
+    }
+  }
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    parseInt(process.env.USER_STREAM_HEARTBEAT_MS) ||
+      DEFAULT_STREAM_HEARTBEAT_MS
+  );
+  const unsubscribe = subscribe({
+    onEvent: send,
+    onClose: () => res.end(),
+  });
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 });
 
-// UPDATE - Update a user
-router.put("/:id", async (req, res) => {
-  try {
-    const { name, email, age, city, phone } = req.body;
+// TRASH - List soft-deleted users
+router.get(
+  "/trash",
+  requirePermission("users:delete"),
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
 
-    // Check if email is being changed and if it already exists
-    if (email) {
-      const existingUser = await User.findOne({
-        email,
-        _id: { $ne: req.params.id },
+      const users = await User.find()
+        .deleted()
+        .populate("deletedBy", "name email")
+        .skip(skip)
+        .limit(limit)
+        .sort({ deletedAt: -1 });
+
+      const total = await User.countDocuments().deleted();
+
+      res.json({
+        users,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+        retentionDays: getRetentionDays(),
       });
-      if (existingUser) {
-        return res
-          .status(400)
-          .json({ error: "User with this email already exists" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PURGE - Permanently delete a user that is already in the trash
+router.delete(
+  "/trash/:id",
+  requirePermission("users:purge"),
+  async (req, res, next) => {
+    try {
+      const user = await User.findOneAndDelete({
+        _id: req.params.id,
+        deletedAt: { $ne: null },
+      });
+      if (!user) {
+        return sendProblem(res, 404, "User not found in trash");
       }
+      await recordAudit(req, { action: "purge", before: user });
+      await publishUserEvent(req, { action: "purge", before: user });
+
+      res.json({
+        message: "User permanently deleted",
+        user,
+      });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      {
-        name,
-        email,
-        age,
-        city,
-        phone,
-      },
-      {
-        new: true,
-        runValidators: true,
+// RESTORE - Move a user out of the trash
+router.post(
+  "/:id/restore",
+  requirePermission("users:delete"),
+  async (req, res, next) => {
+    try {
+      const before = await User.findOne({
+        _id: req.params.id,
+        deletedAt: { $ne: null },
+      });
+      if (!before) {
+        return sendProblem(res, 404, "User not found in trash");
       }
-    );
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { deletedAt: null, deletedBy: null },
+        { new: true }
+      );
+      await recordAudit(req, { action: "restore", before, after: user });
+      await publishUserEvent(req, { action: "restore", before, after: user });
+
+      res.json({
+        message: "User restored successfully",
+        user,
+      });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    res.json({
-      message: "User updated successfully",
-      user,
-    });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+// HISTORY - Audit trail for a single user, newest first
+router.get(
+  "/:id/history",
+  requirePermission("users:read"),
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+      const filter = { entity: "User", entityId: req.params.id };
+
+      const entries = await AuditLog.find(filter)
+        .skip(skip)
+        .limit(limit)
+        .sort({ timestamp: -1 });
+
+      const total = await AuditLog.countDocuments(filter);
+
+      res.json({
+        entries,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEntries: total,
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
-// DELETE - Delete a user
-router.delete("/:id", async (req, res) => {
+// READ - Get a single user by ID
+// Honors If-None-Match / If-Modified-Since with a 304
+router.get("/:id", requirePermission("users:read"), async (req, res, next) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findById(req.params.id).notDeleted();
     if (!user) {
-      return res.status(404).json({ error: "User not found" });
+      return sendProblem(res, 404, "User not found");
     }
-    res.json({
-      message: "User deleted successfully",
-      user,
+    const notModified = isNotModified(req, res, {
+      etag: userETag(user),
+      lastModified: user.updatedAt,
     });
+    if (notModified) {
+      return res.status(304).end();
+    }
+    res.json(user);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// SEARCH - Search users by name or email
-router.get("/search/:query", async (req, res) => {
-  try {
-    const query = req.params.query;
-    const users = await User.find({
-      $or: [
-        { name: { $regex: query, $options: "i" } },
-        { email: { $regex: query, $options: "i" } },
-      ],
-    }).sort({ createdAt: -1 });
-
-    res.json(users);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+/**
+ * Shared by PUT and PATCH: load the user, check If-Match, compute the new
+ * values with `buildValues(before)`, validate them and write them in one
+ * conditional update. Invalid input is thrown for the error handler.
+ */
+const writeUser = async (req, res, buildValues) => {
+  const before = await User.findById(req.params.id).notDeleted();
+  if (!before) {
+    return sendProblem(res, 404, "User not found");
   }
-});
+
+  const ifMatch = req.get("If-Match");
+  if (!ifMatchSatisfied(ifMatch, userETag(before))) {
+    return sendPreconditionFailed(res, before);
+  }
+
+  const values = buildValues(before);
+
+  // Validate the complete result, so required fields can't be removed
+  const candidate = new User(values);
+  const validationError = candidate.validateSync(EDITABLE_FIELDS);
+  if (validationError) {
+    throw validationError;
+  }
+
+  // Check if email is being changed and if it already exists
+  if (candidate.email !== before.email) {
+    const existingUser = await User.findOne({
+      email: candidate.email,
+      _id: { $ne: req.params.id },
+    });
+    if (existingUser) {
+      const message = "User with this email already exists";
+      return sendProblem(res, 409, message, { errors: { email: message } });
+    }
+  }
+
+  const user = await User.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      deletedAt: null,
+      ...(ifMatch !== undefined && versionFilter(before)),
+    },
+    toUserUpdate(editableValues(candidate)),
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+  if (!user) {
+    // Changed or deleted between the read above and this write
+    const current = await User.findById(req.params.id).notDeleted();
+    return current
+      ? sendPreconditionFailed(res, current)
+      : sendProblem(res, 404, "User not found");
+  }
+
+  await recordAudit(req, { action: "update", before, after: user });
+  await publishUserEvent(req, { action: "update", before, after: user });
+
+  res.set("ETag", userETag(user));
+  res.json({
+    message: "User updated successfully",
+    user,
+  });
+};
+
+// UPDATE - Replace a user
+// The body is the complete user: fields that are left out are cleared. Send
+// If-Match with the ETag from GET /:id to avoid overwriting someone else's
+// changes; a stale ETag gets 412
+router.put(
+  "/:id",
+  requirePermission("users:update"),
+  async (req, res, next) => {
+    try {
+      await writeUser(req, res, () => parseReplacement(req.body));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// UPDATE - Partially update a user
+// Content-Type application/merge-patch+json (or application/json) for a JSON
+// Merge Patch, where null clears a field; application/json-patch+json for
+// JSON Patch operations. Honors If-Match like PUT
+router.patch(
+  "/:id",
+  requirePermission("users:update"),
+  async (req, res, next) => {
+    let applyPatch;
+    if (req.is("application/json-patch+json")) {
+      applyPatch = applyJsonPatch;
+    } else if (req.is("application/merge-patch+json", "application/json")) {
+      applyPatch = applyMergePatch;
+    } else {
+      return sendProblem(
+        res,
+        415,
+        "Unsupported content type; send application/merge-patch+json " +
+          "or application/json-patch+json"
+      );
+    }
+
+    try {
+      await writeUser(req, res, (before) => applyPatch(before, req.body));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE - Move a user to the trash (soft delete)
+// Honors If-Match like UPDATE
+router.delete(
+  "/:id",
+  requirePermission("users:delete"),
+  async (req, res, next) => {
+    try {
+      const before = await User.findById(req.params.id).notDeleted();
+      if (!before) {
+        return sendProblem(res, 404, "User not found");
+      }
+
+      const ifMatch = req.get("If-Match");
+      if (!ifMatchSatisfied(ifMatch, userETag(before))) {
+        return sendPreconditionFailed(res, before);
+      }
+
+      const user = await User.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          deletedAt: null,
+          ...(ifMatch !== undefined && versionFilter(before)),
+        },
+        { deletedAt: new Date(), deletedBy: req.account.id },
+        { new: true }
+      );
+      if (!user) {
+        const current = await User.findById(req.params.id).notDeleted();
+        return current
+          ? sendPreconditionFailed(res, current)
+          : sendProblem(res, 404, "User not found");
+      }
+
+      await recordAudit(req, { action: "delete", before, after: user });
+      await publishUserEvent(req, { action: "delete", before, after: user });
+
+      res.json({
+        message: "User moved to trash",
+        user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 module.exports = router;
@@ -0,0 +1,224 @@
+const express = require("express");
+const router = express.Router();
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { sendProblem } = require("../utils/problem");
+const {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  sendPing,
+  redeliver,
+} = require("../utils/webhooks");
+
+// Fields a client may set on a subscription
+const SUBSCRIPTION_FIELDS = ["url", "events", "description", "active"];
+const DELIVERY_STATUSES = WebhookDelivery.schema.path("status").enumValues;
+
+/**
+ * Pick the settable fields out of a request body
+ */
+const subscriptionValues = (body = {}) =>
+  SUBSCRIPTION_FIELDS.reduce((values, field) => {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+    return values;
+  }, {});
+
+// READ - List webhook subscriptions
+router.get("/", async (req, res, next) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({
+      createdAt: 1,
+    });
+    res.json({ subscriptions, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// CREATE - Subscribe a URL to user events. The signing secret is only
+// returned here and when it is rotated.
+router.post("/", async (req, res, next) => {
+  try {
+    const secret =
+      req.body.secret === undefined ? generateSecret() : req.body.secret;
+    const subscription = await WebhookSubscription.create({
+      events: WEBHOOK_EVENTS,
+      ...subscriptionValues(req.body),
+      secret,
+      createdBy: req.account.id,
+    });
+
+    res.status(201).json({
+      message: "Webhook subscription created",
+      subscription,
+      secret,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// READ - Get a single subscription
+router.get("/:id", async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return sendProblem(res, 404, "Webhook subscription not found");
+    }
+    res.json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// UPDATE - Change the URL, events, description or active flag
+router.patch("/:id", async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndUpdate(
+      req.params.id,
+      subscriptionValues(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!subscription) {
+      return sendProblem(res, 404, "Webhook subscription not found");
+    }
+
+    res.json({
+      message: "Webhook subscription updated",
+      subscription,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE - Remove a subscription and its delivery log
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(
+      req.params.id
+    );
+    if (!subscription) {
+      return sendProblem(res, 404, "Webhook subscription not found");
+    }
+    await WebhookDelivery.deleteMany({ subscription: subscription._id });
+
+    res.json({
+      message: "Webhook subscription deleted",
+      subscription,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ROTATE - Replace the signing secret
+router.post("/:id/rotate-secret", async (req, res, next) => {
+  try {
+    const secret = generateSecret();
+    const subscription = await WebhookSubscription.findByIdAndUpdate(
+      req.params.id,
+      { secret },
+      { new: true }
+    );
+    if (!subscription) {
+      return sendProblem(res, 404, "Webhook subscription not found");
+    }
+
+    res.json({
+      message: "Signing secret rotated",
+      subscription,
+      secret,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PING - Queue a test event for the subscription's receiver
+router.post("/:id/ping", async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return sendProblem(res, 404, "Webhook subscription not found");
+    }
+
+    const delivery = await sendPing(req, subscription);
+    res.status(202).json({
+      message: "Ping queued",
+      delivery,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELIVERIES - Delivery log of a subscription, newest first
+// Query: status=pending|succeeded|failed, event, page, limit
+router.get("/:id/deliveries", async (req, res, next) => {
+  try {
+    const { status, event } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return sendProblem(
+        res,
+        400,
+        `status must be one of: ${DELIVERY_STATUSES.join(", ")}`
+      );
+    }
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return sendProblem(res, 404, "Webhook subscription not found");
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = {
+      subscription: subscription._id,
+      ...(status && { status }),
+      ...(event && { event }),
+    };
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    res.json({
+      deliveries,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalDeliveries: total,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// REDELIVER - Send a logged delivery again, with the same event id and body
+router.post("/:id/deliveries/:deliveryId/redeliver", async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      subscription: req.params.id,
+    });
+    if (!delivery) {
+      return sendProblem(res, 404, "Webhook delivery not found");
+    }
+
+    const copy = await redeliver(delivery);
+    res.status(202).json({
+      message: "Redelivery queued",
+      delivery: copy,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
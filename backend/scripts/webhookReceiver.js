@@ -0,0 +1,60 @@
+// Local webhook receiver for trying out subscriptions:
+//
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+//
+// then subscribe http://localhost:4000/webhooks. Every delivery is printed
+// with the result of the signature check. Set WEBHOOK_RECEIVER_STATUS (e.g.
+// 500) to answer with an error and watch the API retry.
+const http = require("http");
+const { verifySignature } = require("../utils/webhookSignature");
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const STATUS = parseInt(process.env.WEBHOOK_RECEIVER_STATUS) || 200;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== "POST") {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    // Verify against the raw body: re-serialised JSON may differ
+    const body = Buffer.concat(chunks).toString("utf8");
+    const verified = SECRET
+      ? verifySignature(SECRET, {
+          signature: req.headers["x-webhook-signature"],
+          timestamp: req.headers["x-webhook-timestamp"],
+          body,
+        })
+      : null;
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch (error) {
+      event = body;
+    }
+    console.log(
+      `${new Date().toISOString()} ${req.headers["x-webhook-event"]} ` +
+        `delivery=${req.headers["x-webhook-delivery"]} ` +
+        `signature=${
+          verified === null ? "not checked" : verified ? "valid" : "INVALID"
+        }`
+    );
+    console.log(JSON.stringify(event, null, 2));
+
+    const status = verified === false ? 401 : STATUS;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ received: status < 300 }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+  if (!SECRET) {
+    console.log("WEBHOOK_SECRET is not set; signatures are not checked");
+  }
+});
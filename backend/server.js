@@ -1,22 +1,101 @@
+// Load .env before anything else: some modules read settings when they are
+// required (e.g. the TTL index on webhook deliveries)
+require("dotenv").config();
 const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
 const healthCheck = require("./utils/healthCheck");
-require("dotenv").config();
+const { registerDefaultHealthChecks } = require("./utils/healthChecks");
+const {
+  startHealthSampler,
+  loadHealthHistory,
+  getHealthHistory,
+} = require("./utils/healthHistory");
+const { renderStatusPage } = require("./utils/healthStatusPage");
+const { authenticate, requirePermission } = require("./middleware/auth");
+const { requestId } = require("./middleware/requestId");
+const { requestLogger } = require("./middleware/requestLogger");
+const { refuseWhileDraining } = require("./middleware/drain");
+const { WRITE_METHODS, rateLimit } = require("./middleware/rateLimit");
+const { notFound, errorHandler } = require("./middleware/errorHandler");
+const { httpMetrics } = require("./middleware/metrics");
+const { validateRequest } = require("./middleware/validateRequest");
+const { CONTENT_TYPE, renderMetrics } = require("./utils/metrics");
+const { instrumentMongo } = require("./utils/mongoMetrics");
+const { startRuntimeMetrics } = require("./utils/runtimeMetrics");
+const { startTrashPurger } = require("./utils/trashRetention");
+const { startWebhookWorker } = require("./utils/webhooks");
+const { watchUserChanges } = require("./utils/userStream");
+const { logger } = require("./utils/logger");
+const { connectDatabase } = require("./utils/database");
+const { handleShutdownSignals } = require("./utils/shutdown");
+const User = require("./models/User");
 
 const app = express();
 
+// Behind a reverse proxy (e.g. the frontend's nginx) req.ip is the proxy's
+// address unless the proxy is trusted; rate limits are keyed on req.ip.
+// TRUST_PROXY takes true, a hop count, or addresses/names such as "loopback".
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY && TRUST_PROXY !== "false") {
+  app.set(
+    "trust proxy",
+    TRUST_PROXY === "true"
+      ? true
+      : /^\d+$/.test(TRUST_PROXY)
+      ? parseInt(TRUST_PROXY)
+      : TRUST_PROXY
+  );
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(requestId);
+app.use(requestLogger);
+app.use(refuseWhileDraining);
+app.use(httpMetrics);
+app.use(
+  cors({
+    exposedHeaders: [
+      "X-Request-Id",
+      "ETag",
+      "Content-Disposition",
+      "X-Total-Count",
+      "Deprecation",
+      "Link",
+      "RateLimit-Policy",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After",
+      "Idempotent-Replayed",
+    ],
+  })
+);
+// Bulk imports get a larger body limit and accept CSV; parsed bodies are
+// skipped by the general parsers below
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || "5mb";
+app.use(
+  "/api/users/import",
+  express.json({ limit: IMPORT_BODY_LIMIT }),
+  express.text({ type: ["text/csv", "text/plain"], limit: IMPORT_BODY_LIMIT })
+);
+// Also parses application/merge-patch+json and application/json-patch+json
+app.use(express.json({ type: ["application/json", "application/*+json"] }));
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`${timestamp} - ${req.method} ${req.path} - IP: ${req.ip}`);
-  next();
-});
+app.use(
+  ["/health", "/ping", "/ready", "/alive", "/metrics"],
+  rateLimit("health")
+);
+
+// Database, event loop, heap, disk and HEALTH_HTTP_CHECKS dependencies (see
+// utils/healthChecks.js); other modules can add their own with
+// registerHealthCheck
+registerDefaultHealthChecks();
+
+// Record the checks every HEALTH_SAMPLE_INTERVAL_MS for uptime and incident
+// reports (see utils/healthHistory.js)
+startHealthSampler();
 
 // Health check request counter middleware
 app.use("/health", (req, res, next) => {
@@ -24,20 +103,29 @@ app.use("/health", (req, res, next) => {
   next();
 });
 
-// MongoDB connection
-const MONGODB_URI =
-  process.env.MONGODB_URI || "mongodb://localhost:27017/mernapp";
-
-mongoose
-  .connect(MONGODB_URI, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-  })
+// MongoDB connection, retried with backoff until it succeeds
+connectDatabase()
   .then(() => {
-    console.log("Connected to MongoDB");
+    instrumentMongo(mongoose.connection.getClient());
+    startTrashPurger();
+    startWebhookWorker();
+    watchUserChanges();
+    loadHealthHistory();
+
+    // Users saved before search keys existed can't be found until backfilled
+    User.backfillSearchKeys()
+      .then((count) => {
+        if (count > 0) {
+          logger.info(`Indexed ${count} users for search`);
+        }
+      })
+      .catch((error) => {
+        logger.error("Search backfill failed", { error });
+      });
   })
   .catch((error) => {
-    console.error("MongoDB connection error:", error);
+    // Only happens when the server shuts down before it ever connected
+    logger.warn("Stopped connecting to MongoDB", { error });
   });
 
 // Health Check Routes
@@ -59,7 +147,8 @@ app.get("/ping", (req, res) => {
 app.get("/health/detailed", async (req, res) => {
   try {
     const health = await healthCheck.getDetailedHealth();
-    const statusCode = health.status === "OK" ? 200 : 503;
+    // A degraded server still serves requests
+    const statusCode = health.status === "ERROR" ? 503 : 200;
     res.status(statusCode).json(health);
   } catch (error) {
     res.status(503).json({
@@ -115,7 +204,20 @@ app.get("/alive", (req, res) => {
 });
 
 // System metrics endpoint
+// Prometheus scrapers get the text exposition format; other clients keep
+// getting the JSON snapshot
 app.get("/metrics", (req, res) => {
+  // Prometheus asks for "text/plain;version=0.0.4", which only matches an
+  // offer with the same parameter
+  const format = req.accepts([
+    "application/json",
+    "text/plain;version=0.0.4",
+    "text/plain",
+  ]);
+  if (format && format.startsWith("text/plain")) {
+    return res.type(CONTENT_TYPE).send(renderMetrics());
+  }
+
   const metrics = healthCheck.getSystemMetrics();
   res.status(200).json({
     ...metrics,
@@ -126,30 +228,8 @@ app.get("/metrics", (req, res) => {
 // Health monitoring dashboard endpoint
 app.get("/health/dashboard", async (req, res) => {
   try {
-    const [basicHealth, detailedHealth, dbCheck, readiness, liveness, metrics] =
-      await Promise.all([
-        healthCheck.getBasicHealth(),
-        healthCheck.getDetailedHealth(),
-        healthCheck.checkDatabase(),
-        healthCheck.checkReadiness(),
-        healthCheck.checkLiveness(),
-        healthCheck.getSystemMetrics(),
-      ]);
-
-    res.status(200).json({
-      dashboard: {
-        overall_status: detailedHealth.status,
-        timestamp: new Date().toISOString(),
-        checks: {
-          basic: basicHealth,
-          detailed: detailedHealth,
-          database: dbCheck,
-          readiness: readiness,
-          liveness: liveness,
-          metrics: metrics,
-        },
-      },
-    });
+    const dashboard = await healthCheck.getHealthDashboard();
+    res.status(200).json({ dashboard });
   } catch (error) {
     res.status(500).json({
       dashboard: {
@@ -161,9 +241,62 @@ app.get("/health/dashboard", async (req, res) => {
   }
 });
 
+// Uptime, database latency and incidents over the last hour, day and week
+app.get("/health/history", (req, res) => {
+  res.status(200).json(getHealthHistory());
+});
+
+// Server-rendered status page for people, built from the dashboard
+app.get("/health/status", async (req, res, next) => {
+  try {
+    const dashboard = await healthCheck.getHealthDashboard();
+    res.status(200).type("html").send(renderStatusPage(dashboard));
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Routes
+// Requests are checked against the OpenAPI document when OPENAPI_VALIDATION
+// is warn or enforce (see middleware/validateRequest.js)
+const docsRoutes = require("./routes/docs");
+const authRoutes = require("./routes/auth");
+const accountRoutes = require("./routes/accounts");
+const auditRoutes = require("./routes/audit");
 const userRoutes = require("./routes/users");
-app.use("/api/users", userRoutes);
+const webhookRoutes = require("./routes/webhooks");
+app.use("/api", docsRoutes);
+app.use("/api/auth", validateRequest, authRoutes);
+app.use(
+  "/api/accounts",
+  authenticate,
+  requirePermission("accounts:manage"),
+  rateLimit("writes", { methods: WRITE_METHODS }),
+  validateRequest,
+  accountRoutes
+);
+app.use(
+  "/api/audit",
+  authenticate,
+  requirePermission("audit:read"),
+  validateRequest,
+  auditRoutes
+);
+app.use(
+  "/api/users",
+  authenticate,
+  rateLimit("writes", { methods: WRITE_METHODS }),
+  validateRequest,
+  userRoutes
+);
+app.use(
+  "/api/webhooks",
+  authenticate,
+  requirePermission("webhooks:manage"),
+  rateLimit("writes", { methods: WRITE_METHODS }),
+  validateRequest,
+  webhookRoutes
+);
 
 // Basic route
 app.get("/", (req, res) => {
@@ -172,12 +305,20 @@ app.get("/", (req, res) => {
     version: process.env.npm_package_version || "1.0.0",
     environment: process.env.NODE_ENV || "development",
     endpoints: {
+      docs: "/api/docs",
+      openapi: "/api/openapi.json",
+      auth: "/api/auth",
+      accounts: "/api/accounts",
+      audit: "/api/audit",
       users: "/api/users",
+      webhooks: "/api/webhooks",
       ping: "/ping",
       healthCheck: "/health",
       detailedHealth: "/health/detailed",
       databaseHealth: "/health/database",
       healthDashboard: "/health/dashboard",
+      healthHistory: "/health/history",
+      statusPage: "/health/status",
       readiness: "/ready",
       liveness: "/alive",
       metrics: "/metrics",
@@ -185,14 +326,18 @@ app.get("/", (req, res) => {
   });
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error(error);
-  res.status(500).json({ error: "Internal Server Error" });
-});
+// Error handling: unknown API routes get a 404 and every error is answered
+// as application/problem+json (see middleware/errorHandler.js)
+app.use("/api", notFound);
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+startRuntimeMetrics();
+
+const server = app.listen(PORT, () => {
+  logger.info(`Server is running on port ${PORT}`);
 });
+
+// Drain in-flight requests and close the database on SIGTERM/SIGINT
+handleShutdownSignals(server);
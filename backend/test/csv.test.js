@@ -0,0 +1,120 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseCsv,
+  parseCsvObjects,
+  formatCsvField,
+  formatCsvRow,
+} = require("../utils/csv");
+
+describe("parseCsv", () => {
+  it("splits rows and fields", () => {
+    assert.deepEqual(parseCsv("a,b\n1,2\n"), [
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  it("accepts CRLF and CR line breaks", () => {
+    assert.deepEqual(parseCsv("a,b\r\n1,2\r3,4"), [
+      ["a", "b"],
+      ["1", "2"],
+      ["3", "4"],
+    ]);
+  });
+
+  it("keeps commas, escaped quotes and newlines inside quoted fields", () => {
+    assert.deepEqual(
+      parseCsv('name,note\n"Doe, Jane","said ""hi""\nthen left"'),
+      [
+        ["name", "note"],
+        ["Doe, Jane", 'said "hi"\nthen left'],
+      ]
+    );
+  });
+
+  it("keeps empty fields, including a trailing one", () => {
+    assert.deepEqual(parseCsv('a,,""\nb,'), [
+      ["a", "", ""],
+      ["b", ""],
+    ]);
+  });
+
+  it("skips blank lines", () => {
+    assert.deepEqual(parseCsv("a\n\n  \nb\n"), [["a"], ["b"]]);
+  });
+
+  it("strips a byte order mark", () => {
+    assert.deepEqual(parseCsv("\ufeffname\nJo"), [["name"], ["Jo"]]);
+  });
+
+  it("rejects an unterminated quoted field", () => {
+    assert.throws(() => parseCsv('a,"b\nc'), /unterminated quoted field/);
+  });
+});
+
+describe("parseCsvObjects", () => {
+  it("keys rows by the trimmed header", () => {
+    assert.deepEqual(parseCsvObjects(" name , city\nJo,Pune\n"), [
+      { name: "Jo", city: "Pune" },
+    ]);
+  });
+
+  it("fills missing trailing values with empty strings", () => {
+    assert.deepEqual(parseCsvObjects("name,city,phone\nJo"), [
+      { name: "Jo", city: "", phone: "" },
+    ]);
+  });
+
+  it("returns nothing for empty input", () => {
+    assert.deepEqual(parseCsvObjects(""), []);
+  });
+});
+
+describe("formatCsvField", () => {
+  it("leaves plain values alone and empties null and undefined", () => {
+    assert.equal(formatCsvField("Pune"), "Pune");
+    assert.equal(formatCsvField(42), "42");
+    assert.equal(formatCsvField(null), "");
+    assert.equal(formatCsvField(undefined), "");
+  });
+
+  it("writes dates as ISO strings", () => {
+    assert.equal(
+      formatCsvField(new Date("2024-01-15T09:30:00.000Z")),
+      "2024-01-15T09:30:00.000Z"
+    );
+  });
+
+  it("quotes commas, quotes and line breaks", () => {
+    assert.equal(formatCsvField("Doe, Jane"), '"Doe, Jane"');
+    assert.equal(formatCsvField('say "hi"'), '"say ""hi"""');
+    assert.equal(formatCsvField("a\nb"), '"a\nb"');
+  });
+
+  it("defuses values a spreadsheet would run as formulas", () => {
+    assert.equal(formatCsvField("=SUM(A1)"), "'=SUM(A1)");
+    assert.equal(formatCsvField("@cmd"), "'@cmd");
+    assert.equal(formatCsvField("-2+3"), "'-2+3");
+    assert.equal(formatCsvField("+cmd|' /C calc'!A0"), "'+cmd|' /C calc'!A0");
+  });
+
+  it("leaves phone numbers alone", () => {
+    assert.equal(formatCsvField("+1-555-0123"), "+1-555-0123");
+    assert.equal(formatCsvField("+44 (20) 7946 0958"), "+44 (20) 7946 0958");
+  });
+});
+
+describe("formatCsvRow", () => {
+  it("joins fields and ends the line with CRLF", () => {
+    assert.equal(
+      formatCsvRow(["Jo", "Doe, Jane", null]),
+      'Jo,"Doe, Jane",\r\n'
+    );
+  });
+
+  it("round-trips through parseCsv", () => {
+    const values = ["Jo", 'said "hi"\nthen left', "", "Pune, MH"];
+    assert.deepEqual(parseCsv(formatCsvRow(values)), [values]);
+  });
+});
@@ -0,0 +1,232 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { idempotent } = require("../middleware/idempotency");
+const { logger } = require("../utils/logger");
+
+const ACCOUNT_ID = "64b0a1b2c3d4e5f6a7b8c9d0";
+
+/**
+ * A minimal Express request and response. `next` resolves once the
+ * middleware lets the request through.
+ */
+const exchange = ({ key = "key-1", body = { name: "Jo" } } = {}) => {
+  const req = {
+    method: "POST",
+    originalUrl: "/api/users",
+    body,
+    account: { id: ACCOUNT_ID },
+    // key: null sends no Idempotency-Key header
+    get: (name) =>
+      name === "Idempotency-Key" && key !== null ? key : undefined,
+  };
+  const res = {
+    req,
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    get(name) {
+      return this.headers[name];
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    type(value) {
+      this.headers["Content-Type"] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  return { req, res };
+};
+
+const run = async (req, res) => {
+  let passed = false;
+  await idempotent(req, res, (error) => {
+    if (error) throw error;
+    passed = true;
+  });
+  return passed;
+};
+
+// Stand-ins for the model's database calls, recording what was asked
+const stubs = {};
+const calls = [];
+const stub = (name, fn) => {
+  stubs[name] = IdempotencyKey[name];
+  IdempotencyKey[name] = (...args) => {
+    calls.push([name, ...args]);
+    return fn(...args);
+  };
+};
+const duplicateKey = () =>
+  Promise.reject(Object.assign(new Error("E11000"), { code: 11000 }));
+
+/**
+ * Store the first key created and refuse the rest as duplicates, like the
+ * unique index. Returns the stored record, filled in once created.
+ */
+const storeFirstKey = () => {
+  const record = {};
+  stub("create", (doc) => {
+    if (record._id) {
+      return duplicateKey();
+    }
+    Object.assign(record, doc, { _id: "r1", status: "processing" });
+    return Promise.resolve(record);
+  });
+  return record;
+};
+
+// Wait for the response to be stored, which the middleware doesn't await
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("idempotent", () => {
+  let realWarn;
+
+  beforeEach(() => {
+    calls.length = 0;
+    realWarn = logger.warn;
+    logger.warn = () => {};
+  });
+
+  afterEach(() => {
+    Object.entries(stubs).forEach(([name, fn]) => {
+      IdempotencyKey[name] = fn;
+    });
+    logger.warn = realWarn;
+  });
+
+  it("passes requests without a key straight through", async () => {
+    const { req, res } = exchange({ key: null });
+    stub("create", () => assert.fail("no key should be stored"));
+
+    assert.equal(await run(req, res), true);
+  });
+
+  it("rejects malformed keys", async () => {
+    const { req, res } = exchange({ key: "has spaces" });
+
+    assert.equal(await run(req, res), false);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, "INVALID_IDEMPOTENCY_KEY");
+  });
+
+  it("stores the first response for replays", async () => {
+    const { req, res } = exchange();
+    stub("create", (doc) =>
+      Promise.resolve({ _id: "r1", startedAt: doc.startedAt })
+    );
+    stub("updateOne", () => Promise.resolve());
+
+    assert.equal(await run(req, res), true);
+    res.status(201).json({ user: { name: "Jo" } });
+    await settle();
+
+    const [, filter, update] = calls.find(([name]) => name === "updateOne");
+    assert.equal(filter._id, "r1");
+    assert.ok(filter.startedAt instanceof Date);
+    assert.deepEqual(update, {
+      status: "completed",
+      response: {
+        statusCode: 201,
+        contentType: "application/json",
+        body: JSON.stringify({ user: { name: "Jo" } }),
+      },
+    });
+  });
+
+  it("forgets the key after a server error", async () => {
+    const { req, res } = exchange();
+    stub("create", () => Promise.resolve({ _id: "r1", startedAt: new Date() }));
+    stub("deleteOne", () => Promise.resolve());
+
+    await run(req, res);
+    res.status(503).json({ error: "down" });
+    await settle();
+
+    assert.ok(calls.some(([name]) => name === "deleteOne"));
+  });
+
+  it("replays a completed response", async () => {
+    const first = exchange();
+    const { req, res } = exchange();
+    const record = storeFirstKey();
+    stub("updateOne", (filter, update) => {
+      Object.assign(record, update);
+      return Promise.resolve();
+    });
+    stub("findOneAndUpdate", () => Promise.resolve(null));
+    stub("findOne", () => Promise.resolve(record));
+
+    await run(first.req, first.res);
+    first.res.status(201).json({ id: 1 });
+    await settle();
+
+    assert.equal(await run(req, res), false);
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body, JSON.stringify({ id: 1 }));
+    assert.equal(res.headers["Idempotent-Replayed"], "true");
+  });
+
+  it("refuses a key reused for a different body", async () => {
+    const first = exchange({ body: { name: "Jo" } });
+    const { req, res } = exchange({ body: { name: "Sam" } });
+    const record = storeFirstKey();
+    stub("findOneAndUpdate", () => Promise.resolve(null));
+    stub("findOne", () => Promise.resolve(record));
+
+    await run(first.req, first.res);
+
+    assert.equal(await run(req, res), false);
+    assert.equal(res.statusCode, 422);
+    assert.equal(res.body.code, "IDEMPOTENCY_KEY_REUSED");
+  });
+
+  it("asks the client to retry while the first request runs", async () => {
+    const first = exchange();
+    const { req, res } = exchange();
+    const record = storeFirstKey();
+    stub("findOneAndUpdate", () => Promise.resolve(null));
+    stub("findOne", () => Promise.resolve(record));
+
+    await run(first.req, first.res);
+
+    assert.equal(await run(req, res), false);
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, "IDEMPOTENCY_KEY_IN_USE");
+    assert.equal(res.headers["Retry-After"], "1");
+  });
+
+  it("takes over a key abandoned past its lease", async () => {
+    const { req, res } = exchange();
+    const startedAt = new Date();
+    stub("create", duplicateKey);
+    stub("findOneAndUpdate", () => Promise.resolve({ _id: "r1", startedAt }));
+    stub("updateOne", () => Promise.resolve());
+
+    assert.equal(await run(req, res), true);
+
+    const [, filter] = calls.find(([name]) => name === "findOneAndUpdate");
+    assert.equal(filter.status, "processing");
+    assert.equal(filter.account, ACCOUNT_ID);
+    const leaseMs = Date.now() - filter.startedAt.$lt.getTime();
+    assert.ok(leaseMs >= 300000 && leaseMs < 301000);
+
+    res.status(201).json({ id: 1 });
+    await settle();
+    const [, ownFilter] = calls.find(([name]) => name === "updateOne");
+    assert.deepEqual(ownFilter, { _id: "r1", startedAt });
+  });
+});
@@ -0,0 +1,194 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { logger, redact, withLogContext } = require("../utils/logger");
+const { requestLogger } = require("../middleware/requestLogger");
+
+/**
+ * Run `fn` and return the JSON lines it wrote to stdout and stderr
+ */
+const capture = (fn) => {
+  const lines = { stdout: [], stderr: [] };
+  const writes = {
+    stdout: process.stdout.write,
+    stderr: process.stderr.write,
+  };
+  ["stdout", "stderr"].forEach((stream) => {
+    process[stream].write = (chunk) => {
+      lines[stream].push(JSON.parse(chunk));
+      return true;
+    };
+  });
+  try {
+    fn();
+  } finally {
+    process.stdout.write = writes.stdout;
+    process.stderr.write = writes.stderr;
+  }
+  return lines;
+};
+
+describe("redact", () => {
+  it("replaces sensitive keys at any depth, whatever their case", () => {
+    assert.deepEqual(
+      redact({
+        user: { name: "Jo", Email: "jo@example.com", phone: "+1-555-0123" },
+        headers: { Authorization: "Bearer abc" },
+        tokens: [{ refreshToken: "r", accessToken: "a" }],
+        password: "secret",
+      }),
+      {
+        user: { name: "Jo", Email: "[REDACTED]", phone: "[REDACTED]" },
+        headers: { Authorization: "[REDACTED]" },
+        tokens: [{ refreshToken: "[REDACTED]", accessToken: "[REDACTED]" }],
+        password: "[REDACTED]",
+      }
+    );
+  });
+
+  it("masks email addresses inside strings", () => {
+    assert.equal(
+      redact('User with email "jo.park+1@example.co.uk" already exists'),
+      'User with email "[REDACTED]" already exists'
+    );
+  });
+
+  it("keeps the name, message, code and stack of errors", () => {
+    const error = Object.assign(new Error("Duplicate jo@example.com"), {
+      code: 11000,
+    });
+    const redacted = redact({ error });
+
+    assert.equal(redacted.error.name, "Error");
+    assert.equal(redacted.error.message, "Duplicate [REDACTED]");
+    assert.equal(redacted.error.code, 11000);
+    assert.match(redacted.error.stack, /^Error: Duplicate \[REDACTED\]/);
+  });
+
+  it("leaves dates, numbers and null alone", () => {
+    const date = new Date("2024-01-15T09:30:00.000Z");
+    assert.deepEqual(redact({ at: date, count: 3, none: null }), {
+      at: date,
+      count: 3,
+      none: null,
+    });
+  });
+
+  it("truncates deeply nested values", () => {
+    assert.deepEqual(redact({ a: { b: { c: { d: { e: { f: 1 } } } } } }), {
+      a: { b: { c: { d: { e: "[Truncated]" } } } },
+    });
+  });
+
+  it("doesn't change the value it was given", () => {
+    const fields = { user: { email: "jo@example.com" } };
+    redact(fields);
+    assert.equal(fields.user.email, "jo@example.com");
+  });
+});
+
+describe("logger", () => {
+  afterEach(() => {
+    delete process.env.LOG_LEVEL;
+  });
+
+  it("writes warnings and errors to stderr and the rest to stdout", () => {
+    const lines = capture(() => {
+      logger.info("started", { port: 5000 });
+      logger.warn("slow");
+      logger.error("failed");
+    });
+
+    assert.deepEqual(
+      lines.stdout.map(({ level, msg, port }) => ({ level, msg, port })),
+      [{ level: "info", msg: "started", port: 5000 }]
+    );
+    assert.deepEqual(
+      lines.stderr.map(({ level }) => level),
+      ["warn", "error"]
+    );
+    assert.ok(!isNaN(Date.parse(lines.stdout[0].time)));
+  });
+
+  it("skips lines below LOG_LEVEL", () => {
+    process.env.LOG_LEVEL = "WARN";
+    const lines = capture(() => {
+      logger.debug("noise");
+      logger.info("noise");
+      logger.warn("kept");
+    });
+
+    assert.equal(lines.stdout.length, 0);
+    assert.equal(lines.stderr.length, 1);
+  });
+
+  it("adds the context fields to every line and redacts them too", () => {
+    const lines = capture(() =>
+      withLogContext({ requestId: "r-1" }, () =>
+        withLogContext({ email: "jo@example.com" }, () =>
+          logger.info("inside", { city: "Pune" })
+        )
+      )
+    );
+
+    assert.equal(lines.stdout[0].requestId, "r-1");
+    assert.equal(lines.stdout[0].email, "[REDACTED]");
+    assert.equal(lines.stdout[0].city, "Pune");
+  });
+
+  it("lets explicit fields win over the context", () => {
+    const lines = capture(() =>
+      withLogContext({ requestId: "r-1" }, () =>
+        logger.info("aborted", { requestId: "r-2" })
+      )
+    );
+
+    assert.equal(lines.stdout[0].requestId, "r-2");
+  });
+});
+
+describe("requestLogger", () => {
+  const request = () => {
+    const req = {
+      id: "r-1",
+      ip: "::1",
+      method: "POST",
+      originalUrl: "/api/users?search=jo",
+      get: () => "curl/8",
+    };
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    return { req, res };
+  };
+
+  it("logs the status of a completed request without the query", () => {
+    const { req, res } = request();
+    withLogContext({ requestId: req.id }, () =>
+      requestLogger(req, res, () => {})
+    );
+    res.statusCode = 422;
+    const lines = capture(() => {
+      res.emit("finish");
+      res.emit("close");
+    });
+
+    assert.equal(lines.stderr.length, 1);
+    assert.equal(lines.stderr[0].msg, "Request completed");
+    assert.equal(lines.stderr[0].status, 422);
+    assert.equal(lines.stderr[0].path, "/api/users");
+  });
+
+  it("logs an aborted request as 499 with its id and ip", () => {
+    const { req, res } = request();
+    withLogContext({ requestId: req.id }, () =>
+      requestLogger(req, res, () => {})
+    );
+    // Emitted outside the request's context, as after a disconnect
+    const lines = capture(() => res.emit("close"));
+
+    assert.equal(lines.stderr[0].msg, "Request aborted");
+    assert.equal(lines.stderr[0].status, 499);
+    assert.equal(lines.stderr[0].requestId, "r-1");
+    assert.equal(lines.stderr[0].ip, "::1");
+  });
+});
@@ -0,0 +1,233 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const {
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  findCursorPage,
+} = require("../utils/pagination");
+
+const doc = (iso, id) => ({
+  createdAt: new Date(iso),
+  _id: new mongoose.Types.ObjectId(id),
+});
+
+const token = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+describe("parsePagination", () => {
+  afterEach(() => {
+    delete process.env.MAX_PAGE_LIMIT;
+  });
+
+  it("defaults to the first page of 10 with a total", () => {
+    assert.deepEqual(parsePagination({}), {
+      mode: "page",
+      limit: 10,
+      page: 1,
+      cursor: null,
+      includeTotal: true,
+    });
+  });
+
+  it("switches to cursor mode without a total", () => {
+    const pagination = parsePagination({ pagination: "cursor", limit: "5" });
+    assert.equal(pagination.mode, "cursor");
+    assert.equal(pagination.limit, 5);
+    assert.equal(pagination.includeTotal, false);
+  });
+
+  it("rejects limits that aren't positive integers or exceed the maximum", () => {
+    assert.throws(() => parsePagination({ limit: "0" }), /positive integer/);
+    assert.throws(() => parsePagination({ limit: "2.5" }), /positive integer/);
+    assert.throws(() => parsePagination({ limit: "101" }), /cannot exceed 100/);
+    process.env.MAX_PAGE_LIMIT = "500";
+    assert.equal(parsePagination({ limit: "101" }).limit, 101);
+  });
+
+  it("rejects a page together with a cursor", () => {
+    const cursor = encodeCursor(
+      doc("2024-01-15T09:30:00.000Z", "64b0a1b2c3d4e5f6a7b8c9d0"),
+      "next",
+      -1
+    );
+    assert.throws(
+      () => parsePagination({ cursor, page: "2" }),
+      /either "page" or "cursor"/
+    );
+  });
+
+  it("rejects unknown pagination and includeTotal values", () => {
+    assert.throws(() => parsePagination({ pagination: "offset" }));
+    assert.throws(() => parsePagination({ includeTotal: "yes" }));
+  });
+});
+
+describe("cursors", () => {
+  it("decode to what was encoded", () => {
+    const position = doc(
+      "2024-01-15T09:30:00.000Z",
+      "64b0a1b2c3d4e5f6a7b8c9d0"
+    );
+    const cursor = decodeCursor(encodeCursor(position, "prev", 1));
+
+    assert.deepEqual(cursor.value, position.createdAt);
+    assert.equal(cursor.id.toString(), position._id.toString());
+    assert.equal(cursor.direction, "prev");
+    assert.equal(cursor.order, 1);
+  });
+
+  it("are URL-safe", () => {
+    const cursor = encodeCursor(
+      doc("2024-01-15T09:30:00.000Z", "64b0a1b2c3d4e5f6a7b8c9d0"),
+      "next",
+      -1
+    );
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  });
+
+  it("reject tokens that aren't base64 JSON", () => {
+    assert.throws(() => decodeCursor("not a cursor"), /Invalid cursor/);
+    assert.throws(() => decodeCursor(""), /Invalid cursor/);
+    assert.throws(() => decodeCursor(token("null")), /Invalid cursor/);
+  });
+
+  it("reject tampered fields", () => {
+    const valid = {
+      v: "2024-01-15T09:30:00.000Z",
+      id: "64b0a1b2c3d4e5f6a7b8c9d0",
+      d: "next",
+      o: -1,
+    };
+    assert.ok(decodeCursor(token(valid)));
+
+    [
+      { v: "yesterday" },
+      { id: "not-an-id" },
+      { id: { $gt: "" } },
+      { d: "sideways" },
+      { o: 0 },
+    ].forEach((change) => {
+      assert.throws(
+        () => decodeCursor(token({ ...valid, ...change })),
+        /Invalid cursor/
+      );
+    });
+  });
+});
+
+describe("findCursorPage", () => {
+  // A model whose find() records the query and returns `docs`
+  const fakeModel = (docs) => {
+    const calls = {};
+    const query = {
+      sort: (sort) => {
+        calls.sort = sort;
+        return query;
+      },
+      limit: (limit) => {
+        calls.limit = limit;
+        return query;
+      },
+      select: (fields) => {
+        calls.select = fields;
+        return query;
+      },
+      then: (resolve) => resolve(docs),
+    };
+    return {
+      calls,
+      find: (filter) => {
+        calls.filter = filter;
+        return query;
+      },
+    };
+  };
+
+  const docs = [
+    doc("2024-01-03T00:00:00.000Z", "64b0a1b2c3d4e5f6a7b8c903"),
+    doc("2024-01-02T00:00:00.000Z", "64b0a1b2c3d4e5f6a7b8c902"),
+    doc("2024-01-01T00:00:00.000Z", "64b0a1b2c3d4e5f6a7b8c901"),
+  ];
+
+  it("returns the first page and a next cursor when there is more", async () => {
+    const Model = fakeModel(docs);
+    const page = await findCursorPage(
+      Model,
+      { deletedAt: null },
+      {
+        cursor: null,
+        limit: 2,
+        order: -1,
+      }
+    );
+
+    assert.deepEqual(page.items, docs.slice(0, 2));
+    assert.equal(page.prevCursor, null);
+    assert.equal(
+      decodeCursor(page.nextCursor).id.toString(),
+      docs[1]._id.toString()
+    );
+    assert.equal(Model.calls.limit, 3);
+    assert.deepEqual(Model.calls.sort, { createdAt: -1, _id: -1 });
+  });
+
+  it("continues after the cursor, breaking createdAt ties by _id", async () => {
+    const Model = fakeModel(docs.slice(2));
+    const cursor = decodeCursor(encodeCursor(docs[1], "next", -1));
+    const page = await findCursorPage(
+      Model,
+      { deletedAt: null },
+      {
+        cursor,
+        limit: 2,
+        order: -1,
+      }
+    );
+
+    assert.deepEqual(Model.calls.filter.$and[1], {
+      $or: [
+        { createdAt: { $lt: docs[1].createdAt } },
+        { createdAt: docs[1].createdAt, _id: { $lt: docs[1]._id } },
+      ],
+    });
+    assert.equal(page.nextCursor, null);
+    assert.ok(page.prevCursor);
+  });
+
+  it("walks backwards in the opposite order and restores it", async () => {
+    const Model = fakeModel([docs[1], docs[0]]);
+    const cursor = decodeCursor(encodeCursor(docs[2], "prev", -1));
+    const page = await findCursorPage(
+      Model,
+      {},
+      {
+        cursor,
+        limit: 2,
+        order: -1,
+      }
+    );
+
+    assert.deepEqual(Model.calls.sort, { createdAt: 1, _id: 1 });
+    assert.deepEqual(page.items, [docs[0], docs[1]]);
+    assert.equal(page.prevCursor, null);
+    assert.ok(page.nextCursor);
+  });
+
+  it("always selects the sort keys", async () => {
+    const Model = fakeModel([]);
+    await findCursorPage(
+      Model,
+      {},
+      {
+        cursor: null,
+        limit: 2,
+        order: 1,
+        fields: ["name"],
+      }
+    );
+
+    assert.equal(Model.calls.select, "name createdAt _id");
+  });
+});
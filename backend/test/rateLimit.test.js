@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStore, getPolicy } = require("../utils/rateLimit");
+
+describe("createMemoryStore", () => {
+  const policy = { burst: 3, perMinute: 60 };
+  const realNow = Date.now;
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    Date.now = () => now;
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  const consumeTimes = async (store, key, times) => {
+    const results = [];
+    for (let i = 0; i < times; i++) {
+      results.push(await store.consume(key, policy));
+    }
+    return results;
+  };
+
+  it("allows a burst, then refuses with the time to the next token", async () => {
+    const store = createMemoryStore();
+    const results = await consumeTimes(store, "a", 4);
+
+    assert.deepEqual(
+      results.map(({ allowed, remaining }) => [allowed, remaining]),
+      [
+        [true, 2],
+        [true, 1],
+        [true, 0],
+        [false, 0],
+      ]
+    );
+    assert.equal(results[3].retryAfterSeconds, 1);
+    assert.equal(results[3].resetSeconds, 3);
+  });
+
+  it("refills at perMinute, up to the burst", async () => {
+    const store = createMemoryStore();
+    await consumeTimes(store, "a", 3);
+
+    now += 1500;
+    const [refilled, empty] = await consumeTimes(store, "a", 2);
+    assert.equal(refilled.allowed, true);
+    assert.equal(empty.allowed, false);
+    // Half a token is left over, so the next one is due in half a second
+    assert.equal(empty.retryAfterSeconds, 1);
+
+    now += 60 * 60 * 1000;
+    const results = await consumeTimes(store, "a", 4);
+    assert.deepEqual(
+      results.map(({ allowed }) => allowed),
+      [true, true, true, false]
+    );
+  });
+
+  it("keeps a bucket per key", async () => {
+    const store = createMemoryStore();
+    await consumeTimes(store, "a", 3);
+
+    assert.equal((await store.consume("a", policy)).allowed, false);
+    assert.equal((await store.consume("b", policy)).allowed, true);
+  });
+
+  it("starts over after reset", async () => {
+    const store = createMemoryStore();
+    await consumeTimes(store, "a", 3);
+    await store.reset("a");
+
+    assert.equal((await store.consume("a", policy)).remaining, 2);
+  });
+
+  it("evicts full buckets first, then the least recently used", async () => {
+    const store = createMemoryStore({ maxKeys: 2 });
+    await consumeTimes(store, "old", 3);
+    await consumeTimes(store, "recent", 3);
+    // Touch "old" so "recent" is now the least recently used
+    await store.consume("old", policy);
+
+    await store.consume("new", policy);
+    assert.equal((await store.consume("old", policy)).allowed, false);
+    assert.equal((await store.consume("recent", policy)).remaining, 2);
+  });
+});
+
+describe("getPolicy", () => {
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_SEARCH_BURST;
+    delete process.env.RATE_LIMIT_SEARCH_PER_MINUTE;
+  });
+
+  it("reads overrides from the environment", () => {
+    process.env.RATE_LIMIT_SEARCH_BURST = "5.7";
+    process.env.RATE_LIMIT_SEARCH_PER_MINUTE = "30";
+
+    assert.deepEqual(getPolicy("search"), {
+      name: "search",
+      burst: 5,
+      perMinute: 30,
+    });
+  });
+
+  it("ignores overrides that aren't positive numbers", () => {
+    process.env.RATE_LIMIT_SEARCH_BURST = "-1";
+    process.env.RATE_LIMIT_SEARCH_PER_MINUTE = "lots";
+
+    assert.deepEqual(getPolicy("search"), {
+      name: "search",
+      burst: 20,
+      perMinute: 120,
+    });
+  });
+
+  it("rejects unknown groups", () => {
+    assert.throws(() => getPolicy("uploads"), /Unknown rate limit group/);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  tokenize,
+  buildSearchKeys,
+  parseSearchTerms,
+  findMatchRanges,
+  buildHighlights,
+} = require("../utils/searchText");
+const { searchFilter } = require("../utils/userSearch");
+
+describe("tokenize", () => {
+  it("lowercases and splits on anything but letters and digits", () => {
+    assert.deepEqual(tokenize("John.Doe@Example.com"), [
+      "john",
+      "doe",
+      "example",
+      "com",
+    ]);
+    assert.deepEqual(tokenize("São Paulo 2"), ["são", "paulo", "2"]);
+    assert.deepEqual(tokenize(null), []);
+  });
+});
+
+describe("buildSearchKeys", () => {
+  it("stores every token and each of its prefixes", () => {
+    const keys = buildSearchKeys({ name: "Jo Li", email: "jo@x.io" });
+
+    assert.deepEqual(keys.searchTokens.sort(), ["io", "jo", "li", "x"]);
+    assert.deepEqual(keys.searchPrefixes.sort(), [
+      "i",
+      "io",
+      "j",
+      "jo",
+      "l",
+      "li",
+      "x",
+    ]);
+  });
+
+  it("caps prefixes at 20 characters", () => {
+    const { searchPrefixes } = buildSearchKeys({ name: "a".repeat(30) });
+    assert.equal(Math.max(...searchPrefixes.map((p) => p.length)), 20);
+  });
+});
+
+describe("parseSearchTerms", () => {
+  it("returns the distinct terms", () => {
+    assert.deepEqual(parseSearchTerms("Jo jo PARK"), ["jo", "park"]);
+  });
+
+  it("treats regular expression characters as separators", () => {
+    assert.deepEqual(parseSearchTerms(".*(jo|park)+"), ["jo", "park"]);
+  });
+
+  it("rejects empty, punctuation-only and oversized queries", () => {
+    assert.throws(() => parseSearchTerms("  "), /required/);
+    assert.throws(() => parseSearchTerms(undefined), /required/);
+    assert.throws(() => parseSearchTerms("?!"), /letters or numbers/);
+    assert.throws(() => parseSearchTerms("a".repeat(201)), /200 characters/);
+    assert.throws(() => parseSearchTerms("a b c d e f g h i j k"), /10 words/);
+  });
+});
+
+describe("findMatchRanges", () => {
+  it("finds terms at the start of words and merges overlaps", () => {
+    assert.deepEqual(findMatchRanges("Jo Johnson", ["jo", "joh"]), [
+      [0, 2],
+      [3, 6],
+    ]);
+    assert.deepEqual(findMatchRanges("Major", ["jo"]), []);
+    assert.deepEqual(findMatchRanges(undefined, ["jo"]), []);
+  });
+});
+
+describe("buildHighlights", () => {
+  it("lists only the fields that matched", () => {
+    assert.deepEqual(
+      buildHighlights(
+        { name: "Jo Park", email: "jo@x.io", city: "Pune", phone: "jo" },
+        ["jo"]
+      ),
+      { name: [[0, 2]], email: [[0, 2]] }
+    );
+  });
+});
+
+describe("searchFilter", () => {
+  it("matches every term as a stored prefix in prefix mode", () => {
+    assert.deepEqual(searchFilter(["jo", "a".repeat(25)]), {
+      deletedAt: null,
+      searchPrefixes: { $all: ["jo", "a".repeat(20)] },
+    });
+  });
+
+  it("uses the text index in text mode", () => {
+    assert.deepEqual(searchFilter(["jo", "park"], "text"), {
+      deletedAt: null,
+      $text: { $search: "jo park" },
+    });
+  });
+});
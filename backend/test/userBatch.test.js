@@ -0,0 +1,132 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const {
+  parseBatch,
+  requiredPermissions,
+  runBatch,
+} = require("../utils/userBatch");
+
+const ID = "64b0a1b2c3d4e5f6a7b8c9d0";
+
+// assert.throws matcher for an error with an HTTP status
+const httpError = (status, message) => (error) => {
+  assert.equal(error.status, status);
+  assert.match(error.message, message);
+  return true;
+};
+
+describe("parseBatch", () => {
+  it("defaults to atomic mode and resolves filters", () => {
+    const batch = parseBatch({
+      operations: [
+        { op: "update", filter: { city: "Pune" }, set: { city: "Mumbai" } },
+        { op: "delete", id: ID },
+      ],
+    });
+
+    assert.equal(batch.mode, "atomic");
+    assert.equal(batch.operations[0].query.deletedAt, null);
+    assert.match("PUNE", batch.operations[0].query.city);
+    assert.equal(batch.operations[1].id, ID);
+  });
+
+  it("rejects malformed batches before anything runs", () => {
+    [
+      [[], /JSON object/],
+      [{ mode: "eventual", operations: [] }, /mode must be one of/],
+      [{ operations: [] }, /non-empty array/],
+      [{ operations: [{ op: "upsert", id: ID }] }, /"op" must be/],
+      [{ operations: [{ op: "delete" }] }, /either "id" or "filter"/],
+      [{ operations: [{ op: "delete", id: "7" }] }, /not a valid id/],
+      [{ operations: [{ op: "delete", id: ID, extra: 1 }] }, /unknown key/],
+      [{ operations: [{ op: "delete", id: ID, set: {} }] }, /does not take/],
+      [{ operations: [{ op: "update", id: ID }] }, /non-empty "set"/],
+      [
+        { operations: [{ op: "update", id: ID, set: { role: "admin" } }] },
+        /cannot set role/,
+      ],
+      [
+        {
+          operations: [
+            {
+              op: "update",
+              filter: { city: "Pune" },
+              set: { email: "a@b.co" },
+            },
+          ],
+        },
+        /email can only be set by id/,
+      ],
+      [
+        { operations: [{ op: "delete", filter: { city: { $ne: "" } } }] },
+        /single value/,
+      ],
+    ].forEach(([body, message]) => {
+      assert.throws(() => parseBatch(body), httpError(400, message));
+    });
+  });
+
+  it("limits the number of operations", () => {
+    const operations = Array.from({ length: 101 }, () => ({
+      op: "delete",
+      id: ID,
+    }));
+    assert.throws(() => parseBatch({ operations }), httpError(413, /100/));
+  });
+});
+
+describe("requiredPermissions", () => {
+  it("asks for the permission of every operation", () => {
+    assert.deepEqual(
+      requiredPermissions({
+        operations: [{ op: "delete" }, { op: "update" }, { op: "delete" }],
+      }).sort(),
+      ["users:delete", "users:update"]
+    );
+    assert.deepEqual(requiredPermissions("nonsense"), []);
+  });
+});
+
+describe("runBatch in atomic mode", () => {
+  const realStartSession = mongoose.startSession;
+  const realFindById = User.findById;
+
+  afterEach(() => {
+    mongoose.startSession = realStartSession;
+    User.findById = realFindById;
+  });
+
+  it("answers 501 when MongoDB is not a replica set", async () => {
+    mongoose.startSession = async () => ({
+      withTransaction: async (fn) => fn(),
+      endSession: async () => {},
+    });
+    // What a standalone server answers to the first command of a transaction
+    const refused = Object.assign(
+      new Error(
+        "Transaction numbers are only allowed on a replica set member or mongos"
+      ),
+      { code: 20 }
+    );
+    User.findById = () => ({
+      notDeleted() {
+        return this;
+      },
+      session: () => Promise.reject(refused),
+    });
+
+    await assert.rejects(
+      runBatch(
+        { account: { id: ID } },
+        parseBatch({ operations: [{ op: "delete", id: ID }] })
+      ),
+      (error) => {
+        assert.equal(error.status, 501);
+        assert.equal(error.extensions.code, "TRANSACTIONS_UNSUPPORTED");
+        return true;
+      }
+    );
+  });
+});
@@ -0,0 +1,215 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseReplacement,
+  applyMergePatch,
+  applyJsonPatch,
+  toUserUpdate,
+} = require("../utils/userPatch");
+
+const user = {
+  _id: "64b0a1b2c3d4e5f6a7b8c9d0",
+  name: "Jo Park",
+  email: "jo@example.com",
+  age: 30,
+  city: "Pune",
+  phone: null,
+};
+
+// assert.throws matcher for an error with an HTTP status
+const httpError = (status, message) => (error) => {
+  assert.equal(error.status, status);
+  assert.match(error.message, message);
+  return true;
+};
+
+describe("parseReplacement", () => {
+  it("keeps editable fields and ignores read-only ones", () => {
+    assert.deepEqual(
+      parseReplacement({ ...user, createdAt: "2024-01-01", __v: 0 }),
+      { name: "Jo Park", email: "jo@example.com", age: 30, city: "Pune" }
+    );
+  });
+
+  it("drops empty values so the field is cleared", () => {
+    assert.deepEqual(parseReplacement({ name: "Jo", city: "", phone: null }), {
+      name: "Jo",
+    });
+  });
+
+  it("rejects unknown fields and non-objects", () => {
+    assert.throws(
+      () => parseReplacement({ name: "Jo", role: "admin" }),
+      httpError(400, /Unknown field\(s\): role/)
+    );
+    assert.throws(() => parseReplacement([]), httpError(400, /JSON object/));
+  });
+});
+
+describe("applyMergePatch", () => {
+  it("replaces given members and keeps the rest", () => {
+    assert.deepEqual(applyMergePatch(user, { city: "Mumbai" }), {
+      name: "Jo Park",
+      email: "jo@example.com",
+      age: 30,
+      city: "Mumbai",
+    });
+  });
+
+  it("removes members set to null", () => {
+    const patched = applyMergePatch(user, { city: null, age: null });
+    assert.equal("city" in patched, false);
+    assert.equal("age" in patched, false);
+  });
+
+  it("treats an empty patch as no change", () => {
+    assert.deepEqual(applyMergePatch(user, {}), {
+      name: "Jo Park",
+      email: "jo@example.com",
+      age: 30,
+      city: "Pune",
+    });
+  });
+
+  it("rejects unknown fields and patches that aren't objects", () => {
+    assert.throws(
+      () => applyMergePatch(user, { _id: "other" }),
+      httpError(400, /Unknown field/)
+    );
+    assert.throws(
+      () => applyMergePatch(user, ["city"]),
+      httpError(400, /must be a JSON object/)
+    );
+    assert.throws(
+      () => applyMergePatch(user, null),
+      httpError(400, /must be a JSON object/)
+    );
+  });
+});
+
+describe("applyJsonPatch", () => {
+  it("applies add, replace and remove in order", () => {
+    assert.deepEqual(
+      applyJsonPatch(user, [
+        { op: "add", path: "/phone", value: "+1-555-0123" },
+        { op: "replace", path: "/age", value: 31 },
+        { op: "remove", path: "/city" },
+      ]),
+      {
+        name: "Jo Park",
+        email: "jo@example.com",
+        age: 31,
+        phone: "+1-555-0123",
+      }
+    );
+  });
+
+  it("moves and copies values between fields", () => {
+    const moved = applyJsonPatch(user, [
+      { op: "move", from: "/city", path: "/phone" },
+    ]);
+    assert.equal(moved.phone, "Pune");
+    assert.equal("city" in moved, false);
+
+    const copied = applyJsonPatch(user, [
+      { op: "copy", from: "/city", path: "/phone" },
+    ]);
+    assert.equal(copied.phone, "Pune");
+    assert.equal(copied.city, "Pune");
+  });
+
+  it("refuses to move a field that doesn't exist", () => {
+    assert.throws(
+      () =>
+        applyJsonPatch(user, [{ op: "move", from: "/phone", path: "/city" }]),
+      httpError(400, /"\/phone" does not exist/)
+    );
+  });
+
+  it("passes a test that matches and answers 409 to one that doesn't", () => {
+    assert.equal(
+      applyJsonPatch(user, [
+        { op: "test", path: "/city", value: "Pune" },
+        { op: "replace", path: "/city", value: "Mumbai" },
+      ]).city,
+      "Mumbai"
+    );
+    assert.throws(
+      () =>
+        applyJsonPatch(user, [
+          { op: "replace", path: "/city", value: "Mumbai" },
+          { op: "test", path: "/age", value: "30" },
+        ]),
+      httpError(409, /Operation 1: test failed for "\/age"/)
+    );
+  });
+
+  it("leaves the user untouched when an operation fails", () => {
+    const before = { ...user };
+    assert.throws(() =>
+      applyJsonPatch(user, [
+        { op: "replace", path: "/city", value: "Mumbai" },
+        { op: "remove", path: "/phone" },
+      ])
+    );
+    assert.deepEqual(user, before);
+  });
+
+  it("rejects bad operations and pointers", () => {
+    assert.throws(
+      () => applyJsonPatch(user, { op: "add" }),
+      httpError(400, /array of operations/)
+    );
+    assert.throws(
+      () => applyJsonPatch(user, [{ op: "merge", path: "/city" }]),
+      httpError(400, /"op" must be one of/)
+    );
+    assert.throws(
+      () => applyJsonPatch(user, [{ op: "add", path: "/city" }]),
+      httpError(400, /requires a "value"/)
+    );
+    assert.throws(
+      () => applyJsonPatch(user, [{ op: "remove", path: "" }]),
+      httpError(400, /must point to a user field/)
+    );
+    assert.throws(
+      () => applyJsonPatch(user, [{ op: "add", path: "/a/b", value: 1 }]),
+      httpError(400, /must point to a user field/)
+    );
+    assert.throws(
+      () => applyJsonPatch(user, [{ op: "add", path: "/_id", value: "x" }]),
+      httpError(400, /Cannot patch "_id"/)
+    );
+  });
+
+  it("unescapes ~1 and ~0 in pointers", () => {
+    assert.throws(
+      () => applyJsonPatch(user, [{ op: "add", path: "/a~1b", value: 1 }]),
+      httpError(400, /Cannot patch "a\/b"/)
+    );
+    assert.throws(
+      () => applyJsonPatch(user, [{ op: "add", path: "/a~0b", value: 1 }]),
+      httpError(400, /Cannot patch "a~b"/)
+    );
+  });
+});
+
+describe("toUserUpdate", () => {
+  it("sets present fields and unsets the others", () => {
+    assert.deepEqual(toUserUpdate({ name: "Jo", email: "jo@example.com" }), {
+      $set: { name: "Jo", email: "jo@example.com" },
+      $unset: { age: "", city: "", phone: "" },
+    });
+  });
+
+  it("leaves out $unset when every field is present", () => {
+    const values = {
+      name: "Jo",
+      email: "j@x.co",
+      age: 1,
+      city: "P",
+      phone: "1",
+    };
+    assert.deepEqual(toUserUpdate(values), { $set: values });
+  });
+});
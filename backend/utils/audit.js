@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const { logger } = require("./logger");
+
+// Fields of a User document that are tracked in the audit trail
+const USER_AUDIT_FIELDS = [
+  "name",
+  "email",
+  "age",
+  "city",
+  "phone",
+  "deletedAt",
+  "deletedBy",
+];
+
+/**
+ * Normalise a value so it can be compared and stored in a diff
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  return value;
+};
+
+/**
+ * Build a field-level diff between two document snapshots. Either side may
+ * be null (for creates and purges).
+ */
+const diffFields = (before, after, fields = USER_AUDIT_FIELDS) => {
+  const changes = [];
+
+  fields.forEach((field) => {
+    const previous = normalize(before ? before[field] : null);
+    const next = normalize(after ? after[field] : null);
+
+    if (previous !== next) {
+      changes.push({ field, before: previous, after: next });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Record an audit entry for a write made during a request. Failures are
+ * logged rather than thrown so auditing never breaks the write itself.
+ */
+const recordAudit = async (req, { entity = "User", action, before, after }) => {
+  const doc = after || before;
+
+  try {
+    await AuditLog.create({
+      entity,
+      entityId: doc._id,
+      action,
+      actor: req.account
+        ? { id: req.account.id, email: req.account.email }
+        : undefined,
+      requestId: req.id,
+      changes: diffFields(before, after),
+    });
+  } catch (error) {
+    logger.error("Failed to write audit entry", { error });
+  }
+};
+
+module.exports = {
+  USER_AUDIT_FIELDS,
+  diffFields,
+  recordAudit,
+};
@@ -0,0 +1,13 @@
+/**
+ * Exponential backoff with jitter: base * 2^(attempt - 1), capped at max,
+ * then randomised down to half so clients that failed together don't retry
+ * in step
+ */
+const backoffDelay = (attempt, { base, max }) => {
+  const delay = Math.min(max, base * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + (Math.random() * delay) / 2);
+};
+
+module.exports = {
+  backoffDelay,
+};
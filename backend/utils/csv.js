@@ -0,0 +1,111 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded
+ * newlines) into an array of rows, each an array of strings
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark written by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Malformed CSV: unterminated quoted field");
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter((r) => !(r.length === 1 && r[0].trim() === ""));
+};
+
+/**
+ * Parse CSV text with a header row into an array of objects keyed by the
+ * (trimmed) header names
+ */
+const parseCsvObjects = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map((key) => key.trim());
+  return rows.map((values) =>
+    keys.reduce((record, key, index) => {
+      record[key] = values[index] !== undefined ? values[index] : "";
+      return record;
+    }, {})
+  );
+};
+
+/**
+ * Format a single value as a CSV field. Values that a spreadsheet would
+ * evaluate as a formula are prefixed with a quote (phone numbers such as
+ * "+1-555-0123" are left alone).
+ */
+const formatCsvField = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s()-]+$)/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Format an array of values as a CSV line (including the line break)
+ */
+const formatCsvRow = (values) => values.map(formatCsvField).join(",") + "\r\n";
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  formatCsvField,
+  formatCsvRow,
+};
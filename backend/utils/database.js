@@ -0,0 +1,167 @@
+const mongoose = require("mongoose");
+const { logger } = require("./logger");
+const { backoffDelay } = require("./backoff");
+
+const DEFAULT_URI = "mongodb://localhost:27017/mernapp";
+const DEFAULT_RETRY_BASE_MS = 1000;
+const DEFAULT_RETRY_MAX_MS = 30000;
+// How long one connection attempt waits for a server
+const DEFAULT_SERVER_SELECTION_TIMEOUT_MS = 10000;
+
+// Connection history reported by the health checks
+const stats = {
+  connectAttempts: 0,
+  // Attempts after the first one, across all retry loops
+  reconnectAttempts: 0,
+  // Times the driver restored a connection that dropped
+  reconnects: 0,
+  lastConnectedAt: null,
+  lastDisconnectAt: null,
+  lastError: null,
+};
+
+let stopped = false;
+let retryTimer = null;
+let listening = false;
+// Failed connection attempts also emit "error" and "disconnected"; those are
+// logged by the retry loop, so the events only matter once connected
+let connected = false;
+
+const readMs = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Delay before the next connection attempt (see utils/backoff.js)
+ */
+const retryDelay = (attempt) =>
+  backoffDelay(attempt, {
+    base: readMs("DB_RETRY_BASE_MS", DEFAULT_RETRY_BASE_MS),
+    max: readMs("DB_RETRY_MAX_MS", DEFAULT_RETRY_MAX_MS),
+  });
+
+/**
+ * Log connection state changes once, for the lifetime of the process
+ */
+const watchConnection = () => {
+  if (listening) {
+    return;
+  }
+  listening = true;
+
+  const { connection } = mongoose;
+  connection.on("connected", () => {
+    connected = true;
+    stats.lastConnectedAt = new Date().toISOString();
+    logger.info("Connected to MongoDB", {
+      host: connection.host,
+      database: connection.name,
+    });
+  });
+  connection.on("disconnected", () => {
+    if (!connected) {
+      return;
+    }
+    connected = false;
+    stats.lastDisconnectAt = new Date().toISOString();
+    if (stopped) {
+      logger.info("Disconnected from MongoDB");
+    } else {
+      logger.warn(
+        "Lost connection to MongoDB; waiting for the driver to reconnect"
+      );
+    }
+  });
+  connection.on("reconnected", () => {
+    stats.reconnects++;
+    logger.info("Reconnected to MongoDB");
+  });
+  connection.on("error", (error) => {
+    stats.lastError = error.message;
+    if (connected) {
+      logger.error("MongoDB connection error", { error });
+    }
+  });
+};
+
+/**
+ * Connect to MongoDB, retrying with exponential backoff until it succeeds
+ * or disconnectDatabase() is called. Resolves once connected; after that
+ * the driver reconnects on its own if the connection drops.
+ */
+const connectDatabase = () => {
+  watchConnection();
+  stopped = false;
+
+  const uri = process.env.MONGODB_URI || DEFAULT_URI;
+  let attempt = 0;
+
+  return new Promise((resolve, reject) => {
+    const tryConnect = async () => {
+      retryTimer = null;
+      if (stopped) {
+        return reject(new Error("Database connection was cancelled"));
+      }
+
+      attempt++;
+      stats.connectAttempts++;
+      if (attempt > 1) {
+        stats.reconnectAttempts++;
+      }
+
+      try {
+        await mongoose.connect(uri, {
+          useNewUrlParser: true,
+          useUnifiedTopology: true,
+          serverSelectionTimeoutMS: readMs(
+            "DB_SERVER_SELECTION_TIMEOUT_MS",
+            DEFAULT_SERVER_SELECTION_TIMEOUT_MS
+          ),
+          // Emit command events for the Mongo metrics on /metrics
+          monitorCommands: true,
+        });
+        stats.lastError = null;
+        resolve(mongoose.connection);
+      } catch (error) {
+        stats.lastError = error.message;
+        if (stopped) {
+          return reject(error);
+        }
+
+        const delay = retryDelay(attempt);
+        logger.error("MongoDB connection failed; retrying", {
+          error: error.message,
+          attempt,
+          retryInMs: delay,
+        });
+        retryTimer = setTimeout(tryConnect, delay);
+      }
+    };
+
+    tryConnect();
+  });
+};
+
+/**
+ * Stop retrying and close the connection
+ */
+const disconnectDatabase = async () => {
+  stopped = true;
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+  await mongoose.disconnect();
+};
+
+/**
+ * Connection history for health checks
+ */
+const getConnectionStats = () => ({ ...stats });
+
+module.exports = {
+  connectDatabase,
+  disconnectDatabase,
+  getConnectionStats,
+};
@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+
+/**
+ * Strong ETag for a user, derived from its id and version key (__v), which
+ * is bumped on every update (see models/User.js)
+ */
+const userETag = (user) => `"${user._id}-${user.__v || 0}"`;
+
+/**
+ * Whether an If-Match header is satisfied by the current ETag. Requests
+ * without the header always pass, so existing clients keep working.
+ */
+const ifMatchSatisfied = (header, etag) => {
+  if (header === undefined) {
+    return true;
+  }
+  return header
+    .split(",")
+    .map((tag) => tag.trim())
+    .some((tag) => tag === "*" || tag === etag);
+};
+
+/**
+ * Query condition that only matches the given version of a user, so a
+ * conditional update fails if someone else wrote in between
+ */
+const versionFilter = (user) =>
+  user.__v ? { __v: user.__v } : { __v: { $in: [0, null] } };
+
+/**
+ * Weak ETag for a response built from the given parts (e.g. the users
+ * version and the request URL)
+ */
+const weakETag = (...parts) =>
+  `W/"${crypto
+    .createHash("sha1")
+    .update(parts.join("|"))
+    .digest("base64url")}"`;
+
+/**
+ * Set the validators of a GET response and report whether the client's copy
+ * is still current (If-None-Match / If-Modified-Since), in which case the
+ * caller answers 304 instead of building the body. Clients are asked to
+ * revalidate every time rather than reuse responses on their own.
+ */
+const isNotModified = (req, res, { etag, lastModified }) => {
+  res.set("Cache-Control", "private, no-cache");
+  if (etag) {
+    res.set("ETag", etag);
+  }
+  if (lastModified) {
+    res.set("Last-Modified", lastModified.toUTCString());
+  }
+  return req.fresh;
+};
+
+module.exports = {
+  userETag,
+  weakETag,
+  isNotModified,
+  ifMatchSatisfied,
+  versionFilter,
+};
@@ -1,18 +1,18 @@
-const mongoose = require("mongoose");
+const { isShuttingDown } = require("./shutdown");
+const {
+  runHealthCheck,
+  runHealthChecks,
+  overallStatus,
+} = require("./healthRegistry");
+const {
+  incrementHealthCheckCount,
+  getHealthCheckCount,
+  getLastHealthCheck,
+  getHealthHistory,
+} = require("./healthHistory");
 
-// Health check counters and metrics
-let healthCheckCount = 0;
-let lastHealthCheck = null;
 const startTime = Date.now();
 
-/**
- * Increment health check counter
- */
-const incrementHealthCheckCount = () => {
-  healthCheckCount++;
-  lastHealthCheck = new Date().toISOString();
-};
-
 /**
  * Get basic health status
  */
@@ -26,47 +26,6 @@ const getBasicHealth = () => {
   };
 };
 
-/**
- * Check database connectivity
- */
-const checkDatabase = async () => {
-  try {
-    const dbState = mongoose.connection.readyState;
-    const states = {
-      0: "disconnected",
-      1: "connected",
-      2: "connecting",
-      3: "disconnecting",
-    };
-
-    if (dbState === 1) {
-      const startTime = Date.now();
-      await mongoose.connection.db.admin().ping();
-      const responseTime = Date.now() - startTime;
-
-      return {
-        status: "OK",
-        state: states[dbState],
-        name: mongoose.connection.name,
-        host: mongoose.connection.host,
-        port: mongoose.connection.port,
-        responseTime: `${responseTime}ms`,
-      };
-    } else {
-      return {
-        status: "ERROR",
-        state: states[dbState],
-        error: "Database is not connected",
-      };
-    }
-  } catch (error) {
-    return {
-      status: "ERROR",
-      error: error.message,
-    };
-  }
-};
-
 /**
  * Get system metrics
  */
@@ -100,63 +59,71 @@ const getSystemMetrics = () => {
 };
 
 /**
- * Get detailed health status
+ * Detailed health: every registered check (see utils/healthRegistry.js)
+ * and the overall status. Pass `results` to reuse a run of the checks.
  */
-const getDetailedHealth = async () => {
-  const dbCheck = await checkDatabase();
+const getDetailedHealth = async (results) => {
+  const checks = results || (await runHealthChecks());
   const systemMetrics = getSystemMetrics();
 
-  const healthCheck = {
-    status: dbCheck.status === "OK" ? "OK" : "ERROR",
+  return {
+    status: overallStatus(checks),
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     version: process.env.npm_package_version || "1.0.0",
     environment: process.env.NODE_ENV || "development",
     port: process.env.PORT || 5000,
-    healthCheckCount: healthCheckCount,
-    lastHealthCheck: lastHealthCheck,
-    checks: {
-      server: "OK",
-      database: dbCheck,
-      memory: {
-        used: systemMetrics.memory.heapUsed + " MB",
-        total: systemMetrics.memory.heapTotal + " MB",
-        usage: systemMetrics.memory.heapUsedPercentage + "%",
-      },
-      system: systemMetrics.system,
+    healthCheckCount: getHealthCheckCount(),
+    lastHealthCheck: getLastHealthCheck(),
+    checks,
+    memory: {
+      used: systemMetrics.memory.heapUsed + " MB",
+      total: systemMetrics.memory.heapTotal + " MB",
+      usage: systemMetrics.memory.heapUsedPercentage + "%",
     },
+    system: systemMetrics.system,
   };
-
-  return healthCheck;
 };
 
 /**
- * Check if application is ready to serve traffic
+ * Result of the database check
+ */
+const checkDatabase = () => runHealthCheck("database");
+
+/**
+ * Check if application is ready to serve traffic: not shutting down and no
+ * critical check failing. Non-critical failures leave it ready.
  */
-const checkReadiness = async () => {
-  try {
-    if (mongoose.connection.readyState === 1) {
-      await mongoose.connection.db.admin().ping();
-      return {
-        status: "READY",
-        message: "Application is ready to serve traffic",
-        timestamp: new Date().toISOString(),
-      };
-    } else {
-      return {
-        status: "NOT_READY",
-        message: "Database connection not ready",
-        timestamp: new Date().toISOString(),
-      };
-    }
-  } catch (error) {
+const checkReadiness = async (results) => {
+  // Taken out of rotation while draining, even though requests in flight
+  // can still use the database
+  if (isShuttingDown()) {
     return {
       status: "NOT_READY",
-      message: "Application not ready",
-      error: error.message,
+      message: "Server is shutting down",
       timestamp: new Date().toISOString(),
     };
   }
+
+  const checks = results || (await runHealthChecks({ criticalOnly: true }));
+  const failing = Object.keys(checks).filter(
+    (name) => checks[name].critical && checks[name].status === "ERROR"
+  );
+
+  if (failing.length > 0) {
+    return {
+      status: "NOT_READY",
+      message: `Failing checks: ${failing.join(", ")}`,
+      failing,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  return {
+    status: "READY",
+    message: "Application is ready to serve traffic",
+    timestamp: new Date().toISOString(),
+  };
 };
 
 /**
@@ -171,12 +138,37 @@ const checkLiveness = () => {
   };
 };
 
+/**
+ * Everything the health endpoints report, from a single run of the checks,
+ * plus uptime and incidents from the health sampler
+ */
+const getHealthDashboard = async () => {
+  const results = await runHealthChecks();
+  const detailed = await getDetailedHealth(results);
+
+  return {
+    overall_status: detailed.status,
+    timestamp: new Date().toISOString(),
+    checks: {
+      basic: getBasicHealth(),
+      detailed,
+      database: results.database,
+      readiness: await checkReadiness(results),
+      liveness: checkLiveness(),
+      metrics: getSystemMetrics(),
+    },
+    history: getHealthHistory(),
+  };
+};
+
 module.exports = {
   incrementHealthCheckCount,
+  getHealthCheckCount,
   getBasicHealth,
   getDetailedHealth,
   checkDatabase,
   getSystemMetrics,
   checkReadiness,
   checkLiveness,
+  getHealthDashboard,
 };
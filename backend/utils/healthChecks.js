@@ -0,0 +1,245 @@
+const fs = require("fs");
+const v8 = require("v8");
+const { monitorEventLoopDelay } = require("perf_hooks");
+const mongoose = require("mongoose");
+const { getConnectionStats } = require("./database");
+const { registerHealthCheck } = require("./healthRegistry");
+
+const DEFAULTS = {
+  HEALTH_CHECK_TIMEOUT_MS: 5000,
+  HEALTH_EVENT_LOOP_LAG_MAX_MS: 200,
+  HEALTH_HEAP_MAX_PERCENT: 90,
+  HEALTH_DISK_MIN_FREE_PERCENT: 10,
+};
+
+// Disk usage and other services change slowly; don't ask on every probe
+const DISK_CACHE_TTL_MS = 30000;
+const HTTP_CACHE_TTL_MS = 10000;
+
+const DB_STATES = {
+  0: "disconnected",
+  1: "connected",
+  2: "connecting",
+  3: "disconnecting",
+};
+
+const readSetting = (name) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULTS[name];
+};
+
+const toMegabytes = (bytes) => Math.round((bytes / 1024 / 1024) * 100) / 100;
+
+/**
+ * Ping MongoDB. Reconnect attempts and the time of the last disconnect are
+ * included whatever the state.
+ */
+const checkDatabase = async () => {
+  const { lastError, ...connection } = getConnectionStats();
+  const dbState = mongoose.connection.readyState;
+
+  if (dbState !== 1) {
+    return {
+      status: "ERROR",
+      state: DB_STATES[dbState],
+      error: "Database is not connected",
+      ...connection,
+      lastError,
+    };
+  }
+
+  const started = Date.now();
+  try {
+    await mongoose.connection.db.admin().ping();
+  } catch (error) {
+    return { status: "ERROR", error: error.message, ...connection };
+  }
+
+  return {
+    state: DB_STATES[dbState],
+    name: mongoose.connection.name,
+    host: mongoose.connection.host,
+    port: mongoose.connection.port,
+    responseTime: `${Date.now() - started}ms`,
+    ...connection,
+  };
+};
+
+let eventLoopDelay = null;
+
+/**
+ * Event loop delay since the previous check. A blocked loop delays every
+ * request.
+ */
+const checkEventLoop = async () => {
+  const maxMs = readSetting("HEALTH_EVENT_LOOP_LAG_MAX_MS");
+  // The monitor reports nanoseconds
+  const p99Ms = Math.round(eventLoopDelay.percentile(99) / 1e4) / 100;
+  const maxSeenMs = Math.round(eventLoopDelay.max / 1e4) / 100;
+  eventLoopDelay.reset();
+
+  return {
+    ...(p99Ms > maxMs && {
+      status: "ERROR",
+      error: `Event loop lag p99 ${p99Ms}ms is over ${maxMs}ms`,
+    }),
+    p99: `${p99Ms}ms`,
+    max: `${maxSeenMs}ms`,
+    threshold: `${maxMs}ms`,
+  };
+};
+
+/**
+ * Heap in use against the heap size limit, where the process would crash
+ */
+const checkHeap = async () => {
+  const maxPercent = readSetting("HEALTH_HEAP_MAX_PERCENT");
+  const { used_heap_size: used, heap_size_limit: limit } =
+    v8.getHeapStatistics();
+  const percent = Math.round((used / limit) * 100);
+
+  return {
+    ...(percent > maxPercent && {
+      status: "ERROR",
+      error: `Heap usage ${percent}% is over ${maxPercent}%`,
+    }),
+    used: `${toMegabytes(used)} MB`,
+    limit: `${toMegabytes(limit)} MB`,
+    usage: `${percent}%`,
+    threshold: `${maxPercent}%`,
+  };
+};
+
+/**
+ * Free space on the volume holding HEALTH_DISK_PATH (the working directory
+ * by default), where logs and temporary files go
+ */
+const checkDisk = async () => {
+  const path = process.env.HEALTH_DISK_PATH || process.cwd();
+  const minFreePercent = readSetting("HEALTH_DISK_MIN_FREE_PERCENT");
+  const { bsize, blocks, bavail } = await fs.promises.statfs(path);
+  const freePercent = Math.round((bavail / blocks) * 100);
+
+  return {
+    ...(freePercent < minFreePercent && {
+      status: "ERROR",
+      error: `Only ${freePercent}% free, under ${minFreePercent}%`,
+    }),
+    path,
+    free: `${toMegabytes(bavail * bsize)} MB`,
+    total: `${toMegabytes(blocks * bsize)} MB`,
+    freePercent: `${freePercent}%`,
+    threshold: `${minFreePercent}%`,
+  };
+};
+
+/**
+ * A check that GETs `url` and passes on a 2xx answer, for services this
+ * one depends on
+ */
+const httpCheck = (url) => async () => {
+  const started = Date.now();
+  let response;
+  try {
+    // The registry's timeout fails the check; this stops the request too
+    response = await fetch(url, {
+      signal: AbortSignal.timeout(readSetting("HEALTH_CHECK_TIMEOUT_MS")),
+    });
+  } catch (error) {
+    // fetch only says "fetch failed"; the cause says why
+    throw new Error((error.cause && error.cause.message) || error.message);
+  }
+  // Only the status matters
+  await response.body?.cancel();
+
+  return {
+    ...(!response.ok && {
+      status: "ERROR",
+      error: `Answered ${response.status}`,
+    }),
+    url,
+    statusCode: response.status,
+    responseTime: `${Date.now() - started}ms`,
+  };
+};
+
+/**
+ * Dependencies from HEALTH_HTTP_CHECKS ("name=url,name=url"). Those named
+ * in HEALTH_HTTP_CRITICAL ("name,name") are critical.
+ */
+const parseHttpChecks = () => {
+  const critical = (process.env.HEALTH_HTTP_CRITICAL || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  return (process.env.HEALTH_HTTP_CHECKS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf("=");
+      if (separator < 1) {
+        throw new Error(
+          `HEALTH_HTTP_CHECKS entry "${entry}" should look like name=url`
+        );
+      }
+      const name = entry.slice(0, separator).trim();
+      return {
+        name,
+        url: entry.slice(separator + 1).trim(),
+        critical: critical.includes(name),
+      };
+    });
+};
+
+/**
+ * Register the built-in checks. Only the database is critical: without it
+ * no request can be served, while the others warn of trouble ahead.
+ */
+const registerDefaultHealthChecks = () => {
+  const timeoutMs = readSetting("HEALTH_CHECK_TIMEOUT_MS");
+
+  if (!eventLoopDelay) {
+    eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+    eventLoopDelay.enable();
+  }
+
+  registerHealthCheck({ name: "database", run: checkDatabase, timeoutMs });
+  registerHealthCheck({
+    name: "eventLoop",
+    run: checkEventLoop,
+    timeoutMs,
+    critical: false,
+  });
+  registerHealthCheck({
+    name: "heap",
+    run: checkHeap,
+    timeoutMs,
+    critical: false,
+  });
+  if (fs.promises.statfs) {
+    registerHealthCheck({
+      name: "disk",
+      run: checkDisk,
+      timeoutMs,
+      critical: false,
+      cacheTtlMs: DISK_CACHE_TTL_MS,
+    });
+  }
+
+  parseHttpChecks().forEach(({ name, url, critical }) => {
+    registerHealthCheck({
+      name,
+      run: httpCheck(url),
+      timeoutMs,
+      critical,
+      cacheTtlMs: HTTP_CACHE_TTL_MS,
+    });
+  });
+};
+
+module.exports = {
+  httpCheck,
+  registerDefaultHealthChecks,
+};
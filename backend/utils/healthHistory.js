@@ -0,0 +1,311 @@
+const os = require("os");
+const mongoose = require("mongoose");
+const HealthSample = require("../models/HealthSample");
+const Counter = require("../models/Counter");
+const { runHealthChecks, overallStatus } = require("./healthRegistry");
+const { logger } = require("./logger");
+
+const DEFAULT_INTERVAL_MS = 30000;
+const DEFAULT_MAX_MB = 16;
+
+const HOUR = 60 * 60 * 1000;
+// Summaries reported by getHealthHistory; the longest is how long samples
+// are kept in memory
+const WINDOWS = { "1h": HOUR, "24h": 24 * HOUR, "7d": 7 * 24 * HOUR };
+const RETENTION_MS = WINDOWS["7d"];
+
+// Samples in time order: { at, status, checks, dbLatencyMs }
+const samples = [];
+let sampleTimer = null;
+
+// Health check requests: the total saved in the database when history is
+// persisted, plus the ones counted here since the last save
+let savedHealthCheckCount = 0;
+let unsavedHealthCheckCount = 0;
+let lastHealthCheck = null;
+
+/**
+ * Count a request to a health endpoint
+ */
+const incrementHealthCheckCount = () => {
+  unsavedHealthCheckCount++;
+  lastHealthCheck = new Date().toISOString();
+};
+
+/**
+ * Number of health check requests (since the server started, or over
+ * restarts when history is persisted)
+ */
+const getHealthCheckCount = () =>
+  savedHealthCheckCount + unsavedHealthCheckCount;
+
+/**
+ * Time of the latest health check request
+ */
+const getLastHealthCheck = () => lastHealthCheck;
+
+const getSampleIntervalMs = () =>
+  parseInt(process.env.HEALTH_SAMPLE_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+const isPersisted = () => process.env.HEALTH_HISTORY_PERSIST === "true";
+
+// Persisted history and counters belong to this id. Pods and containers get
+// a new host name when they are recreated, so deployments set
+// HEALTH_INSTANCE_ID to the service name; replicas sharing it pool their
+// samples into one history for the service.
+const getInstance = () => process.env.HEALTH_INSTANCE_ID || os.hostname();
+
+const getMaxBytes = () => {
+  const megabytes = parseFloat(process.env.HEALTH_HISTORY_MAX_MB);
+  return (
+    (Number.isFinite(megabytes) && megabytes > 0 ? megabytes : DEFAULT_MAX_MB) *
+    1024 *
+    1024
+  );
+};
+
+/**
+ * Add the requests counted since the last save to the stored total, and
+ * pick up the ones other replicas with the same instance id added
+ */
+const saveHealthCheckCount = async () => {
+  const count = unsavedHealthCheckCount;
+  unsavedHealthCheckCount = 0;
+
+  let counter;
+  try {
+    counter = await Counter.findOneAndUpdate(
+      { _id: `health-checks:${getInstance()}` },
+      {
+        $inc: { seq: count },
+        ...(lastHealthCheck && {
+          $max: { changedAt: new Date(lastHealthCheck) },
+        }),
+      },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (error) {
+    unsavedHealthCheckCount += count;
+    throw error;
+  }
+
+  savedHealthCheckCount = counter.seq;
+  if (
+    counter.changedAt &&
+    (!lastHealthCheck || counter.changedAt > new Date(lastHealthCheck))
+  ) {
+    lastHealthCheck = counter.changedAt.toISOString();
+  }
+};
+
+const addSample = (sample) => {
+  samples.push(sample);
+  const cutoff = Date.now() - RETENTION_MS;
+  const expired = samples.findIndex((kept) => kept.at.getTime() >= cutoff);
+  samples.splice(0, expired === -1 ? samples.length : expired);
+};
+
+/**
+ * Run every check and record the outcome
+ */
+const takeSample = async () => {
+  try {
+    const results = await runHealthChecks();
+    const database = results.database;
+    const sample = {
+      at: new Date(),
+      status: overallStatus(results),
+      checks: Object.fromEntries(
+        Object.entries(results).map(([name, result]) => [name, result.status])
+      ),
+      dbLatencyMs:
+        database && database.status === "OK" ? database.durationMs : null,
+    };
+    addSample(sample);
+
+    // Samples taken while the database is down are only kept in memory
+    if (isPersisted() && mongoose.connection.readyState === 1) {
+      await HealthSample.create({ ...sample, instance: getInstance() });
+      await saveHealthCheckCount();
+    }
+  } catch (error) {
+    logger.warn("Health sample failed", { error });
+  }
+};
+
+/**
+ * Sample the health checks every HEALTH_SAMPLE_INTERVAL_MS (and once now)
+ */
+const startHealthSampler = () => {
+  if (sampleTimer) {
+    return;
+  }
+  sampleTimer = setInterval(takeSample, getSampleIntervalMs());
+  // Don't keep the process alive just for the sampler
+  sampleTimer.unref();
+  takeSample();
+};
+
+/**
+ * Stop sampling
+ */
+const stopHealthSampler = () => {
+  if (sampleTimer) {
+    clearInterval(sampleTimer);
+    sampleTimer = null;
+  }
+};
+
+/**
+ * With HEALTH_HISTORY_PERSIST=true, create the capped collection if needed
+ * and load the samples of this instance id from the last 7 days, so history
+ * and the request counters carry over restarts. Call once the database is
+ * connected.
+ */
+const loadHealthHistory = async () => {
+  if (!isPersisted()) {
+    return;
+  }
+
+  try {
+    // The oldest samples make room for new ones. An existing collection
+    // keeps its size: drop it to apply a new HEALTH_HISTORY_MAX_MB.
+    await HealthSample.createCollection({ capped: true, size: getMaxBytes() });
+    await HealthSample.createIndexes();
+
+    const stored = await HealthSample.find({
+      instance: getInstance(),
+      at: { $gte: new Date(Date.now() - RETENTION_MS) },
+    })
+      .sort({ at: 1 })
+      .lean();
+
+    // Samples taken since startup stay after the stored ones
+    const recent = samples.splice(0, samples.length);
+    const firstRecent = recent.length > 0 ? recent[0].at : new Date();
+    stored
+      .filter((sample) => sample.at < firstRecent)
+      .concat(recent)
+      .forEach(addSample);
+
+    await saveHealthCheckCount();
+    logger.info(`Loaded ${stored.length} health samples`);
+  } catch (error) {
+    logger.error("Failed to load health history", { error });
+  }
+};
+
+/**
+ * Nearest-rank percentile of sorted numbers
+ */
+const percentile = (sorted, p) =>
+  sorted.length === 0
+    ? null
+    : sorted[
+        Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)
+      ];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Periods in which the server was not OK. An incident starts with the first
+ * sample that isn't OK and ends with the next OK one; `end` is null while
+ * it lasts. `status` is the worst status seen and `checks` every check that
+ * failed during it.
+ */
+const findIncidents = (windowSamples) => {
+  const incidents = [];
+  let open = null;
+
+  windowSamples.forEach((sample) => {
+    if (sample.status === "OK") {
+      if (open) {
+        open.end = sample.at;
+        open = null;
+      }
+      return;
+    }
+
+    if (!open) {
+      open = { status: sample.status, start: sample.at, end: null, checks: [] };
+      incidents.push(open);
+    }
+    if (sample.status === "ERROR") {
+      open.status = "ERROR";
+    }
+    Object.entries(sample.checks).forEach(([name, status]) => {
+      if (status !== "OK" && !open.checks.includes(name)) {
+        open.checks.push(name);
+      }
+    });
+  });
+
+  return incidents.map((incident) => ({
+    ...incident,
+    durationMs: (incident.end || new Date()) - incident.start,
+  }));
+};
+
+/**
+ * Uptime, database latency and incidents over the last `durationMs`.
+ * Uptime is the share of samples that weren't ERROR (DEGRADED counts as
+ * up); time the server wasn't running has no samples and isn't counted.
+ */
+const summarize = (durationMs) => {
+  const since = Date.now() - durationMs;
+  const windowSamples = samples.filter((sample) => sample.at >= since);
+  const count = windowSamples.length;
+  const countOf = (status) =>
+    windowSamples.filter((sample) => sample.status === status).length;
+  const latencies = windowSamples
+    .map((sample) => sample.dbLatencyMs)
+    .filter((latency) => latency !== null)
+    .sort((a, b) => a - b);
+
+  return {
+    from: count > 0 ? windowSamples[0].at : null,
+    samples: count,
+    uptimePercent:
+      count > 0 ? round((100 * (count - countOf("ERROR"))) / count) : null,
+    degradedPercent:
+      count > 0 ? round((100 * countOf("DEGRADED")) / count) : null,
+    dbLatencyMs: {
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+    },
+    incidents: findIncidents(windowSamples),
+  };
+};
+
+/**
+ * Health over the last hour, day and week, from the sampler
+ */
+const getHealthHistory = () => {
+  const latest = samples[samples.length - 1];
+
+  return {
+    instance: getInstance(),
+    status: latest ? latest.status : null,
+    lastSampleAt: latest ? latest.at : null,
+    sampleIntervalMs: getSampleIntervalMs(),
+    persisted: isPersisted(),
+    healthCheckCount: getHealthCheckCount(),
+    lastHealthCheck,
+    windows: Object.fromEntries(
+      Object.entries(WINDOWS).map(([name, durationMs]) => [
+        name,
+        summarize(durationMs),
+      ])
+    ),
+  };
+};
+
+module.exports = {
+  incrementHealthCheckCount,
+  getHealthCheckCount,
+  getLastHealthCheck,
+  startHealthSampler,
+  stopHealthSampler,
+  loadHealthHistory,
+  getHealthHistory,
+};
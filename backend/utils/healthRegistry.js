@@ -0,0 +1,143 @@
+// Health checks report one of these; the overall status is the worst one
+// that counts (see overallStatus)
+const STATUSES = ["OK", "DEGRADED", "ERROR"];
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+const checks = new Map();
+
+/**
+ * Add a health check (or replace the one with the same name).
+ *
+ *   name       - key of the check in health responses
+ *   run        - async function returning details; they may include a
+ *                `status` of "DEGRADED" or "ERROR", and a thrown error
+ *                counts as "ERROR"
+ *   timeoutMs  - a check that takes longer fails
+ *   critical   - a failing critical check makes the server unhealthy and
+ *                not ready; other failures only degrade it
+ *   cacheTtlMs - reuse a result for this long, for checks too expensive
+ *                to run on every probe
+ */
+const registerHealthCheck = ({
+  name,
+  run,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  critical = true,
+  cacheTtlMs = 0,
+}) => {
+  checks.set(name, {
+    name,
+    run,
+    timeoutMs,
+    critical,
+    cacheTtlMs,
+    last: null,
+    running: null,
+  });
+};
+
+/**
+ * Remove a health check
+ */
+const unregisterHealthCheck = (name) => checks.delete(name);
+
+/**
+ * Names of the registered checks, in registration order
+ */
+const listHealthChecks = () => [...checks.keys()];
+
+/**
+ * Run a check's function, failing it after its timeout
+ */
+const execute = async (check) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${check.timeoutMs}ms`)),
+      check.timeoutMs
+    );
+  });
+
+  const started = Date.now();
+  let details;
+  try {
+    details = (await Promise.race([check.run(), timeout])) || {};
+  } catch (error) {
+    details = { status: "ERROR", error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return {
+    ...details,
+    status: STATUSES.includes(details.status) ? details.status : "OK",
+    critical: check.critical,
+    durationMs: Date.now() - started,
+    checkedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Result of one check, from the cache while it is fresh. Callers arriving
+ * while the check runs share that run.
+ */
+const runCheck = async (check) => {
+  if (check.last && Date.now() - check.last.at < check.cacheTtlMs) {
+    return { ...check.last.result, cached: true };
+  }
+
+  if (!check.running) {
+    check.running = execute(check).then((result) => {
+      check.last = { at: Date.now(), result };
+      check.running = null;
+      return result;
+    });
+  }
+  return check.running;
+};
+
+/**
+ * Run one check by name; null if there is no such check
+ */
+const runHealthCheck = (name) => {
+  const check = checks.get(name);
+  return check ? runCheck(check) : Promise.resolve(null);
+};
+
+/**
+ * Run every check (or only the critical ones) in parallel, as
+ * { name: result }
+ */
+const runHealthChecks = async ({ criticalOnly = false } = {}) => {
+  const selected = [...checks.values()].filter(
+    (check) => check.critical || !criticalOnly
+  );
+  const entries = await Promise.all(
+    selected.map(async (check) => [check.name, await runCheck(check)])
+  );
+  return Object.fromEntries(entries);
+};
+
+/**
+ * OK when every check passed, ERROR when a critical check failed, and
+ * DEGRADED otherwise (a non-critical check failed, or a check reported
+ * DEGRADED)
+ */
+const overallStatus = (results) => {
+  const values = Object.values(results);
+  if (values.some((result) => result.critical && result.status === "ERROR")) {
+    return "ERROR";
+  }
+  return values.every((result) => result.status === "OK") ? "OK" : "DEGRADED";
+};
+
+module.exports = {
+  STATUSES,
+  registerHealthCheck,
+  unregisterHealthCheck,
+  listHealthChecks,
+  runHealthCheck,
+  runHealthChecks,
+  overallStatus,
+};
@@ -0,0 +1,147 @@
+// Plain HTML status page for /health/status, readable without the frontend
+// or JavaScript. It reloads itself every REFRESH_SECONDS.
+const REFRESH_SECONDS = 30;
+// Only the latest incidents of the week are listed
+const MAX_INCIDENTS = 20;
+
+const COLORS = {
+  OK: "#198754",
+  DEGRADED: "#fd7e14",
+  ERROR: "#dc3545",
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const badge = (status) =>
+  `<span class="badge" style="background:${
+    COLORS[status] || "#6c757d"
+  }">${escapeHtml(status || "UNKNOWN")}</span>`;
+
+const formatDate = (date) => (date ? new Date(date).toISOString() : "—");
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) {
+    return `${Math.round(ms / 1000)}s`;
+  }
+  if (minutes < 120) {
+    return `${minutes}m`;
+  }
+  return `${Math.round(minutes / 6) / 10}h`;
+};
+
+const orDash = (value, suffix = "") =>
+  value === null || value === undefined ? "—" : `${value}${suffix}`;
+
+const windowRows = (windows) =>
+  Object.entries(windows)
+    .map(
+      ([name, summary]) => `<tr>
+  <td>${escapeHtml(name)}</td>
+  <td>${orDash(summary.uptimePercent, "%")}</td>
+  <td>${orDash(summary.degradedPercent, "%")}</td>
+  <td>${orDash(summary.dbLatencyMs.p50, " ms")}</td>
+  <td>${orDash(summary.dbLatencyMs.p95, " ms")}</td>
+  <td>${summary.incidents.length}</td>
+  <td>${summary.samples}</td>
+</tr>`
+    )
+    .join("\n");
+
+const checkRows = (checks) =>
+  Object.entries(checks)
+    .map(
+      ([name, result]) => `<tr>
+  <td>${escapeHtml(name)}${
+        result.critical ? "" : " <small>(non-critical)</small>"
+      }</td>
+  <td>${badge(result.status)}</td>
+  <td>${result.durationMs} ms</td>
+  <td>${escapeHtml(result.error || "")}</td>
+</tr>`
+    )
+    .join("\n");
+
+const incidentRows = (incidents) =>
+  incidents.length === 0
+    ? `<tr><td colspan="5">No incidents in the last 7 days.</td></tr>`
+    : incidents
+        .slice(-MAX_INCIDENTS)
+        .reverse()
+        .map(
+          (incident) => `<tr>
+  <td>${badge(incident.status)}</td>
+  <td>${formatDate(incident.start)}</td>
+  <td>${incident.end ? formatDate(incident.end) : "ongoing"}</td>
+  <td>${formatDuration(incident.durationMs)}</td>
+  <td>${escapeHtml(incident.checks.join(", "))}</td>
+</tr>`
+        )
+        .join("\n");
+
+/**
+ * Render the status page from a health dashboard (see getHealthDashboard)
+ */
+const renderStatusPage = (dashboard) => {
+  const { history, checks } = dashboard;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="refresh" content="${REFRESH_SECONDS}">
+<title>Status: ${escapeHtml(dashboard.overall_status)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #212529; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+  th, td { border-bottom: 1px solid #dee2e6; padding: .5rem; text-align: left; }
+  .badge { color: #fff; border-radius: .25rem; padding: .1rem .5rem; font-size: .85rem; }
+  .muted { color: #6c757d; }
+</style>
+</head>
+<body>
+<h1>Status ${badge(dashboard.overall_status)}</h1>
+<p class="muted">
+  ${escapeHtml(history.instance)} · up ${formatDuration(
+    checks.liveness.uptime * 1000
+  )} · updated ${formatDate(dashboard.timestamp)}
+</p>
+
+<h2>Checks</h2>
+<table>
+<tr><th>Check</th><th>Status</th><th>Duration</th><th>Error</th></tr>
+${checkRows(checks.detailed.checks)}
+</table>
+
+<h2>Uptime</h2>
+<table>
+<tr><th>Window</th><th>Uptime</th><th>Degraded</th><th>DB p50</th><th>DB p95</th><th>Incidents</th><th>Samples</th></tr>
+${windowRows(history.windows)}
+</table>
+
+<h2>Incidents</h2>
+<table>
+<tr><th>Status</th><th>Started</th><th>Ended</th><th>Duration</th><th>Checks</th></tr>
+${incidentRows(history.windows["7d"].incidents)}
+</table>
+
+<p class="muted">
+  Sampled every ${history.sampleIntervalMs / 1000}s${
+    history.persisted ? ", kept across restarts" : ", since the last restart"
+  }. JSON: <a href="/health/history">/health/history</a>
+</p>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  renderStatusPage,
+};
@@ -0,0 +1,108 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Lower is more severe; a line is written when its level is at or above
+// LOG_LEVEL in severity
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const DEFAULT_LEVEL = "info";
+
+// Personal data and credentials never reach the logs, at any depth
+const REDACTED_KEYS = [
+  "email",
+  "phone",
+  "password",
+  "token",
+  "accesstoken",
+  "refreshtoken",
+  "authorization",
+];
+const REDACTED = "[REDACTED]";
+const EMAIL_PATTERN = /[^\s@"'<>()]+@[^\s@"'<>()]+\.[^\s@"'<>()]+/g;
+const MAX_DEPTH = 5;
+
+// Fields added to every line logged while handling a request (requestId)
+const context = new AsyncLocalStorage();
+
+const getLevel = () => {
+  const level = String(process.env.LOG_LEVEL || "").toLowerCase();
+  return level in LEVELS ? level : DEFAULT_LEVEL;
+};
+
+/**
+ * Copy a value for logging with sensitive keys replaced and email addresses
+ * masked inside strings. Errors keep their name, message and stack.
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === "string") {
+    return value.replace(EMAIL_PATTERN, REDACTED);
+  }
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        ...(value.code !== undefined && { code: value.code }),
+        stack: value.stack,
+      },
+      depth
+    );
+  }
+  if (value === null || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[Truncated]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  return Object.entries(value).reduce((copy, [key, item]) => {
+    copy[key] = REDACTED_KEYS.includes(key.toLowerCase())
+      ? REDACTED
+      : redact(item, depth + 1);
+    return copy;
+  }, {});
+};
+
+/**
+ * Write one JSON line. Errors and warnings go to stderr, the rest to stdout.
+ */
+const log = (level, message, fields = {}) => {
+  if (LEVELS[level] > LEVELS[getLevel()]) {
+    return;
+  }
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: redact(message),
+    ...redact({ ...context.getStore(), ...fields }),
+  });
+
+  if (LEVELS[level] <= LEVELS.warn) {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+};
+
+/**
+ * Run `fn` with fields that are added to every line it logs, including
+ * from callbacks and promises it starts
+ */
+const withLogContext = (fields, fn) =>
+  context.run({ ...context.getStore(), ...fields }, fn);
+
+const logger = {
+  error: (message, fields) => log("error", message, fields),
+  warn: (message, fields) => log("warn", message, fields),
+  info: (message, fields) => log("info", message, fields),
+  debug: (message, fields) => log("debug", message, fields),
+};
+
+module.exports = {
+  LEVELS,
+  logger,
+  redact,
+  withLogContext,
+};
@@ -0,0 +1,195 @@
+// A small Prometheus client: counters, gauges and histograms rendered in the
+// text exposition format (version 0.0.4)
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+const registry = new Map();
+
+const escapeHelp = (text) => text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+};
+
+/**
+ * Keep only the declared labels, in declaration order, so the same series
+ * always gets the same key
+ */
+const pickLabels = (labelNames, labels = {}) =>
+  labelNames.reduce((picked, name) => {
+    picked[name] = labels[name] === undefined ? "" : String(labels[name]);
+    return picked;
+  }, {});
+
+const seriesKey = (labels) => JSON.stringify(labels);
+
+const register = (metric) => {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric "${metric.name}" is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+/**
+ * A value that only goes up, e.g. requests served
+ */
+const counter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels, value = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = seriesKey(picked);
+      const current = series.get(key);
+      series.set(key, {
+        labels: picked,
+        value: (current ? current.value : 0) + value,
+      });
+    },
+    samples: () =>
+      [...series.values()].map(({ labels, value }) => ({
+        name,
+        labels,
+        value,
+      })),
+  });
+};
+
+/**
+ * A value that can go up and down. `collect` is called before every scrape
+ * to refresh values that are read from elsewhere (memory usage, etc.).
+ */
+const gauge = ({ name, help, labelNames = [], collect }) => {
+  const series = new Map();
+
+  const metric = register({
+    name,
+    help,
+    type: "gauge",
+    set(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      series.set(seriesKey(picked), { labels: picked, value });
+    },
+    samples: () => {
+      if (collect) {
+        collect(metric);
+      }
+      return [...series.values()].map(({ labels, value }) => ({
+        name,
+        labels,
+        value,
+      }));
+    },
+  });
+  return metric;
+};
+
+/**
+ * Distribution of observed values (e.g. latencies in seconds) in cumulative
+ * buckets
+ */
+const histogram = ({
+  name,
+  help,
+  labelNames = [],
+  buckets = DEFAULT_BUCKETS,
+}) => {
+  const series = new Map();
+  const bounds = [...buckets].sort((a, b) => a - b);
+
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = seriesKey(picked);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = {
+          labels: picked,
+          counts: bounds.map(() => 0),
+          sum: 0,
+          count: 0,
+        };
+        series.set(key, entry);
+      }
+
+      bounds.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    samples: () =>
+      [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...bounds.map((bound, index) => ({
+          name: `${name}_bucket`,
+          labels: { ...labels, le: formatValue(bound) },
+          value: counts[index],
+        })),
+        {
+          name: `${name}_bucket`,
+          labels: { ...labels, le: "+Inf" },
+          value: count,
+        },
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count },
+      ]),
+  });
+};
+
+/**
+ * Render every registered metric in the Prometheus text format
+ */
+const renderMetrics = () =>
+  [...registry.values()]
+    .map((metric) =>
+      [
+        `# HELP ${metric.name} ${escapeHelp(metric.help)}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric
+          .samples()
+          .map(
+            ({ name, labels, value }) =>
+              `${name}${formatLabels(labels)} ${formatValue(value)}`
+          ),
+      ].join("\n")
+    )
+    .join("\n") + "\n";
+
+module.exports = {
+  CONTENT_TYPE,
+  counter,
+  gauge,
+  histogram,
+  renderMetrics,
+};
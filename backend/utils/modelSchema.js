@@ -0,0 +1,122 @@
+const OBJECT_ID_PATTERN = "^[0-9a-fA-F]{24}$";
+
+// Mongoose options may be given as [value, message]
+const optionValue = (option) => (Array.isArray(option) ? option[0] : option);
+
+/**
+ * JSON Schema (OpenAPI 3.0 dialect) for a single Mongoose path, carrying
+ * over its validators: required is handled by the caller, everything else
+ * (min/max, minlength/maxlength, match, enum, default null) is kept here
+ */
+const pathToSchema = (schemaType) => {
+  const { options } = schemaType;
+  let schema;
+
+  switch (schemaType.instance) {
+    case "String": {
+      schema = { type: "string" };
+      const minLength = optionValue(options.minlength);
+      const maxLength = optionValue(options.maxlength);
+      const match = optionValue(options.match);
+      const values = Array.isArray(options.enum)
+        ? options.enum
+        : options.enum && options.enum.values;
+      if (minLength !== undefined) schema.minLength = minLength;
+      if (maxLength !== undefined) schema.maxLength = maxLength;
+      // Mongoose skips match for empty strings, so "" passes here too
+      if (match instanceof RegExp) schema.pattern = `^$|${match.source}`;
+      if (Array.isArray(values)) schema.enum = [...values];
+      break;
+    }
+    case "Number": {
+      schema = { type: "number" };
+      const minimum = optionValue(options.min);
+      const maximum = optionValue(options.max);
+      if (minimum !== undefined) schema.minimum = minimum;
+      if (maximum !== undefined) schema.maximum = maximum;
+      break;
+    }
+    case "Boolean":
+      schema = { type: "boolean" };
+      break;
+    case "Date":
+      schema = { type: "string", format: "date-time" };
+      break;
+    case "ObjectId":
+      schema = { type: "string", pattern: OBJECT_ID_PATTERN };
+      break;
+    case "Array":
+      schema = {
+        type: "array",
+        items: schemaType.schema
+          ? modelSchemaToJson(schemaType.schema)
+          : pathToSchema(schemaType.caster),
+      };
+      break;
+    default:
+      // Mixed and anything else: any JSON value
+      schema = {};
+  }
+
+  if (options.default === null) {
+    schema.nullable = true;
+  }
+  return schema;
+};
+
+/**
+ * JSON Schema for a Mongoose schema. Nested paths ("actor.id") become nested
+ * objects, hidden paths (select: false) are left out unless listed in
+ * `fields`, and `readOnly` paths are marked so request validation ignores
+ * them.
+ */
+const modelSchemaToJson = (
+  mongooseSchema,
+  { fields, readOnly = [], nullable = false } = {}
+) => {
+  const root = { type: "object", properties: {}, required: [] };
+
+  Object.entries(mongooseSchema.paths).forEach(([path, schemaType]) => {
+    if (fields ? !fields.includes(path) : schemaType.options.select === false) {
+      return;
+    }
+
+    const property = pathToSchema(schemaType);
+    if (readOnly.includes(path)) {
+      property.readOnly = true;
+    }
+    if (nullable) {
+      property.nullable = true;
+    }
+
+    const segments = path.split(".");
+    const name = segments.pop();
+    const parent = segments.reduce((object, segment) => {
+      if (!object.properties[segment]) {
+        object.properties[segment] = { type: "object", properties: {} };
+      }
+      return object.properties[segment];
+    }, root);
+
+    parent.properties[name] = property;
+    if (schemaType.isRequired && !nullable) {
+      parent.required = [...(parent.required || []), name];
+    }
+  });
+
+  if (root.required.length === 0) {
+    delete root.required;
+  }
+  return root;
+};
+
+/**
+ * JSON Schema for a Mongoose model (see modelSchemaToJson for the options)
+ */
+const modelToJsonSchema = (model, options) =>
+  modelSchemaToJson(model.schema, options);
+
+module.exports = {
+  OBJECT_ID_PATTERN,
+  modelToJsonSchema,
+};
@@ -0,0 +1,48 @@
+const { counter, histogram } = require("./metrics");
+
+const mongoCommandDuration = histogram({
+  name: "mongodb_command_duration_seconds",
+  help: "MongoDB command latency in seconds, by command and collection",
+  labelNames: ["command", "collection"],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+});
+
+const mongoCommandErrors = counter({
+  name: "mongodb_command_errors_total",
+  help: "MongoDB commands that failed, by command and collection",
+  labelNames: ["command", "collection"],
+});
+
+/**
+ * Time every command sent by a MongoDB client. The client must be created
+ * with monitorCommands: true.
+ */
+const instrumentMongo = (client) => {
+  // The collection is only known when a command starts
+  const pending = new Map();
+
+  client.on("commandStarted", (event) => {
+    const target = event.command[event.commandName];
+    pending.set(event.requestId, typeof target === "string" ? target : "");
+  });
+
+  const finish = (event, failed) => {
+    const labels = {
+      command: event.commandName,
+      collection: pending.get(event.requestId) || "",
+    };
+    pending.delete(event.requestId);
+
+    mongoCommandDuration.observe(labels, event.duration / 1000);
+    if (failed) {
+      mongoCommandErrors.inc(labels);
+    }
+  };
+
+  client.on("commandSucceeded", (event) => finish(event, false));
+  client.on("commandFailed", (event) => finish(event, true));
+};
+
+module.exports = {
+  instrumentMongo,
+};
@@ -0,0 +1,1274 @@
+const User = require("../models/User");
+const Account = require("../models/Account");
+const AuditLog = require("../models/AuditLog");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { modelToJsonSchema, OBJECT_ID_PATTERN } = require("./modelSchema");
+const { EDITABLE_FIELDS } = require("./userPatch");
+const { FILTER_PARAMS, SORT_FIELDS, USER_FIELDS } = require("./userQuery");
+const { SEARCH_MODES } = require("./userSearch");
+const { FORMATS } = require("./userExport");
+const { ROLES } = require("./permissions");
+const { WEBHOOK_EVENTS } = require("./webhooks");
+const { version } = require("../package.json");
+
+// Fields the API sets itself; they may be echoed back in a PUT body
+const USER_READ_ONLY_FIELDS = [
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "deletedAt",
+  "deletedBy",
+];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+const paramRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+const jsonContent = (schema) => ({ "application/json": { schema } });
+
+const jsonResponse = (description, schema, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: jsonContent(schema),
+});
+
+const problemResponse = (description) => ({
+  description,
+  content: { "application/problem+json": { schema: ref("Problem") } },
+});
+
+const queryParam = (name, schema, description) => ({
+  name,
+  in: "query",
+  schema,
+  ...(description && { description }),
+});
+
+const pageParams = (defaultLimit) => [
+  queryParam("page", { type: "integer", minimum: 1, default: 1 }),
+  queryParam("limit", { type: "integer", minimum: 1, default: defaultLimit }),
+];
+
+const looseObject = (description) => ({
+  type: "object",
+  description,
+  additionalProperties: true,
+});
+
+// Descriptions of the user filters (see utils/userQuery.js)
+const FILTER_DESCRIPTIONS = {
+  search: ["string", "Case-insensitive substring of name or email"],
+  city: ["string", "Exact city, case-insensitive"],
+  cityContains: ["string", "Substring of the city, case-insensitive"],
+  ageMin: ["number", "Minimum age"],
+  ageMax: ["number", "Maximum age"],
+  createdFrom: ["date-time", "Created at or after"],
+  createdTo: ["date-time", "Created at or before"],
+  updatedFrom: ["date-time", "Updated at or after"],
+  updatedTo: ["date-time", "Updated at or before"],
+  hasPhone: ["boolean", "Only users with (true) or without (false) a phone"],
+};
+
+const filterParams = () =>
+  FILTER_PARAMS.map((name) => {
+    const [type, description] = FILTER_DESCRIPTIONS[name] || ["string"];
+    const schema =
+      type === "date-time" ? { type: "string", format: "date-time" } : { type };
+    return queryParam(name, schema, description);
+  });
+
+/**
+ * User schema derived from the Mongoose model. `required: false` gives the
+ * shape of partial users (e.g. selected with ?fields=); `properties` adds or
+ * overrides properties.
+ */
+const userSchema = ({ required = true, properties = {} } = {}) => {
+  const schema = modelToJsonSchema(User, {
+    readOnly: USER_READ_ONLY_FIELDS,
+  });
+  if (!required) {
+    delete schema.required;
+  }
+  return {
+    ...schema,
+    properties: { ...schema.properties, ...properties },
+    additionalProperties: false,
+  };
+};
+
+const buildSchemas = () => {
+  const userMergePatch = modelToJsonSchema(User, {
+    fields: EDITABLE_FIELDS,
+    nullable: true,
+  });
+
+  return {
+    User: userSchema(),
+    UserSummary: userSchema({ required: false }),
+    SearchHit: userSchema({
+      properties: {
+        highlights: {
+          type: "object",
+          description:
+            "Matched [start, end) character ranges per field, for highlighting",
+          additionalProperties: {
+            type: "array",
+            items: { type: "array", items: { type: "integer" } },
+          },
+        },
+        score: { type: "number" },
+      },
+    }),
+    TrashedUser: userSchema({
+      properties: {
+        deletedBy: {
+          type: "object",
+          nullable: true,
+          readOnly: true,
+          properties: {
+            _id: { type: "string" },
+            name: { type: "string" },
+            email: { type: "string" },
+          },
+        },
+      },
+    }),
+    UserMergePatch: {
+      ...userMergePatch,
+      description:
+        "JSON Merge Patch (RFC 7396): listed fields are set, null clears a field",
+      additionalProperties: false,
+    },
+    JsonPatch: {
+      type: "array",
+      description: "JSON Patch (RFC 6902) operations on top-level user fields",
+      items: {
+        type: "object",
+        required: ["op", "path"],
+        properties: {
+          op: {
+            type: "string",
+            enum: ["add", "remove", "replace", "move", "copy", "test"],
+          },
+          path: { type: "string", pattern: "^/[^/]+$", example: "/city" },
+          from: { type: "string", pattern: "^/[^/]+$" },
+          value: {},
+        },
+        additionalProperties: false,
+      },
+    },
+    UserPage: {
+      type: "object",
+      description:
+        "Page mode returns currentPage (and totals unless includeTotal=false); " +
+        "cursor mode returns nextCursor/prevCursor",
+      required: ["users"],
+      properties: {
+        users: { type: "array", items: ref("UserSummary") },
+        currentPage: { type: "integer" },
+        totalPages: { type: "integer" },
+        totalUsers: { type: "integer" },
+        nextCursor: { type: "string", nullable: true },
+        prevCursor: { type: "string", nullable: true },
+        limit: { type: "integer" },
+      },
+      additionalProperties: false,
+    },
+    SearchResults: {
+      type: "object",
+      required: ["users", "terms", "mode", "currentPage", "totalUsers"],
+      properties: {
+        users: { type: "array", items: ref("SearchHit") },
+        query: { type: "string" },
+        terms: { type: "array", items: { type: "string" } },
+        mode: { type: "string", enum: SEARCH_MODES },
+        currentPage: { type: "integer" },
+        totalPages: { type: "integer" },
+        totalUsers: { type: "integer" },
+      },
+      additionalProperties: false,
+    },
+    UserResult: {
+      type: "object",
+      required: ["message", "user"],
+      properties: {
+        message: { type: "string" },
+        user: ref("User"),
+      },
+      additionalProperties: false,
+    },
+    TrashPage: {
+      type: "object",
+      properties: {
+        users: { type: "array", items: ref("TrashedUser") },
+        currentPage: { type: "integer" },
+        totalPages: { type: "integer" },
+        totalUsers: { type: "integer" },
+        retentionDays: { type: "number" },
+      },
+      additionalProperties: false,
+    },
+    AuditEntry: modelToJsonSchema(AuditLog),
+    AuditPage: {
+      type: "object",
+      properties: {
+        entries: { type: "array", items: ref("AuditEntry") },
+        currentPage: { type: "integer" },
+        totalPages: { type: "integer" },
+        totalEntries: { type: "integer" },
+      },
+      additionalProperties: false,
+    },
+    ImportReport: {
+      type: "object",
+      properties: {
+        dryRun: { type: "boolean" },
+        onConflict: { type: "string", enum: ["skip", "upsert"] },
+        summary: {
+          type: "object",
+          additionalProperties: { type: "integer" },
+        },
+        rows: { type: "array", items: looseObject("Outcome of one row") },
+      },
+    },
+    BatchRequest: {
+      type: "object",
+      required: ["operations"],
+      properties: {
+        mode: {
+          type: "string",
+          enum: ["atomic", "bestEffort"],
+          default: "atomic",
+        },
+        operations: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            required: ["op"],
+            properties: {
+              op: { type: "string", enum: ["update", "delete"] },
+              id: { type: "string", pattern: OBJECT_ID_PATTERN },
+              filter: {
+                type: "object",
+                description:
+                  "Same filters as GET /api/users; values may be strings, as in a query string",
+                minProperties: 1,
+                // Untyped: { "ageMin": 30 } and { "ageMin": "30" } both work
+                properties: Object.fromEntries(
+                  filterParams().map(({ name, description }) => [
+                    name,
+                    { description },
+                  ])
+                ),
+                additionalProperties: false,
+              },
+              set: ref("UserMergePatch"),
+            },
+            additionalProperties: false,
+          },
+        },
+      },
+      additionalProperties: false,
+    },
+    BatchReport: {
+      type: "object",
+      properties: {
+        mode: { type: "string", enum: ["atomic", "bestEffort"] },
+        committed: { type: "boolean" },
+        summary: {
+          type: "object",
+          additionalProperties: { type: "integer" },
+        },
+        results: {
+          type: "array",
+          items: looseObject("Outcome of one operation"),
+        },
+      },
+    },
+    Problem: {
+      type: "object",
+      description: "RFC 7807 problem details",
+      required: ["type", "title", "status"],
+      properties: {
+        type: { type: "string" },
+        title: { type: "string" },
+        status: { type: "integer" },
+        detail: { type: "string" },
+        instance: { type: "string" },
+        requestId: { type: "string" },
+        error: { type: "string", description: "Same as detail" },
+        code: { type: "string" },
+        errors: {
+          type: "object",
+          description: "Field -> message",
+          additionalProperties: { type: "string" },
+        },
+      },
+    },
+    RegisterRequest: {
+      ...modelToJsonSchema(Account, {
+        fields: ["name", "email", "password"],
+      }),
+      additionalProperties: false,
+    },
+    LoginRequest: {
+      type: "object",
+      required: ["email", "password"],
+      properties: {
+        email: { type: "string" },
+        password: { type: "string" },
+      },
+      additionalProperties: false,
+    },
+    RefreshRequest: {
+      type: "object",
+      required: ["refreshToken"],
+      properties: { refreshToken: { type: "string" } },
+      additionalProperties: false,
+    },
+    AccountProfile: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        name: { type: "string" },
+        email: { type: "string" },
+        role: { type: "string", enum: ROLES },
+        permissions: { type: "array", items: { type: "string" } },
+        createdAt: { type: "string", format: "date-time" },
+      },
+    },
+    Session: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        account: ref("AccountProfile"),
+        accessToken: { type: "string" },
+        refreshToken: { type: "string" },
+      },
+    },
+    RoleUpdate: {
+      type: "object",
+      required: ["role"],
+      properties: { role: { type: "string", enum: ROLES } },
+      additionalProperties: false,
+    },
+    Message: {
+      type: "object",
+      properties: { message: { type: "string" } },
+    },
+    WebhookSubscription: {
+      ...modelToJsonSchema(WebhookSubscription, {
+        readOnly: ["_id", "__v", "createdBy", "createdAt", "updatedAt"],
+      }),
+      additionalProperties: false,
+    },
+    WebhookSubscriptionInput: {
+      ...modelToJsonSchema(WebhookSubscription, {
+        fields: ["url", "events", "description", "active", "secret"],
+      }),
+      description:
+        "events defaults to every event; secret is generated when left out",
+      required: ["url"],
+      additionalProperties: false,
+    },
+    WebhookSubscriptionPatch: {
+      ...modelToJsonSchema(WebhookSubscription, {
+        fields: ["url", "events", "description", "active"],
+      }),
+      minProperties: 1,
+      additionalProperties: false,
+    },
+    WebhookSubscriptionResult: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        subscription: ref("WebhookSubscription"),
+        secret: {
+          type: "string",
+          description: "Signing secret; only returned on create and rotate",
+        },
+      },
+      additionalProperties: false,
+    },
+    WebhookDelivery: modelToJsonSchema(WebhookDelivery),
+    WebhookDeliveryResult: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        delivery: ref("WebhookDelivery"),
+      },
+      additionalProperties: false,
+    },
+    WebhookDeliveryPage: {
+      type: "object",
+      properties: {
+        deliveries: { type: "array", items: ref("WebhookDelivery") },
+        currentPage: { type: "integer" },
+        totalPages: { type: "integer" },
+        totalDeliveries: { type: "integer" },
+      },
+      additionalProperties: false,
+    },
+    WebhookEvent: {
+      type: "object",
+      description:
+        "Body POSTed to receivers. Signed in X-Webhook-Signature as " +
+        '"sha256=" + hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>".',
+      properties: {
+        id: { type: "string", description: "Same for redeliveries" },
+        type: { type: "string", enum: [...WEBHOOK_EVENTS, "ping"] },
+        createdAt: { type: "string", format: "date-time" },
+        requestId: { type: "string" },
+        actor: {
+          type: "object",
+          properties: { id: { type: "string" }, email: { type: "string" } },
+        },
+        data: {
+          type: "object",
+          properties: {
+            user: ref("User"),
+            changes: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string" },
+                  before: {},
+                  after: {},
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+};
+
+const buildPaths = () => {
+  const auth = (summary, operationId, extra = {}) => ({
+    tags: ["Auth"],
+    summary,
+    operationId,
+    security: [],
+    ...extra,
+  });
+  const users = (summary, operationId, extra = {}) => ({
+    tags: ["Users"],
+    summary,
+    operationId,
+    ...extra,
+  });
+  const webhooks = (summary, operationId, extra = {}) => ({
+    tags: ["Webhooks"],
+    summary,
+    operationId,
+    ...extra,
+  });
+  const health = (summary, operationId, description) => ({
+    tags: ["Health"],
+    summary,
+    operationId,
+    security: [],
+    responses: {
+      200: jsonResponse(description || "OK", looseObject()),
+      ...(["getDetailedHealth", "getDatabaseHealth", "getReadiness"].includes(
+        operationId
+      ) && { 503: jsonResponse("Unhealthy", looseObject()) }),
+      429: responseRef("TooManyRequests"),
+    },
+  });
+
+  const jsonBody = (schema, required = true) => ({
+    required,
+    content: jsonContent(schema),
+  });
+  const etagHeader = {
+    ETag: {
+      description: "Current version; send it back in If-Match",
+      schema: { type: "string" },
+    },
+  };
+  // Lists and search results change whenever any user does
+  const listCacheHeaders = {
+    ETag: {
+      description: "Weak validator; send it back in If-None-Match",
+      schema: { type: "string" },
+    },
+    "Last-Modified": {
+      description: "When any user last changed",
+      schema: { type: "string" },
+    },
+  };
+  const secured = {
+    401: responseRef("Unauthorized"),
+    403: responseRef("Forbidden"),
+    429: responseRef("TooManyRequests"),
+  };
+
+  return {
+    "/api/auth/register": {
+      post: auth("Create an account", "register", {
+        description: "The first account becomes an admin, later ones viewers.",
+        requestBody: jsonBody(ref("RegisterRequest")),
+        responses: {
+          201: jsonResponse("Account created", ref("Session")),
+          409: responseRef("Conflict"),
+          422: responseRef("ValidationFailed"),
+          429: responseRef("TooManyRequests"),
+        },
+      }),
+    },
+    "/api/auth/login": {
+      post: auth("Exchange credentials for tokens", "login", {
+        requestBody: jsonBody(ref("LoginRequest")),
+        responses: {
+          200: jsonResponse("Signed in", ref("Session")),
+          400: responseRef("BadRequest"),
+          422: responseRef("ValidationFailed"),
+          401: responseRef("Unauthorized"),
+          429: responseRef("TooManyRequests"),
+        },
+      }),
+    },
+    "/api/auth/refresh": {
+      post: auth("Rotate a refresh token into a new token pair", "refresh", {
+        requestBody: jsonBody(ref("RefreshRequest")),
+        responses: {
+          200: jsonResponse("New tokens", ref("Session")),
+          400: responseRef("BadRequest"),
+          422: responseRef("ValidationFailed"),
+          401: responseRef("Unauthorized"),
+          429: responseRef("TooManyRequests"),
+        },
+      }),
+    },
+    "/api/auth/logout": {
+      post: auth("Revoke a refresh token", "logout", {
+        requestBody: jsonBody(ref("RefreshRequest")),
+        responses: {
+          200: jsonResponse("Signed out", ref("Message")),
+          400: responseRef("BadRequest"),
+          422: responseRef("ValidationFailed"),
+        },
+      }),
+    },
+    "/api/auth/me": {
+      get: {
+        tags: ["Auth"],
+        summary: "Profile of the signed-in account",
+        operationId: "getMe",
+        responses: {
+          200: jsonResponse("Profile", ref("AccountProfile")),
+          401: responseRef("Unauthorized"),
+          404: responseRef("NotFound"),
+        },
+      },
+    },
+
+    "/api/users": {
+      get: users("List users", "listUsers", {
+        description:
+          "Filter, sort and select fields. Paginate with page/limit, or " +
+          "with pagination=cursor and then cursor=<nextCursor|prevCursor>.",
+        parameters: [
+          ...filterParams(),
+          queryParam(
+            "sort",
+            {
+              type: "string",
+              enum: SORT_FIELDS.flatMap((field) => [field, `-${field}`]),
+            },
+            "Field to sort by; prefix with - for descending"
+          ),
+          queryParam(
+            "fields",
+            { type: "string" },
+            `Comma-separated fields to return: ${USER_FIELDS.join(", ")}`
+          ),
+          ...pageParams(10),
+          queryParam("pagination", {
+            type: "string",
+            enum: ["page", "cursor"],
+          }),
+          queryParam("cursor", { type: "string" }),
+          queryParam("includeTotal", { type: "boolean" }),
+          paramRef("IfNoneMatch"),
+        ],
+        responses: {
+          200: jsonResponse(
+            "A page of users",
+            ref("UserPage"),
+            listCacheHeaders
+          ),
+          304: responseRef("NotModified"),
+          400: responseRef("BadRequest"),
+          ...secured,
+        },
+      }),
+      post: users("Create a user", "createUser", {
+        parameters: [paramRef("IdempotencyKey")],
+        requestBody: jsonBody(ref("User")),
+        responses: {
+          201: jsonResponse("Created", ref("UserResult")),
+          409: responseRef("Conflict"),
+          422: responseRef("ValidationFailed"),
+          ...secured,
+        },
+      }),
+    },
+    "/api/users/import": {
+      post: users("Bulk create users from CSV or JSON", "importUsers", {
+        parameters: [
+          paramRef("IdempotencyKey"),
+          queryParam("dryRun", { type: "boolean" }, "Validate only"),
+          queryParam(
+            "onConflict",
+            { type: "string", enum: ["skip", "upsert"], default: "skip" },
+            "What to do with emails that already exist (upsert needs users:update)"
+          ),
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            "text/csv": { schema: { type: "string" } },
+            "application/json": {
+              schema: {
+                oneOf: [
+                  { type: "array", items: looseObject() },
+                  {
+                    type: "object",
+                    required: ["users"],
+                    properties: {
+                      users: { type: "array", items: looseObject() },
+                    },
+                  },
+                ],
+                description: 'an array of users or { "users": [...] }',
+              },
+            },
+          },
+        },
+        responses: {
+          200: jsonResponse("Dry run report", ref("ImportReport")),
+          201: jsonResponse("Import report", ref("ImportReport")),
+          400: responseRef("BadRequest"),
+          409: responseRef("IdempotencyKeyInUse"),
+          413: problemResponse("Too many rows or body too large"),
+          415: problemResponse("Unsupported content type"),
+          ...secured,
+        },
+      }),
+    },
+    "/api/users/batch": {
+      post: users("Update or delete several users", "batchUsers", {
+        description:
+          "atomic mode runs every operation in one transaction (needs a " +
+          "replica set); bestEffort reports each operation separately.",
+        parameters: [paramRef("IdempotencyKey")],
+        requestBody: jsonBody(ref("BatchRequest")),
+        responses: {
+          200: jsonResponse("Batch report", ref("BatchReport")),
+          400: responseRef("BadRequest"),
+          409: responseRef("IdempotencyKeyInUse"),
+          413: problemResponse("Too many operations or matches"),
+          422: problemResponse(
+            "An atomic batch failed and was rolled back (code BATCH_ROLLED_BACK)"
+          ),
+          501: problemResponse(
+            "Transactions are not available (code TRANSACTIONS_UNSUPPORTED)"
+          ),
+          ...secured,
+        },
+      }),
+    },
+    "/api/users/export": {
+      get: users("Stream users as CSV, JSON or NDJSON", "exportUsers", {
+        parameters: [
+          queryParam("format", { type: "string", enum: Object.keys(FORMATS) }),
+          ...filterParams(),
+          queryParam(
+            "q",
+            { type: "string", maxLength: 200 },
+            "Export the users GET /api/users/search matches"
+          ),
+          queryParam("mode", {
+            type: "string",
+            enum: SEARCH_MODES,
+            default: "prefix",
+          }),
+          queryParam("sort", {
+            type: "string",
+            enum: SORT_FIELDS.flatMap((field) => [field, `-${field}`]),
+          }),
+          queryParam("fields", { type: "string" }),
+        ],
+        responses: {
+          200: {
+            description: "The export, as a download",
+            content: {
+              "text/csv": { schema: { type: "string" } },
+              "application/json": {
+                schema: { type: "array", items: ref("UserSummary") },
+              },
+              "application/x-ndjson": { schema: { type: "string" } },
+            },
+          },
+          400: responseRef("BadRequest"),
+          ...secured,
+        },
+      }),
+    },
+    "/api/users/search": {
+      get: users("Ranked search over name, email and city", "searchUsers", {
+        parameters: [
+          {
+            ...queryParam("q", { type: "string", maxLength: 200 }),
+            required: true,
+          },
+          queryParam(
+            "mode",
+            { type: "string", enum: SEARCH_MODES, default: "prefix" },
+            "prefix matches as you type; text matches whole words"
+          ),
+          ...pageParams(10),
+          paramRef("IfNoneMatch"),
+        ],
+        responses: {
+          200: jsonResponse(
+            "Matches, best first",
+            ref("SearchResults"),
+            listCacheHeaders
+          ),
+          304: responseRef("NotModified"),
+          400: responseRef("BadRequest"),
+          ...secured,
+        },
+      }),
+    },
+    "/api/users/search/{query}": {
+      get: users("Search users (deprecated)", "searchUsersLegacy", {
+        deprecated: true,
+        description: "Use GET /api/users/search?q= instead.",
+        parameters: [
+          {
+            name: "query",
+            in: "path",
+            required: true,
+            schema: { type: "string" },
+          },
+          paramRef("IfNoneMatch"),
+        ],
+        responses: {
+          200: jsonResponse(
+            "Matches",
+            { type: "array", items: ref("SearchHit") },
+            listCacheHeaders
+          ),
+          304: responseRef("NotModified"),
+          400: responseRef("BadRequest"),
+          ...secured,
+        },
+      }),
+    },
+    "/api/users/stream": {
+      get: users("Live user changes as Server-Sent Events", "streamUsers", {
+        description:
+          "Events: user.created, user.updated, user.deleted, user.restored " +
+          "and user.purged, with { type, user, at } as data. Reconnect with " +
+          "Last-Event-ID to receive missed events; a reset event means they " +
+          "are gone and the list should be reloaded.",
+        parameters: [
+          {
+            name: "Last-Event-ID",
+            in: "header",
+            description: "Id of the last event received",
+            schema: { type: "string" },
+          },
+        ],
+        responses: {
+          200: {
+            description: "An open event stream",
+            content: { "text/event-stream": { schema: { type: "string" } } },
+          },
+          ...secured,
+        },
+      }),
+    },
+    "/api/users/trash": {
+      get: users("List users in the trash", "listTrash", {
+        parameters: pageParams(10),
+        responses: {
+          200: jsonResponse("A page of deleted users", ref("TrashPage")),
+          ...secured,
+        },
+      }),
+    },
+    "/api/users/trash/{id}": {
+      delete: users("Permanently delete a user in the trash", "purgeUser", {
+        parameters: [paramRef("UserId")],
+        responses: {
+          200: jsonResponse("Purged", ref("UserResult")),
+          404: responseRef("NotFound"),
+          ...secured,
+        },
+      }),
+    },
+    "/api/users/{id}/restore": {
+      post: users("Move a user out of the trash", "restoreUser", {
+        parameters: [paramRef("UserId")],
+        responses: {
+          200: jsonResponse("Restored", ref("UserResult")),
+          404: responseRef("NotFound"),
+          ...secured,
+        },
+      }),
+    },
+    "/api/users/{id}/history": {
+      get: users("Audit trail of a user, newest first", "getUserHistory", {
+        parameters: [paramRef("UserId"), ...pageParams(20)],
+        responses: {
+          200: jsonResponse("A page of audit entries", ref("AuditPage")),
+          ...secured,
+        },
+      }),
+    },
+    "/api/users/{id}": {
+      get: users("Get a user", "getUser", {
+        parameters: [paramRef("UserId"), paramRef("IfNoneMatch")],
+        responses: {
+          200: jsonResponse("The user", ref("User"), {
+            ...etagHeader,
+            "Last-Modified": {
+              description: "When the user last changed",
+              schema: { type: "string" },
+            },
+          }),
+          304: responseRef("NotModified"),
+          404: responseRef("NotFound"),
+          ...secured,
+        },
+      }),
+      put: users("Replace a user", "replaceUser", {
+        description:
+          "Fields left out are cleared. Read-only fields are ignored, so a " +
+          "user from GET can be sent back as is.",
+        parameters: [paramRef("UserId"), paramRef("IfMatch")],
+        requestBody: jsonBody(ref("User")),
+        responses: {
+          200: jsonResponse("Updated", ref("UserResult"), etagHeader),
+          400: responseRef("BadRequest"),
+          404: responseRef("NotFound"),
+          409: responseRef("Conflict"),
+          412: responseRef("PreconditionFailed"),
+          422: responseRef("ValidationFailed"),
+          ...secured,
+        },
+      }),
+      patch: users("Partially update a user", "patchUser", {
+        parameters: [paramRef("UserId"), paramRef("IfMatch")],
+        requestBody: {
+          required: true,
+          content: {
+            "application/merge-patch+json": { schema: ref("UserMergePatch") },
+            "application/json": { schema: ref("UserMergePatch") },
+            "application/json-patch+json": { schema: ref("JsonPatch") },
+          },
+        },
+        responses: {
+          200: jsonResponse("Updated", ref("UserResult"), etagHeader),
+          400: responseRef("BadRequest"),
+          404: responseRef("NotFound"),
+          409: responseRef("Conflict"),
+          412: responseRef("PreconditionFailed"),
+          415: problemResponse("Unsupported patch format"),
+          422: responseRef("ValidationFailed"),
+          ...secured,
+        },
+      }),
+      delete: users("Move a user to the trash", "deleteUser", {
+        parameters: [paramRef("UserId"), paramRef("IfMatch")],
+        responses: {
+          200: jsonResponse("Deleted", ref("UserResult")),
+          404: responseRef("NotFound"),
+          412: responseRef("PreconditionFailed"),
+          ...secured,
+        },
+      }),
+    },
+
+    "/api/accounts": {
+      get: {
+        tags: ["Accounts"],
+        summary: "List accounts and their roles (admin)",
+        operationId: "listAccounts",
+        responses: {
+          200: jsonResponse("Accounts", {
+            type: "array",
+            items: ref("AccountProfile"),
+          }),
+          ...secured,
+        },
+      },
+    },
+    "/api/accounts/{id}/role": {
+      put: {
+        tags: ["Accounts"],
+        summary: "Change the role of an account (admin)",
+        operationId: "updateAccountRole",
+        parameters: [
+          {
+            name: "id",
+            in: "path",
+            required: true,
+            schema: { type: "string" },
+          },
+        ],
+        requestBody: jsonBody(ref("RoleUpdate")),
+        responses: {
+          200: jsonResponse("Updated", {
+            type: "object",
+            properties: {
+              message: { type: "string" },
+              account: ref("AccountProfile"),
+            },
+          }),
+          400: responseRef("BadRequest"),
+          404: responseRef("NotFound"),
+          ...secured,
+        },
+      },
+    },
+    "/api/audit": {
+      get: {
+        tags: ["Audit"],
+        summary: "Query the audit trail (admin)",
+        operationId: "listAudit",
+        parameters: [
+          queryParam(
+            "actor",
+            { type: "string" },
+            "Account id or email of whoever made the change"
+          ),
+          queryParam("action", {
+            type: "string",
+            enum: AuditLog.schema.path("action").enumValues,
+          }),
+          queryParam("entity", { type: "string" }),
+          queryParam("entityId", { type: "string" }),
+          queryParam("from", { type: "string", format: "date-time" }),
+          queryParam("to", { type: "string", format: "date-time" }),
+          ...pageParams(20),
+        ],
+        responses: {
+          200: jsonResponse("A page of audit entries", ref("AuditPage")),
+          400: responseRef("BadRequest"),
+          ...secured,
+        },
+      },
+    },
+
+    "/api/webhooks": {
+      get: webhooks("List webhook subscriptions", "listWebhooks", {
+        responses: {
+          200: jsonResponse("Subscriptions and the available events", {
+            type: "object",
+            properties: {
+              subscriptions: {
+                type: "array",
+                items: ref("WebhookSubscription"),
+              },
+              events: {
+                type: "array",
+                items: { type: "string", enum: WEBHOOK_EVENTS },
+              },
+            },
+          }),
+          ...secured,
+        },
+      }),
+      post: webhooks("Subscribe a URL to user events", "createWebhook", {
+        requestBody: jsonBody(ref("WebhookSubscriptionInput")),
+        responses: {
+          201: jsonResponse("Created", ref("WebhookSubscriptionResult")),
+          422: responseRef("ValidationFailed"),
+          ...secured,
+        },
+      }),
+    },
+    "/api/webhooks/{id}": {
+      get: webhooks("Get a webhook subscription", "getWebhook", {
+        parameters: [paramRef("WebhookId")],
+        responses: {
+          200: jsonResponse("The subscription", ref("WebhookSubscription")),
+          404: responseRef("NotFound"),
+          ...secured,
+        },
+      }),
+      patch: webhooks("Update a webhook subscription", "updateWebhook", {
+        parameters: [paramRef("WebhookId")],
+        requestBody: jsonBody(ref("WebhookSubscriptionPatch")),
+        responses: {
+          200: jsonResponse("Updated", ref("WebhookSubscriptionResult")),
+          404: responseRef("NotFound"),
+          422: responseRef("ValidationFailed"),
+          ...secured,
+        },
+      }),
+      delete: webhooks(
+        "Delete a subscription and its deliveries",
+        "deleteWebhook",
+        {
+          parameters: [paramRef("WebhookId")],
+          responses: {
+            200: jsonResponse("Deleted", ref("WebhookSubscriptionResult")),
+            404: responseRef("NotFound"),
+            ...secured,
+          },
+        }
+      ),
+    },
+    "/api/webhooks/{id}/rotate-secret": {
+      post: webhooks("Replace the signing secret", "rotateWebhookSecret", {
+        parameters: [paramRef("WebhookId")],
+        responses: {
+          200: jsonResponse("Rotated", ref("WebhookSubscriptionResult")),
+          404: responseRef("NotFound"),
+          ...secured,
+        },
+      }),
+    },
+    "/api/webhooks/{id}/ping": {
+      post: webhooks("Queue a test event for the receiver", "pingWebhook", {
+        parameters: [paramRef("WebhookId")],
+        responses: {
+          202: jsonResponse("Queued", ref("WebhookDeliveryResult")),
+          404: responseRef("NotFound"),
+          ...secured,
+        },
+      }),
+    },
+    "/api/webhooks/{id}/deliveries": {
+      get: webhooks("Delivery log, newest first", "listWebhookDeliveries", {
+        parameters: [
+          paramRef("WebhookId"),
+          queryParam("status", {
+            type: "string",
+            enum: WebhookDelivery.schema.path("status").enumValues,
+          }),
+          queryParam("event", { type: "string" }),
+          ...pageParams(20),
+        ],
+        responses: {
+          200: jsonResponse("A page of deliveries", ref("WebhookDeliveryPage")),
+          400: responseRef("BadRequest"),
+          404: responseRef("NotFound"),
+          ...secured,
+        },
+      }),
+    },
+    "/api/webhooks/{id}/deliveries/{deliveryId}/redeliver": {
+      post: webhooks("Send a delivery again", "redeliverWebhook", {
+        description: "Queues a new delivery with the same event id and body.",
+        parameters: [
+          paramRef("WebhookId"),
+          {
+            name: "deliveryId",
+            in: "path",
+            required: true,
+            schema: { type: "string" },
+          },
+        ],
+        responses: {
+          202: jsonResponse("Queued", ref("WebhookDeliveryResult")),
+          404: responseRef("NotFound"),
+          ...secured,
+        },
+      }),
+    },
+
+    "/health": { get: health("Basic health check", "getHealth") },
+    "/health/detailed": {
+      get: health(
+        "Every health check and the overall status (OK, DEGRADED, ERROR)",
+        "getDetailedHealth"
+      ),
+    },
+    "/health/database": {
+      get: health(
+        "Database connectivity and connection history",
+        "getDatabaseHealth"
+      ),
+    },
+    "/health/dashboard": {
+      get: health(
+        "All health checks and the health history in one response",
+        "getHealthDashboard"
+      ),
+    },
+    "/health/history": {
+      get: health(
+        "Uptime, database latency and incidents over 1h, 24h and 7d",
+        "getHealthHistory"
+      ),
+    },
+    "/health/status": {
+      get: {
+        tags: ["Health"],
+        summary: "Status page",
+        description: "Server-rendered HTML with the checks and their history",
+        operationId: "getStatusPage",
+        security: [],
+        responses: {
+          200: {
+            description: "Status page",
+            content: { "text/html": { schema: { type: "string" } } },
+          },
+          429: responseRef("TooManyRequests"),
+        },
+      },
+    },
+    "/ready": { get: health("Readiness probe", "getReadiness") },
+    "/alive": { get: health("Liveness probe", "getLiveness") },
+    "/ping": { get: health("Load balancer ping", "ping") },
+    "/metrics": {
+      get: {
+        tags: ["Health"],
+        summary: "System metrics",
+        description:
+          "JSON by default; Prometheus text format with Accept: text/plain",
+        operationId: "getMetrics",
+        security: [],
+        responses: {
+          200: {
+            description: "Metrics",
+            content: {
+              "application/json": { schema: looseObject() },
+              "text/plain": { schema: { type: "string" } },
+            },
+          },
+          429: responseRef("TooManyRequests"),
+        },
+      },
+    },
+  };
+};
+
+let document = null;
+
+/**
+ * The OpenAPI 3 document for the API. The User schemas are derived from
+ * the Mongoose model, so validators added there show up here.
+ */
+const getOpenApiDocument = () => {
+  if (document) {
+    return document;
+  }
+
+  document = {
+    openapi: "3.0.3",
+    info: {
+      title: "MERN Stack Application API",
+      version,
+      description:
+        "Users, accounts and audit trail. Errors are application/problem+json.",
+    },
+    servers: [{ url: "/" }],
+    tags: [
+      { name: "Auth" },
+      { name: "Users" },
+      { name: "Accounts" },
+      { name: "Audit" },
+      {
+        name: "Webhooks",
+        description:
+          "Outgoing user.* events, signed and retried with backoff (admin)",
+      },
+      { name: "Health" },
+    ],
+    security: [{ bearerAuth: [] }],
+    paths: buildPaths(),
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+      schemas: buildSchemas(),
+      parameters: {
+        UserId: {
+          name: "id",
+          in: "path",
+          required: true,
+          description: "User id (an ObjectId; anything else is not found)",
+          schema: { type: "string" },
+        },
+        WebhookId: {
+          name: "id",
+          in: "path",
+          required: true,
+          description: "Webhook subscription id",
+          schema: { type: "string" },
+        },
+        IfMatch: {
+          name: "If-Match",
+          in: "header",
+          description: "ETag from GET; the write fails with 412 if it is stale",
+          schema: { type: "string" },
+        },
+        IdempotencyKey: {
+          name: "Idempotency-Key",
+          in: "header",
+          description:
+            "Unique per request (e.g. a UUID). Retries with the same key and " +
+            "body get the first response again, with Idempotent-Replayed: " +
+            "true; the same key with a different body gets 422 (code " +
+            "IDEMPOTENCY_KEY_REUSED).",
+          schema: { type: "string", minLength: 1, maxLength: 255 },
+        },
+        IfNoneMatch: {
+          name: "If-None-Match",
+          in: "header",
+          description: "ETag from an earlier response; 304 if it is current",
+          schema: { type: "string" },
+        },
+      },
+      responses: {
+        BadRequest: problemResponse("Invalid input"),
+        Unauthorized: problemResponse("Missing, invalid or expired token"),
+        Forbidden: problemResponse("The account's role lacks the permission"),
+        NotModified: {
+          description: "Unchanged since the copy the client already has",
+        },
+        NotFound: problemResponse("Not found"),
+        Conflict: problemResponse(
+          "Email already in use, a failed test, or an Idempotency-Key still in use"
+        ),
+        IdempotencyKeyInUse: problemResponse(
+          "A request with this Idempotency-Key is still being processed (code IDEMPOTENCY_KEY_IN_USE)"
+        ),
+        PreconditionFailed: problemResponse(
+          "If-Match is stale; `current` holds the saved user"
+        ),
+        ValidationFailed: problemResponse(
+          "Fields are invalid; `errors` maps each field to its message"
+        ),
+        TooManyRequests: {
+          ...problemResponse("Rate limit exceeded"),
+          headers: {
+            "Retry-After": {
+              description: "Seconds to wait",
+              schema: { type: "integer" },
+            },
+          },
+        },
+      },
+    },
+  };
+  return document;
+};
+
+module.exports = {
+  getOpenApiDocument,
+};
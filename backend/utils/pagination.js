@@ -0,0 +1,183 @@
+const mongoose = require("mongoose");
+
+const DEFAULT_LIMIT = 10;
+const DEFAULT_MAX_LIMIT = 100;
+
+// Cursor pagination walks the collection in (createdAt, _id) order
+const CURSOR_FIELD = "createdAt";
+
+const getMaxLimit = () =>
+  parseInt(process.env.MAX_PAGE_LIMIT) || DEFAULT_MAX_LIMIT;
+
+const parsePositiveInt = (value, name) => {
+  if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+    throw new Error(`Query parameter "${name}" must be a positive integer`);
+  }
+  return parseInt(value);
+};
+
+/**
+ * Parse page/limit/cursor parameters.
+ *
+ * Page mode (default): ?page=2&limit=10
+ * Cursor mode: ?pagination=cursor for the first page, then ?cursor=<token>
+ * from nextCursor/prevCursor. includeTotal=true|false controls whether the
+ * total is counted (on by default in page mode only).
+ */
+const parsePagination = (query) => {
+  const limit =
+    query.limit !== undefined
+      ? parsePositiveInt(query.limit, "limit")
+      : DEFAULT_LIMIT;
+
+  if (limit > getMaxLimit()) {
+    throw new Error(`Query parameter "limit" cannot exceed ${getMaxLimit()}`);
+  }
+
+  if (
+    query.pagination !== undefined &&
+    !["page", "cursor"].includes(query.pagination)
+  ) {
+    throw new Error('Query parameter "pagination" must be page or cursor');
+  }
+
+  const mode =
+    query.cursor !== undefined || query.pagination === "cursor"
+      ? "cursor"
+      : "page";
+
+  if (mode === "cursor" && query.page !== undefined) {
+    throw new Error('Use either "page" or "cursor", not both');
+  }
+
+  if (
+    query.includeTotal !== undefined &&
+    !["true", "false"].includes(query.includeTotal)
+  ) {
+    throw new Error('Query parameter "includeTotal" must be true or false');
+  }
+
+  const includeTotal =
+    query.includeTotal !== undefined
+      ? query.includeTotal === "true"
+      : mode === "page";
+
+  return {
+    mode,
+    limit,
+    page:
+      mode === "page" && query.page !== undefined
+        ? parsePositiveInt(query.page, "page")
+        : 1,
+    cursor: query.cursor !== undefined ? decodeCursor(query.cursor) : null,
+    includeTotal,
+  };
+};
+
+/**
+ * Encode a position in the result set as an opaque, URL-safe token
+ */
+const encodeCursor = (doc, direction, order) =>
+  Buffer.from(
+    JSON.stringify({
+      v: doc[CURSOR_FIELD].toISOString(),
+      id: doc._id.toString(),
+      d: direction,
+      o: order,
+    })
+  ).toString("base64url");
+
+/**
+ * Decode a cursor token, rejecting anything that was not produced by
+ * encodeCursor
+ */
+const decodeCursor = (token) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+
+  const value = new Date(cursor && cursor.v);
+  if (
+    isNaN(value.getTime()) ||
+    !mongoose.isValidObjectId(cursor.id) ||
+    !["next", "prev"].includes(cursor.d) ||
+    ![1, -1].includes(cursor.o)
+  ) {
+    throw new Error("Invalid cursor");
+  }
+
+  return {
+    value,
+    id: new mongoose.Types.ObjectId(cursor.id),
+    direction: cursor.d,
+    order: cursor.o,
+  };
+};
+
+/**
+ * Fetch one page in cursor mode.
+ *
+ * `order` is 1 or -1 for the (createdAt, _id) sort and must match the order
+ * the cursor was created with. Walking backwards ("prev") queries in the
+ * opposite order and reverses the result.
+ */
+const findCursorPage = async (
+  Model,
+  filter,
+  { cursor, limit, order, fields }
+) => {
+  const direction = cursor ? cursor.direction : "next";
+
+  const queryOrder = direction === "next" ? order : -order;
+  const op = queryOrder === 1 ? "$gt" : "$lt";
+
+  const conditions = [filter];
+  if (cursor) {
+    conditions.push({
+      $or: [
+        { [CURSOR_FIELD]: { [op]: cursor.value } },
+        { [CURSOR_FIELD]: cursor.value, _id: { [op]: cursor.id } },
+      ],
+    });
+  }
+
+  // Fetch one extra document to learn whether another page exists
+  const query = Model.find({ $and: conditions })
+    .sort({ [CURSOR_FIELD]: queryOrder, _id: queryOrder })
+    .limit(limit + 1);
+  if (fields) {
+    // The cursor needs the sort keys even when the client didn't ask for them
+    query.select([...new Set([...fields, CURSOR_FIELD, "_id"])].join(" "));
+  }
+  const docs = await query;
+
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (direction === "prev") {
+    items.reverse();
+  }
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  const hasNext = direction === "next" ? hasMore : Boolean(cursor);
+  const hasPrev = direction === "prev" ? hasMore : Boolean(cursor);
+
+  return {
+    items,
+    nextCursor: last && hasNext ? encodeCursor(last, "next", order) : null,
+    prevCursor: first && hasPrev ? encodeCursor(first, "prev", order) : null,
+  };
+};
+
+module.exports = {
+  CURSOR_FIELD,
+  getMaxLimit,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  findCursorPage,
+};
@@ -0,0 +1,36 @@
+// Permissions granted to each role. Route guards check permissions rather
+// than role names so a new role only needs an entry here.
+const ROLE_PERMISSIONS = {
+  admin: [
+    "users:read",
+    "users:create",
+    "users:update",
+    "users:delete",
+    "users:purge",
+    "accounts:manage",
+    "audit:read",
+    "webhooks:manage",
+  ],
+  editor: ["users:read", "users:create", "users:update"],
+  viewer: ["users:read"],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Get the permissions granted to a role
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a role grants a permission
+ */
+const hasPermission = (role, permission) =>
+  getPermissions(role).includes(permission);
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+};
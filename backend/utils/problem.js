@@ -0,0 +1,43 @@
+const http = require("http");
+
+/**
+ * Send an RFC 7807 problem+json error response. `error` repeats `detail` for
+ * clients written against the older { error } shape; extensions such as
+ * `code` or a per-field `errors` map are added at the top level.
+ */
+const sendProblem = (res, status, detail, extensions = {}) => {
+  const req = res.req;
+
+  return res
+    .status(status)
+    .type("application/problem+json")
+    .json({
+      type: "about:blank",
+      title: http.STATUS_CODES[status] || "Error",
+      status,
+      detail,
+      instance: req.originalUrl,
+      requestId: req.id,
+      error: detail,
+      ...extensions,
+    });
+};
+
+/**
+ * Create an error carrying an HTTP status, for the central error handler
+ */
+const httpError = (status, message, extensions) => {
+  const error = new Error(message);
+  error.status = status;
+  // The message is written for clients, even for 5xx statuses
+  error.expose = true;
+  if (extensions) {
+    error.extensions = extensions;
+  }
+  return error;
+};
+
+module.exports = {
+  sendProblem,
+  httpError,
+};
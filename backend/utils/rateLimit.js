@@ -0,0 +1,146 @@
+// Token-bucket policies per route group: a client may send `burst` requests
+// at once, then `perMinute` requests per minute as the bucket refills.
+// Override with RATE_LIMIT_<GROUP>_BURST and RATE_LIMIT_<GROUP>_PER_MINUTE.
+const DEFAULT_POLICIES = {
+  // Creating, changing and deleting users and accounts
+  writes: { burst: 30, perMinute: 60 },
+  // Search runs the heaviest queries
+  search: { burst: 20, perMinute: 120 },
+  // Health, probe and metrics endpoints (polled by monitors)
+  health: { burst: 60, perMinute: 600 },
+  // Login, registration and token refresh, against password guessing
+  auth: { burst: 10, perMinute: 10 },
+};
+
+// Most buckets the in-memory store keeps before evicting idle ones
+const DEFAULT_MAX_KEYS = 10000;
+
+const readPositive = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Rate limiting is on unless RATE_LIMIT_ENABLED=false
+ */
+const isRateLimitEnabled = () => process.env.RATE_LIMIT_ENABLED !== "false";
+
+/**
+ * Resolve the policy for a route group, applying environment overrides
+ */
+const getPolicy = (group) => {
+  const defaults = DEFAULT_POLICIES[group];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit group "${group}"`);
+  }
+
+  const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+  return {
+    name: group,
+    burst: Math.floor(readPositive(`${prefix}_BURST`, defaults.burst)),
+    perMinute: readPositive(`${prefix}_PER_MINUTE`, defaults.perMinute),
+  };
+};
+
+/**
+ * In-process token-bucket store. Any object with the same async
+ * `consume(key, policy)` method can replace it, e.g. one backed by Redis so
+ * that several server instances share their limits.
+ *
+ * consume() takes one token from the key's bucket and resolves to
+ * { allowed, remaining, resetSeconds, retryAfterSeconds }, where
+ * resetSeconds is the time until the bucket is full again and
+ * retryAfterSeconds the time until the next token when not allowed.
+ */
+const createMemoryStore = ({ maxKeys = DEFAULT_MAX_KEYS } = {}) => {
+  const buckets = new Map();
+
+  const refill = (bucket, now) => {
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(
+      bucket.burst,
+      bucket.tokens + elapsedSeconds * bucket.ratePerSecond
+    );
+    bucket.updatedAt = now;
+  };
+
+  // Full buckets carry no state, so they are dropped first; after that the
+  // least recently used ones go
+  const evict = (now) => {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= bucket.burst) {
+        buckets.delete(key);
+      }
+    }
+    for (const key of buckets.keys()) {
+      if (buckets.size < maxKeys) {
+        break;
+      }
+      buckets.delete(key);
+    }
+  };
+
+  return {
+    async consume(key, { burst, perMinute }) {
+      const now = Date.now();
+      const ratePerSecond = perMinute / 60;
+
+      let bucket = buckets.get(key);
+      if (bucket) {
+        // Re-insert so the Map stays ordered by last use
+        buckets.delete(key);
+        refill(bucket, now);
+      } else {
+        if (buckets.size >= maxKeys) {
+          evict(now);
+        }
+        bucket = { tokens: burst, updatedAt: now };
+      }
+      bucket.burst = burst;
+      bucket.ratePerSecond = ratePerSecond;
+      buckets.set(key, bucket);
+
+      const allowed = bucket.tokens >= 1;
+      if (allowed) {
+        bucket.tokens -= 1;
+      }
+
+      return {
+        allowed,
+        remaining: Math.floor(bucket.tokens),
+        resetSeconds: Math.ceil((burst - bucket.tokens) / ratePerSecond),
+        retryAfterSeconds: allowed
+          ? 0
+          : Math.ceil((1 - bucket.tokens) / ratePerSecond),
+      };
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+    },
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * Store used by the rate limiter
+ */
+const getRateLimitStore = () => store;
+
+/**
+ * Swap in another store (see createMemoryStore for the interface)
+ */
+const setRateLimitStore = (nextStore) => {
+  store = nextStore;
+};
+
+module.exports = {
+  DEFAULT_POLICIES,
+  isRateLimitEnabled,
+  getPolicy,
+  createMemoryStore,
+  getRateLimitStore,
+  setRateLimitStore,
+};
@@ -0,0 +1,110 @@
+const v8 = require("v8");
+const {
+  PerformanceObserver,
+  monitorEventLoopDelay,
+  constants,
+} = require("perf_hooks");
+const { gauge, histogram } = require("./metrics");
+const { getHealthCheckCount } = require("./healthCheck");
+
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: "minor",
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: "major",
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: "incremental",
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: "weakcb",
+};
+
+let eventLoopDelay = null;
+let gcObserver = null;
+
+gauge({
+  name: "nodejs_eventloop_lag_seconds",
+  help: "Event loop delay since the previous scrape, by statistic",
+  labelNames: ["stat"],
+  collect: (metric) => {
+    if (!eventLoopDelay) {
+      return;
+    }
+    // The monitor reports nanoseconds; reset so each scrape covers only
+    // the interval since the last one
+    metric.set({ stat: "mean" }, eventLoopDelay.mean / 1e9 || 0);
+    metric.set({ stat: "p50" }, eventLoopDelay.percentile(50) / 1e9);
+    metric.set({ stat: "p99" }, eventLoopDelay.percentile(99) / 1e9);
+    metric.set({ stat: "max" }, eventLoopDelay.max / 1e9);
+    eventLoopDelay.reset();
+  },
+});
+
+const gcDuration = histogram({
+  name: "nodejs_gc_duration_seconds",
+  help: "Garbage collection pauses in seconds, by kind",
+  labelNames: ["kind"],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1],
+});
+
+gauge({
+  name: "nodejs_heap_size_used_bytes",
+  help: "V8 heap in use, in bytes",
+  collect: (metric) => metric.set({}, process.memoryUsage().heapUsed),
+});
+
+gauge({
+  name: "nodejs_heap_size_total_bytes",
+  help: "V8 heap allocated, in bytes",
+  collect: (metric) => metric.set({}, process.memoryUsage().heapTotal),
+});
+
+gauge({
+  name: "nodejs_heap_space_size_used_bytes",
+  help: "V8 heap in use per heap space, in bytes",
+  labelNames: ["space"],
+  collect: (metric) =>
+    v8.getHeapSpaceStatistics().forEach((space) => {
+      metric.set({ space: space.space_name }, space.space_used_size);
+    }),
+});
+
+gauge({
+  name: "nodejs_external_memory_bytes",
+  help: "Memory used by C++ objects bound to JavaScript objects, in bytes",
+  collect: (metric) => metric.set({}, process.memoryUsage().external),
+});
+
+gauge({
+  name: "process_resident_memory_bytes",
+  help: "Resident set size, in bytes",
+  collect: (metric) => metric.set({}, process.memoryUsage().rss),
+});
+
+gauge({
+  name: "health_check_count",
+  help: "Requests to /health endpoints",
+  collect: (metric) => metric.set({}, getHealthCheckCount()),
+});
+
+/**
+ * Start sampling event loop delay and garbage collection
+ */
+const startRuntimeMetrics = () => {
+  if (eventLoopDelay) {
+    return;
+  }
+
+  eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+  eventLoopDelay.enable();
+
+  gcObserver = new PerformanceObserver((list) => {
+    list.getEntries().forEach((entry) => {
+      const kind = entry.detail ? entry.detail.kind : entry.kind;
+      gcDuration.observe(
+        { kind: GC_KINDS[kind] || "unknown" },
+        entry.duration / 1000
+      );
+    });
+  });
+  gcObserver.observe({ entryTypes: ["gc"] });
+};
+
+module.exports = {
+  startRuntimeMetrics,
+};
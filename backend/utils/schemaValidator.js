@@ -0,0 +1,190 @@
+// Validates values against the JSON Schema subset used by the OpenAPI
+// document (utils/openapi.js): $ref, type, nullable, enum, string, number,
+// object and array constraints, oneOf and readOnly
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  if (type === "number") {
+    return actual === "number" || actual === "integer";
+  }
+  return actual === type;
+};
+
+const describe = (path) => path || "body";
+
+/**
+ * Resolve "#/components/schemas/Name" references against the document
+ */
+const resolveRef = (schema, document) => {
+  if (!schema || !schema.$ref) {
+    return schema;
+  }
+  const target = schema.$ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node && node[key], document);
+  if (!target) {
+    throw new Error(`Unresolved schema reference ${schema.$ref}`);
+  }
+  return resolveRef(target, document);
+};
+
+/**
+ * Collect { path, message } errors for `value`. In requests, readOnly
+ * properties are neither required nor checked, since the API ignores them.
+ */
+const collectErrors = (schema, value, path, context, errors) => {
+  const resolved = resolveRef(schema, context.document);
+  if (!resolved) {
+    return;
+  }
+  const fail = (message) => errors.push({ path: describe(path), message });
+
+  if (value === null) {
+    if (!resolved.nullable && resolved.type) {
+      fail("Must not be null");
+    }
+    return;
+  }
+
+  if (resolved.oneOf) {
+    const matching = resolved.oneOf.filter((option) => {
+      const optionErrors = [];
+      collectErrors(option, value, path, context, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (matching.length !== 1) {
+      fail(
+        resolved.description
+          ? `Must be ${resolved.description}`
+          : "Does not match exactly one of the allowed shapes"
+      );
+    }
+    return;
+  }
+
+  if (resolved.type && !matchesType(resolved.type, value)) {
+    fail(
+      `Must be ${resolved.type === "integer" ? "an" : "a"} ${resolved.type}`
+    );
+    return;
+  }
+
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    fail(`Must be one of: ${resolved.enum.join(", ")}`);
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+      fail(`Must be at least ${resolved.minLength} characters long`);
+    }
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+      fail(`Cannot exceed ${resolved.maxLength} characters`);
+    }
+    if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+      fail("Has an invalid format");
+    }
+    if (
+      resolved.format === "date-time" &&
+      Number.isNaN(new Date(value).getTime())
+    ) {
+      fail("Must be a date and time");
+    }
+  }
+
+  if (typeof value === "number") {
+    if (resolved.minimum !== undefined && value < resolved.minimum) {
+      fail(`Must be at least ${resolved.minimum}`);
+    }
+    if (resolved.maximum !== undefined && value > resolved.maximum) {
+      fail(`Cannot exceed ${resolved.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+      fail(`Must have at least ${resolved.minItems} item(s)`);
+    }
+    if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+      fail(`Cannot have more than ${resolved.maxItems} items`);
+    }
+    if (resolved.items) {
+      value.forEach((item, index) =>
+        collectErrors(
+          resolved.items,
+          item,
+          `${path}[${index}]`,
+          context,
+          errors
+        )
+      );
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = resolved.properties || {};
+    const join = (name) => (path ? `${path}.${name}` : name);
+    const isIgnored = (name) =>
+      context.direction === "request" &&
+      resolveRef(properties[name], context.document).readOnly;
+
+    (resolved.required || []).forEach((name) => {
+      if (value[name] === undefined && !isIgnored(name)) {
+        errors.push({ path: join(name), message: "Is required" });
+      }
+    });
+    if (
+      resolved.minProperties !== undefined &&
+      Object.keys(value).length < resolved.minProperties
+    ) {
+      fail(`Must have at least ${resolved.minProperties} field(s)`);
+    }
+
+    Object.entries(value).forEach(([name, item]) => {
+      if (properties[name]) {
+        if (!isIgnored(name)) {
+          collectErrors(properties[name], item, join(name), context, errors);
+        }
+      } else if (resolved.additionalProperties === false) {
+        errors.push({ path: join(name), message: "Is not an allowed field" });
+      } else if (typeof resolved.additionalProperties === "object") {
+        collectErrors(
+          resolved.additionalProperties,
+          item,
+          join(name),
+          context,
+          errors
+        );
+      }
+    });
+  }
+};
+
+/**
+ * Validate a value against a schema from an OpenAPI document. Returns a
+ * path -> message map, or null when the value is valid.
+ */
+const validateSchema = (schema, value, { document, direction }) => {
+  const errors = [];
+  collectErrors(schema, value, "", { document, direction }, errors);
+  if (errors.length === 0) {
+    return null;
+  }
+  return errors.reduce((map, { path, message }) => {
+    map[path] = map[path] || message;
+    return map;
+  }, {});
+};
+
+module.exports = {
+  resolveRef,
+  validateSchema,
+};
@@ -0,0 +1,125 @@
+// Fields that take part in user search
+const SEARCH_FIELDS = ["name", "email", "city"];
+
+// Longest prefix stored per token; longer search terms are truncated to it
+const MAX_PREFIX_LENGTH = 20;
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+
+/**
+ * Split text into lowercase word tokens. Emails split on their punctuation,
+ * so "john.doe@example.com" becomes ["john", "doe", "example", "com"].
+ */
+const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Compute the stored search keys for a user: whole tokens (for ranking) and
+ * every prefix of every token (for search-as-you-type with an index)
+ */
+const buildSearchKeys = (doc) => {
+  const tokens = new Set();
+  SEARCH_FIELDS.forEach((field) => {
+    tokenize(doc[field]).forEach((token) => tokens.add(token));
+  });
+
+  const prefixes = new Set();
+  tokens.forEach((token) => {
+    const max = Math.min(token.length, MAX_PREFIX_LENGTH);
+    for (let length = 1; length <= max; length++) {
+      prefixes.add(token.slice(0, length));
+    }
+  });
+
+  return {
+    searchTokens: [...tokens],
+    searchPrefixes: [...prefixes],
+  };
+};
+
+/**
+ * Parse a raw search string into terms, rejecting input that is empty or
+ * too large to search efficiently
+ */
+const parseSearchTerms = (query) => {
+  if (typeof query !== "string" || !query.trim()) {
+    throw new Error("Search query is required");
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new Error(
+      `Search query cannot exceed ${MAX_QUERY_LENGTH} characters`
+    );
+  }
+
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) {
+    throw new Error("Search query must contain letters or numbers");
+  }
+  if (terms.length > MAX_QUERY_TERMS) {
+    throw new Error(`Search query cannot exceed ${MAX_QUERY_TERMS} words`);
+  }
+
+  return terms;
+};
+
+/**
+ * Find where the search terms match the start of words in a value, returning
+ * merged [start, end) ranges suitable for highlighting
+ */
+const findMatchRanges = (value, terms) => {
+  if (!value) {
+    return [];
+  }
+
+  const text = String(value);
+  const lower = text.toLowerCase();
+  const ranges = [];
+  const wordStart = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = wordStart.exec(lower)) !== null) {
+    const word = match[0];
+    terms.forEach((term) => {
+      if (word.startsWith(term)) {
+        ranges.push([match.index, match.index + term.length]);
+      }
+    });
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Highlight ranges for every search field of a user that matched
+ */
+const buildHighlights = (doc, terms) =>
+  SEARCH_FIELDS.reduce((highlights, field) => {
+    const ranges = findMatchRanges(doc[field], terms);
+    if (ranges.length > 0) {
+      highlights[field] = ranges;
+    }
+    return highlights;
+  }, {});
+
+module.exports = {
+  SEARCH_FIELDS,
+  MAX_PREFIX_LENGTH,
+  tokenize,
+  buildSearchKeys,
+  parseSearchTerms,
+  findMatchRanges,
+  buildHighlights,
+};
@@ -0,0 +1,101 @@
+const { logger } = require("./logger");
+const { disconnectDatabase } = require("./database");
+const { stopTrashPurger } = require("./trashRetention");
+const { stopWebhookWorker } = require("./webhooks");
+const { closeUserStreams, stopWatchingUserChanges } = require("./userStream");
+const { stopHealthSampler } = require("./healthHistory");
+
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10000;
+
+let shuttingDown = false;
+
+/**
+ * True once a shutdown signal was received; /ready reports NOT_READY and
+ * new requests are refused from then on
+ */
+const isShuttingDown = () => shuttingDown;
+
+/**
+ * Resolve once the server has closed every connection, or after `timeoutMs`
+ * with `false` if requests were still running
+ */
+const closeServer = (server, timeoutMs) =>
+  new Promise((resolve) => {
+    // Keep-alive connections would hold close() open until they time out,
+    // so close them as soon as their last request is done
+    const idleSweep = setInterval(() => server.closeIdleConnections(), 250);
+
+    const timer = setTimeout(() => {
+      clearInterval(idleSweep);
+      server.getConnections((error, count) => {
+        logger.warn("Shutdown timeout reached; closing open connections", {
+          connections: count,
+        });
+        server.closeAllConnections();
+        resolve(false);
+      });
+    }, timeoutMs);
+
+    server.close(() => {
+      clearInterval(idleSweep);
+      clearTimeout(timer);
+      resolve(true);
+    });
+    server.closeIdleConnections();
+  });
+
+/**
+ * Drain and stop: stop accepting connections, let in-flight requests finish
+ * within SHUTDOWN_TIMEOUT_MS, stop the background jobs, then disconnect from
+ * MongoDB and exit
+ */
+const shutdown = async (server, signal) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+
+  const timeoutMs =
+    parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || DEFAULT_SHUTDOWN_TIMEOUT_MS;
+  logger.info(`Received ${signal}; draining requests`, { timeoutMs });
+
+  // Live streams never finish on their own; clients reconnect elsewhere
+  closeUserStreams();
+  const drained = await closeServer(server, timeoutMs);
+  if (drained) {
+    logger.info("All requests finished");
+  }
+
+  stopTrashPurger();
+  stopWebhookWorker();
+  stopWatchingUserChanges();
+  stopHealthSampler();
+  try {
+    await disconnectDatabase();
+  } catch (error) {
+    logger.error("Error while disconnecting from MongoDB", { error });
+  }
+
+  logger.info("Shutdown complete");
+  process.exit(drained ? 0 : 1);
+};
+
+/**
+ * Shut down gracefully on SIGTERM and SIGINT. A second signal exits at once.
+ */
+const handleShutdownSignals = (server) => {
+  ["SIGTERM", "SIGINT"].forEach((signal) => {
+    process.on(signal, () => {
+      if (shuttingDown) {
+        logger.warn(`Received ${signal} again; exiting immediately`);
+        process.exit(1);
+      }
+      shutdown(server, signal);
+    });
+  });
+};
+
+module.exports = {
+  isShuttingDown,
+  handleShutdownSignals,
+};
@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const getAccessSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+  return process.env.JWT_SECRET;
+};
+
+const getRefreshSecret = () =>
+  process.env.JWT_REFRESH_SECRET || `${getAccessSecret()}:refresh`;
+
+/**
+ * Sign a short-lived access token for an account
+ */
+const signAccessToken = (account) => {
+  return jwt.sign(
+    {
+      sub: account._id.toString(),
+      email: account.email,
+      role: account.role,
+      type: "access",
+    },
+    getAccessSecret(),
+    { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m" }
+  );
+};
+
+/**
+ * Sign a long-lived refresh token. The returned tokenId is stored on the
+ * account so the token can be revoked on logout or rotation.
+ */
+const signRefreshToken = (account) => {
+  const tokenId = crypto.randomUUID();
+  const token = jwt.sign(
+    { sub: account._id.toString(), type: "refresh" },
+    getRefreshSecret(),
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "7d",
+      jwtid: tokenId,
+    }
+  );
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    tokenId,
+    expiresAt: new Date(exp * 1000),
+  };
+};
+
+/**
+ * Verify an access token and return its payload
+ */
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, getAccessSecret());
+  if (payload.type !== "access") {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return payload;
+};
+
+/**
+ * Verify a refresh token and return its payload
+ */
+const verifyRefreshToken = (token) => {
+  const payload = jwt.verify(token, getRefreshSecret());
+  if (payload.type !== "refresh") {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return payload;
+};
+
+module.exports = {
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+};
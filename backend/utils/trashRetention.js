@@ -0,0 +1,74 @@
+const User = require("../models/User");
+const { logger } = require("./logger");
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+let purgeTimer = null;
+
+/**
+ * Number of days a soft-deleted user stays in the trash
+ */
+const getRetentionDays = () => {
+  const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Permanently delete users that have been in the trash longer than the
+ * retention period
+ */
+const purgeExpiredUsers = async () => {
+  const cutoff = new Date(
+    Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000
+  );
+  const result = await User.deleteMany({
+    deletedAt: { $ne: null, $lte: cutoff },
+  });
+
+  if (result.deletedCount > 0) {
+    logger.info(`Purged ${result.deletedCount} user(s) from the trash`);
+  }
+
+  return result.deletedCount;
+};
+
+/**
+ * Run the purge job periodically (and once immediately)
+ */
+const startTrashPurger = () => {
+  if (purgeTimer) {
+    return;
+  }
+
+  const minutes =
+    parseFloat(process.env.TRASH_PURGE_INTERVAL_MINUTES) ||
+    DEFAULT_INTERVAL_MINUTES;
+
+  const run = () =>
+    purgeExpiredUsers().catch((error) => {
+      logger.error("Trash purge failed", { error });
+    });
+
+  run();
+  purgeTimer = setInterval(run, minutes * 60 * 1000);
+  // Don't keep the process alive just for the purge job
+  purgeTimer.unref();
+};
+
+/**
+ * Stop the periodic purge job
+ */
+const stopTrashPurger = () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+};
+
+module.exports = {
+  getRetentionDays,
+  purgeExpiredUsers,
+  startTrashPurger,
+  stopTrashPurger,
+};
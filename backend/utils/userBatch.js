@@ -0,0 +1,427 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { recordAudit } = require("./audit");
+const { publishUserEvent } = require("./userEvents");
+const { httpError } = require("./problem");
+const { toProblem } = require("../middleware/errorHandler");
+const {
+  FILTER_PARAMS,
+  assertKnownParams,
+  buildUserFilter,
+} = require("./userQuery");
+const {
+  EDITABLE_FIELDS,
+  editableValues,
+  applyMergePatch,
+  toUserUpdate,
+} = require("./userPatch");
+
+const BATCH_MODES = ["atomic", "bestEffort"];
+const OPERATION_KEYS = ["op", "id", "filter", "set"];
+const DEFAULT_MAX_OPERATIONS = 100;
+const DEFAULT_MAX_MATCHES = 1000;
+
+const getMaxOperations = () =>
+  parseInt(process.env.BATCH_MAX_OPERATIONS) || DEFAULT_MAX_OPERATIONS;
+
+// Most users a single filter operation may touch
+const getMaxMatches = () =>
+  parseInt(process.env.BATCH_MAX_MATCHES) || DEFAULT_MAX_MATCHES;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validate one operation and resolve its filter, so a malformed batch is
+ * rejected before anything is written
+ */
+const parseOperation = (operation, index) => {
+  const label = `Operation ${index}`;
+
+  if (!isPlainObject(operation)) {
+    throw httpError(400, `${label} must be an object`);
+  }
+
+  const unknown = Object.keys(operation).filter(
+    (key) => !OPERATION_KEYS.includes(key)
+  );
+  if (unknown.length > 0) {
+    throw httpError(400, `${label}: unknown key(s) ${unknown.join(", ")}`);
+  }
+
+  const { op, id, filter, set } = operation;
+  if (!["update", "delete"].includes(op)) {
+    throw httpError(400, `${label}: "op" must be update or delete`);
+  }
+  if ((id === undefined) === (filter === undefined)) {
+    throw httpError(400, `${label}: give either "id" or "filter"`);
+  }
+  if (id !== undefined && !mongoose.isValidObjectId(id)) {
+    throw httpError(400, `${label}: "id" is not a valid id`);
+  }
+
+  let query = null;
+  if (filter !== undefined) {
+    if (!isPlainObject(filter) || Object.keys(filter).length === 0) {
+      throw httpError(400, `${label}: "filter" must be a non-empty object`);
+    }
+    try {
+      assertKnownParams(filter, FILTER_PARAMS);
+      query = buildUserFilter(filter);
+    } catch (error) {
+      throw httpError(400, `${label}: ${error.message}`);
+    }
+  }
+
+  if (op === "delete" && set !== undefined) {
+    throw httpError(400, `${label}: delete does not take "set"`);
+  }
+  if (op === "update") {
+    if (!isPlainObject(set) || Object.keys(set).length === 0) {
+      throw httpError(400, `${label}: update needs a non-empty "set" object`);
+    }
+    const fields = Object.keys(set);
+    const notEditable = fields.filter(
+      (field) => !EDITABLE_FIELDS.includes(field)
+    );
+    if (notEditable.length > 0) {
+      throw httpError(
+        400,
+        `${label}: cannot set ${notEditable.join(", ")}. ` +
+          `Allowed: ${EDITABLE_FIELDS.join(", ")}`
+      );
+    }
+    if (filter !== undefined && "email" in set) {
+      throw httpError(400, `${label}: email can only be set by id`);
+    }
+  }
+
+  return { op, id, filter, query, set };
+};
+
+/**
+ * Validate the request body: { mode, operations: [...] }
+ */
+const parseBatch = (body) => {
+  if (!isPlainObject(body)) {
+    throw httpError(400, "Request body must be a JSON object");
+  }
+
+  const mode = body.mode === undefined ? "atomic" : body.mode;
+  if (!BATCH_MODES.includes(mode)) {
+    throw httpError(400, `mode must be one of: ${BATCH_MODES.join(", ")}`);
+  }
+
+  const { operations } = body;
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw httpError(400, "operations must be a non-empty array");
+  }
+  if (operations.length > getMaxOperations()) {
+    throw httpError(
+      413,
+      `A batch is limited to ${getMaxOperations()} operations`
+    );
+  }
+
+  return { mode, operations: operations.map(parseOperation) };
+};
+
+/**
+ * Permissions needed to run every operation in a (possibly invalid) body
+ */
+const requiredPermissions = (body) => {
+  const operations =
+    isPlainObject(body) && Array.isArray(body.operations)
+      ? body.operations
+      : [];
+  const permissions = new Set();
+  operations.forEach((operation) => {
+    if (operation && operation.op === "update") {
+      permissions.add("users:update");
+    } else if (operation && operation.op === "delete") {
+      permissions.add("users:delete");
+    }
+  });
+  return [...permissions];
+};
+
+/**
+ * Update one active user with merge-patch semantics (null clears a field),
+ * using the same validation and duplicate-email check as PATCH /:id
+ */
+const updateOne = async (id, set, { session, audits }) => {
+  const before = await User.findById(id).notDeleted().session(session);
+  if (!before) {
+    throw httpError(404, "User not found");
+  }
+
+  const candidate = new User(applyMergePatch(before, set));
+  const validationError = candidate.validateSync(EDITABLE_FIELDS);
+  if (validationError) {
+    throw validationError;
+  }
+
+  if (candidate.email !== before.email) {
+    const existingUser = await User.findOne({
+      email: candidate.email,
+      _id: { $ne: id },
+    }).session(session);
+    if (existingUser) {
+      const message = "User with this email already exists";
+      throw httpError(409, message, { errors: { email: message } });
+    }
+  }
+
+  const after = await User.findOneAndUpdate(
+    { _id: id, deletedAt: null },
+    toUserUpdate(editableValues(candidate)),
+    { new: true, runValidators: true, session }
+  );
+  if (!after) {
+    throw httpError(404, "User not found");
+  }
+  audits.push({ action: "update", before, after });
+};
+
+/**
+ * Move one active user to the trash
+ */
+const deleteOne = async (id, accountId, { session, audits }) => {
+  const before = await User.findById(id).notDeleted().session(session);
+  if (!before) {
+    throw httpError(404, "User not found");
+  }
+
+  const after = await User.findOneAndUpdate(
+    { _id: id, deletedAt: null },
+    { deletedAt: new Date(), deletedBy: accountId },
+    { new: true, session }
+  );
+  if (!after) {
+    throw httpError(404, "User not found");
+  }
+  audits.push({ action: "delete", before, after });
+};
+
+/**
+ * Error details for a result entry
+ */
+const describeError = (error) => {
+  const { status, detail, extensions } = toProblem(error);
+  return {
+    statusCode: status,
+    error: detail,
+    ...(extensions.errors && { errors: extensions.errors }),
+  };
+};
+
+/**
+ * Run one operation. In atomic mode the first failure is thrown; in
+ * best-effort mode failures of individual users are collected.
+ */
+const runOperation = async (req, operation, context) => {
+  const ids = operation.id
+    ? [operation.id]
+    : (
+        await User.find(operation.query)
+          .select("_id")
+          .limit(getMaxMatches() + 1)
+          .session(context.session)
+          .lean()
+      ).map((user) => user._id.toString());
+
+  if (ids.length > getMaxMatches()) {
+    throw httpError(
+      413,
+      `Filter matches more than ${getMaxMatches()} users; narrow it down`
+    );
+  }
+
+  const failures = [];
+  for (const id of ids) {
+    try {
+      if (operation.op === "update") {
+        await updateOne(id, operation.set, context);
+      } else {
+        await deleteOne(id, req.account.id, context);
+      }
+    } catch (error) {
+      if (context.atomic || operation.id) {
+        throw error;
+      }
+      failures.push({ id, ...describeError(error) });
+    }
+  }
+
+  return {
+    matched: ids.length,
+    modified: ids.length - failures.length,
+    ...(failures.length > 0 && { failures }),
+  };
+};
+
+// A standalone server refuses the first command of a transaction with
+// IllegalOperation ("Transaction numbers are only allowed on a replica set
+// member or mongos")
+const isTransactionUnsupported = (error) =>
+  error.code === 20 || /replica set/i.test(error.message);
+
+const describeOperation = ({ op, id, filter }, index) => ({
+  index,
+  op,
+  ...(id ? { id } : { filter }),
+});
+
+/**
+ * All-or-nothing: run every operation in one transaction. Requires MongoDB
+ * to run as a replica set.
+ */
+const runAtomic = async (req, operations) => {
+  const session = await mongoose.startSession();
+  const audits = [];
+  const results = [];
+  let failed = null;
+
+  try {
+    await session.withTransaction(async () => {
+      // withTransaction may retry the callback on transient errors
+      audits.length = 0;
+      results.length = 0;
+      failed = null;
+
+      for (const [index, operation] of operations.entries()) {
+        try {
+          const outcome = await runOperation(req, operation, {
+            session,
+            audits,
+            atomic: true,
+          });
+          results.push({
+            ...describeOperation(operation, index),
+            status: "succeeded",
+            ...outcome,
+          });
+        } catch (error) {
+          if (!isTransactionUnsupported(error)) {
+            failed = { index, error };
+          }
+          throw error;
+        }
+      }
+    });
+  } catch (error) {
+    if (!failed) {
+      if (isTransactionUnsupported(error)) {
+        throw httpError(
+          501,
+          'All-or-nothing batches need MongoDB running as a replica set; use mode "bestEffort"',
+          { code: "TRANSACTIONS_UNSUPPORTED" }
+        );
+      }
+      throw error;
+    }
+
+    // Everything before the failure was rolled back, everything after it
+    // never ran
+    return {
+      committed: false,
+      results: operations.map((operation, index) => {
+        const result = describeOperation(operation, index);
+        if (index < failed.index) {
+          return { ...result, status: "rolledBack" };
+        }
+        if (index > failed.index) {
+          return { ...result, status: "skipped" };
+        }
+        return {
+          ...result,
+          status: "failed",
+          ...describeError(failed.error),
+        };
+      }),
+    };
+  } finally {
+    await session.endSession();
+  }
+
+  for (const audit of audits) {
+    await recordAudit(req, audit);
+    await publishUserEvent(req, audit);
+  }
+  return { committed: true, results };
+};
+
+/**
+ * Best effort: run each operation on its own and report what happened
+ */
+const runBestEffort = async (req, operations) => {
+  const results = [];
+
+  for (const [index, operation] of operations.entries()) {
+    const audits = [];
+    try {
+      const outcome = await runOperation(req, operation, {
+        session: null,
+        audits,
+        atomic: false,
+      });
+      results.push({
+        ...describeOperation(operation, index),
+        status:
+          outcome.modified === outcome.matched
+            ? "succeeded"
+            : outcome.modified > 0
+            ? "partial"
+            : "failed",
+        ...outcome,
+      });
+    } catch (error) {
+      results.push({
+        ...describeOperation(operation, index),
+        status: "failed",
+        ...describeError(error),
+      });
+    }
+
+    for (const audit of audits) {
+      await recordAudit(req, audit);
+      await publishUserEvent(req, audit);
+    }
+  }
+
+  return { committed: true, results };
+};
+
+/**
+ * Run a parsed batch and summarise the per-operation results
+ */
+const runBatch = async (req, { mode, operations }) => {
+  const { committed, results } =
+    mode === "atomic"
+      ? await runAtomic(req, operations)
+      : await runBestEffort(req, operations);
+
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+
+  return {
+    mode,
+    committed,
+    summary: {
+      total: results.length,
+      succeeded: count("succeeded"),
+      partial: count("partial"),
+      failed: count("failed"),
+      rolledBack: count("rolledBack"),
+      skipped: count("skipped"),
+    },
+    results,
+  };
+};
+
+module.exports = {
+  BATCH_MODES,
+  parseBatch,
+  requiredPermissions,
+  runBatch,
+};
@@ -0,0 +1,96 @@
+const User = require("../models/User");
+const { counter, gauge } = require("./metrics");
+
+const lookups = counter({
+  name: "user_cache_lookups_total",
+  help: "User list cache lookups, by cache (page, count) and outcome (hit, miss)",
+  labelNames: ["cache", "outcome"],
+});
+
+// Least recently used first (a Map keeps insertion order)
+const entries = new Map();
+
+gauge({
+  name: "user_cache_entries",
+  help: "List pages and counts held in the user list cache",
+  collect: (metric) => metric.set({}, entries.size),
+});
+
+/**
+ * Size of the list cache; 0 (the default) turns it off
+ */
+const getMaxEntries = () => {
+  const value = parseInt(process.env.USER_CACHE_MAX_ENTRIES);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+};
+
+/**
+ * The users version, { seq, changedAt }. seq goes up with every write to
+ * users, purges and trash moves included (see models/User.js), so it
+ * never repeats, unlike the newest updatedAt.
+ */
+const getUsersVersion = () => User.getVersion();
+
+// Filters hold RegExps, which JSON.stringify would turn into {}
+const toKey = (value) =>
+  JSON.stringify(value, (key, item) =>
+    item instanceof RegExp ? item.toString() : item
+  );
+
+/**
+ * Return the cached result for `key`, or run `load` and cache what it
+ * returns. Keys include the users version, so a write made by another
+ * instance is never served from here; writes through this one also clear
+ * the cache (see clearUserCache).
+ */
+const cached = async (cache, version, key, load) => {
+  const maxEntries = getMaxEntries();
+  if (maxEntries === 0) {
+    return load();
+  }
+
+  const entryKey = `${cache}:${version.seq}:${toKey(key)}`;
+  if (entries.has(entryKey)) {
+    const value = entries.get(entryKey);
+    // Move to the most recently used end
+    entries.delete(entryKey);
+    entries.set(entryKey, value);
+    lookups.inc({ cache, outcome: "hit" });
+    return value;
+  }
+
+  lookups.inc({ cache, outcome: "miss" });
+  const value = await load();
+  entries.set(entryKey, value);
+  for (const oldest of entries.keys()) {
+    if (entries.size <= maxEntries) {
+      break;
+    }
+    entries.delete(oldest);
+  }
+  return value;
+};
+
+/**
+ * A page of users from the list cache
+ */
+const cachedPage = (version, query, load) =>
+  cached("page", version, query, load);
+
+/**
+ * The number of users matching a filter, from the list cache
+ */
+const cachedCount = (version, filter) =>
+  cached("count", version, filter, () => User.countDocuments(filter));
+
+/**
+ * Drop every cached page and count
+ */
+const clearUserCache = () => entries.clear();
+
+module.exports = {
+  getUsersVersion,
+  cachedPage,
+  cachedCount,
+  clearUserCache,
+};
@@ -0,0 +1,33 @@
+const { diffFields } = require("./audit");
+const { publishUserChange } = require("./userStream");
+const { queueWebhooks } = require("./webhooks");
+
+// Audit actions (see utils/audit.js) and the events they publish
+const USER_EVENTS = {
+  create: "user.created",
+  update: "user.updated",
+  delete: "user.deleted",
+  restore: "user.restored",
+  purge: "user.purged",
+};
+
+/**
+ * Publish a change to a user to live streams (GET /api/users/stream) and
+ * webhook subscribers. Takes the same arguments as recordAudit and, like
+ * it, never throws.
+ */
+const publishUserEvent = async (req, { action, before, after }) => {
+  const type = USER_EVENTS[action];
+  const user = after || before;
+
+  publishUserChange(type, user);
+  await queueWebhooks(req, type, {
+    user,
+    changes: diffFields(before, after),
+  });
+};
+
+module.exports = {
+  USER_EVENTS,
+  publishUserEvent,
+};
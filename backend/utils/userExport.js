@@ -0,0 +1,100 @@
+const User = require("../models/User");
+const { formatCsvRow } = require("./csv");
+const { toProjection } = require("./userQuery");
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "ndjson",
+  },
+};
+
+/**
+ * Write a chunk, waiting for the socket to drain when its buffer is full
+ * (or to close, so an abandoned download never hangs)
+ */
+const write = (res, chunk) =>
+  new Promise((resolve) => {
+    if (res.write(chunk)) {
+      return resolve();
+    }
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+/**
+ * Stream users matching a filter to the response using a Mongo cursor, so
+ * the collection is never loaded into memory at once
+ */
+const streamUsers = async (res, { format, fields, filter, sort }) => {
+  const { contentType, extension } = FORMATS[format];
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.status(200);
+  res.set("Content-Type", contentType);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="users-${date}.${extension}"`
+  );
+
+  const cursor = User.find(filter)
+    .select(toProjection(fields))
+    .sort(sort)
+    .lean()
+    .cursor();
+
+  // Stop reading from Mongo if the client goes away mid-download
+  let aborted = false;
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      aborted = true;
+      cursor.close().catch(() => {});
+    }
+  });
+
+  const pick = (doc) =>
+    fields.reduce((record, field) => {
+      record[field] = doc[field] === undefined ? null : doc[field];
+      return record;
+    }, {});
+
+  if (format === "csv") {
+    await write(res, formatCsvRow(fields));
+  } else if (format === "json") {
+    await write(res, "[");
+  }
+
+  let count = 0;
+  for await (const doc of cursor) {
+    if (aborted) {
+      break;
+    }
+
+    if (format === "csv") {
+      await write(res, formatCsvRow(fields.map((field) => doc[field])));
+    } else if (format === "json") {
+      await write(res, (count > 0 ? "," : "") + JSON.stringify(pick(doc)));
+    } else {
+      await write(res, JSON.stringify(pick(doc)) + "\n");
+    }
+    count++;
+  }
+
+  if (!aborted) {
+    res.end(format === "json" ? "]" : undefined);
+  }
+
+  return count;
+};
+
+module.exports = {
+  FORMATS,
+  streamUsers,
+};
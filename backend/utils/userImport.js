@@ -0,0 +1,197 @@
+const User = require("../models/User");
+const { parseCsvObjects } = require("./csv");
+const { recordAudit } = require("./audit");
+const { publishUserEvent } = require("./userEvents");
+const { httpError } = require("./problem");
+
+const IMPORT_FIELDS = ["name", "email", "age", "city", "phone"];
+const DEFAULT_MAX_ROWS = 5000;
+
+const getMaxRows = () =>
+  parseInt(process.env.IMPORT_MAX_ROWS) || DEFAULT_MAX_ROWS;
+
+/**
+ * Turn the request body into an array of raw records. CSV is sent as
+ * text/csv; JSON may be an array or an object with a "users" array.
+ */
+const parseImportBody = (req) => {
+  if (req.is("text/csv") || req.is("text/plain")) {
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      throw httpError(400, "CSV body is empty");
+    }
+    return parseCsvObjects(req.body);
+  }
+
+  if (req.is("application/json")) {
+    const records = Array.isArray(req.body) ? req.body : req.body.users;
+    if (!Array.isArray(records)) {
+      throw httpError(400, 'JSON body must be an array or { "users": [...] }');
+    }
+    return records;
+  }
+
+  throw httpError(
+    415,
+    "Unsupported content type; send text/csv or application/json"
+  );
+};
+
+/**
+ * Keep only importable fields, trimming strings and dropping empty values
+ */
+const normalizeRecord = (record) => {
+  const data = {};
+
+  IMPORT_FIELDS.forEach((field) => {
+    let value = record && record[field];
+    if (typeof value === "string") {
+      value = value.trim();
+    }
+    if (value === undefined || value === null || value === "") {
+      return;
+    }
+    if (field === "age" && typeof value === "string") {
+      value = Number(value);
+    }
+    if (field === "email") {
+      value = String(value).toLowerCase();
+    }
+    data[field] = value;
+  });
+
+  return data;
+};
+
+/**
+ * Validate a record against the User schema, returning a map of
+ * field -> message (empty when valid)
+ */
+const validateRecord = (data) => {
+  const validationError = new User(data).validateSync();
+  if (!validationError) {
+    return {};
+  }
+
+  return Object.keys(validationError.errors).reduce((errors, field) => {
+    errors[field] = validationError.errors[field].message;
+    return errors;
+  }, {});
+};
+
+/**
+ * Validate and (unless dryRun) write a batch of user records.
+ *
+ * Options:
+ *   dryRun     - validate only, write nothing
+ *   onConflict - "skip" (default) leaves existing users untouched,
+ *                "upsert" updates the existing user with the same email
+ */
+const importUsers = async (req, records, { dryRun, onConflict }) => {
+  if (records.length > getMaxRows()) {
+    throw httpError(413, `Import is limited to ${getMaxRows()} rows`);
+  }
+
+  const rows = records.map((record, index) => ({
+    row: index + 1,
+    data: normalizeRecord(record),
+  }));
+
+  // Look up every email in the file at once
+  const emails = rows.map(({ data }) => data.email).filter(Boolean);
+  const existingUsers = await User.find({ email: { $in: emails } });
+  const existingByEmail = new Map(
+    existingUsers.map((user) => [user.email, user])
+  );
+
+  const seenEmails = new Map();
+  const results = [];
+
+  for (const { row, data } of rows) {
+    const result = { row, email: data.email || null };
+    const errors = validateRecord(data);
+
+    if (Object.keys(errors).length > 0) {
+      results.push({ ...result, status: "failed", errors });
+      continue;
+    }
+
+    if (seenEmails.has(data.email)) {
+      const firstRow = seenEmails.get(data.email);
+      results.push({
+        ...result,
+        status: "failed",
+        reason: `Duplicate email in file (first seen on row ${firstRow})`,
+      });
+      continue;
+    }
+    seenEmails.set(data.email, row);
+
+    const existing = existingByEmail.get(data.email);
+
+    if (existing && existing.deletedAt) {
+      results.push({
+        ...result,
+        status: "skipped",
+        reason: "User with this email is in the trash",
+      });
+      continue;
+    }
+
+    if (existing && onConflict !== "upsert") {
+      results.push({
+        ...result,
+        status: "skipped",
+        reason: "User with this email already exists",
+      });
+      continue;
+    }
+
+    const status = existing ? "updated" : "created";
+
+    if (dryRun) {
+      results.push({ ...result, status });
+      continue;
+    }
+
+    try {
+      if (existing) {
+        const user = await User.findByIdAndUpdate(existing._id, data, {
+          new: true,
+          runValidators: true,
+        });
+        const audit = {
+          action: "update",
+          before: existing,
+          after: user,
+        };
+        await recordAudit(req, audit);
+        await publishUserEvent(req, audit);
+        results.push({ ...result, status, id: user._id });
+      } else {
+        const user = await User.create(data);
+        await recordAudit(req, { action: "create", after: user });
+        await publishUserEvent(req, { action: "create", after: user });
+        results.push({ ...result, status, id: user._id });
+      }
+    } catch (error) {
+      results.push({ ...result, status: "failed", reason: error.message });
+    }
+  }
+
+  const summary = { total: results.length };
+  ["created", "updated", "skipped", "failed"].forEach((status) => {
+    summary[status] = results.filter((r) => r.status === status).length;
+  });
+
+  return {
+    dryRun: Boolean(dryRun),
+    onConflict,
+    summary,
+    rows: results,
+  };
+};
+
+module.exports = {
+  parseImportBody,
+  importUsers,
+};
@@ -0,0 +1,206 @@
+const { httpError } = require("./problem");
+
+// Fields a client may write through PUT and PATCH
+const EDITABLE_FIELDS = ["name", "email", "age", "city", "phone"];
+
+// Fields returned by GET that may be echoed back in a PUT body and are ignored
+const READ_ONLY_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+const JSON_PATCH_OPS = ["add", "remove", "replace", "move", "copy", "test"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Current values of the editable fields of a user; missing fields are
+ * left out rather than set to undefined
+ */
+const editableValues = (user) =>
+  EDITABLE_FIELDS.reduce((values, field) => {
+    if (user[field] !== undefined && user[field] !== null) {
+      values[field] = user[field];
+    }
+    return values;
+  }, {});
+
+/**
+ * Reject fields that can't be written, then drop null and empty values so
+ * they clear the field
+ */
+const normalizeValues = (values, allowed) => {
+  const unknown = Object.keys(values).filter(
+    (field) => !EDITABLE_FIELDS.includes(field) && !allowed.includes(field)
+  );
+  if (unknown.length > 0) {
+    throw httpError(
+      400,
+      `Unknown field(s): ${unknown.join(", ")}. ` +
+        `Allowed: ${EDITABLE_FIELDS.join(", ")}`
+    );
+  }
+
+  return EDITABLE_FIELDS.reduce((normalized, field) => {
+    const value = values[field];
+    if (value !== undefined && value !== null && value !== "") {
+      normalized[field] = value;
+    }
+    return normalized;
+  }, {});
+};
+
+/**
+ * PUT body -> the complete new set of values. Fields that are left out are
+ * cleared; required fields are enforced by schema validation.
+ */
+const parseReplacement = (body) => {
+  if (!isPlainObject(body)) {
+    throw httpError(400, "Request body must be a JSON object");
+  }
+  return normalizeValues(body, READ_ONLY_FIELDS);
+};
+
+/**
+ * RFC 7396 JSON Merge Patch: objects are merged recursively, null removes a
+ * member and anything else replaces it
+ */
+const mergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+/**
+ * Apply a merge patch to a user's editable values
+ */
+const applyMergePatch = (user, patch) => {
+  if (!isPlainObject(patch)) {
+    throw httpError(400, "Merge patch must be a JSON object");
+  }
+  return normalizeValues(mergePatch(editableValues(user), patch), []);
+};
+
+/**
+ * Resolve a JSON Pointer to a top-level user field. Users are flat, so
+ * deeper pointers (and the whole document, "") are rejected.
+ */
+const parsePointer = (pointer, name) => {
+  if (typeof pointer !== "string" || !/^\/[^/]+$/.test(pointer)) {
+    throw httpError(400, `"${name}" must point to a user field, e.g. "/city"`);
+  }
+
+  const field = pointer.slice(1).replace(/~1/g, "/").replace(/~0/g, "~");
+  if (!EDITABLE_FIELDS.includes(field)) {
+    throw httpError(
+      400,
+      `Cannot patch "${field}". Allowed: ${EDITABLE_FIELDS.join(", ")}`
+    );
+  }
+  return field;
+};
+
+/**
+ * Apply RFC 6902 JSON Patch operations to a user's editable values. The
+ * operations are applied to a copy, so a failing operation changes nothing.
+ * A failed "test" operation is reported as 409 Conflict.
+ */
+const applyJsonPatch = (user, operations) => {
+  if (!Array.isArray(operations)) {
+    throw httpError(400, "JSON Patch must be an array of operations");
+  }
+
+  const values = editableValues(user);
+
+  operations.forEach((operation, index) => {
+    const label = `Operation ${index}`;
+    if (!isPlainObject(operation) || !JSON_PATCH_OPS.includes(operation.op)) {
+      throw httpError(
+        400,
+        `${label}: "op" must be one of ${JSON_PATCH_OPS.join(", ")}`
+      );
+    }
+
+    const { op } = operation;
+    const field = parsePointer(operation.path, "path");
+    const requireValue = () => {
+      if (!("value" in operation)) {
+        throw httpError(400, `${label}: "${op}" requires a "value"`);
+      }
+      return operation.value;
+    };
+    const requireExisting = (name) => {
+      if (values[name] === undefined) {
+        throw httpError(400, `${label}: "/${name}" does not exist`);
+      }
+      return values[name];
+    };
+
+    switch (op) {
+      case "add":
+        values[field] = requireValue();
+        break;
+      case "replace":
+        requireExisting(field);
+        values[field] = requireValue();
+        break;
+      case "remove":
+        requireExisting(field);
+        delete values[field];
+        break;
+      case "move":
+      case "copy": {
+        const from = parsePointer(operation.from, "from");
+        const value = requireExisting(from);
+        if (op === "move") {
+          delete values[from];
+        }
+        values[field] = value;
+        break;
+      }
+      case "test":
+        if (values[field] !== requireValue()) {
+          throw httpError(409, `${label}: test failed for "/${field}"`);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return normalizeValues(values, []);
+};
+
+/**
+ * Turn the new values of a user into an update that sets every present
+ * field and unsets the rest
+ */
+const toUserUpdate = (values) => {
+  const $set = {};
+  const $unset = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (values[field] !== undefined) {
+      $set[field] = values[field];
+    } else {
+      $unset[field] = "";
+    }
+  });
+  return Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+};
+
+module.exports = {
+  EDITABLE_FIELDS,
+  editableValues,
+  parseReplacement,
+  applyMergePatch,
+  applyJsonPatch,
+  toUserUpdate,
+};
@@ -0,0 +1,211 @@
+// Fields a client may select with ?fields=
+const USER_FIELDS = [
+  "_id",
+  "name",
+  "email",
+  "age",
+  "city",
+  "phone",
+  "createdAt",
+  "updatedAt",
+];
+
+// Fields backed by an index in models/User.js that may be used with ?sort=
+const SORT_FIELDS = ["createdAt", "updatedAt", "name", "email", "age", "city"];
+
+// Query parameters understood by buildUserFilter
+const FILTER_PARAMS = [
+  "search",
+  "city",
+  "cityContains",
+  "ageMin",
+  "ageMax",
+  "createdFrom",
+  "createdTo",
+  "updatedFrom",
+  "updatedTo",
+  "hasPhone",
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Reject query parameters that are not in the allowed list, and values that
+ * are not plain strings (e.g. ?city[$ne]=x, which would be parsed into an
+ * object and could inject operators)
+ */
+const assertKnownParams = (query, allowed) => {
+  const unknown = Object.keys(query).filter((key) => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown query parameter(s): ${unknown.join(", ")}. ` +
+        `Allowed: ${allowed.join(", ")}`
+    );
+  }
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (typeof value !== "string") {
+      throw new Error(`Query parameter "${key}" must be a single value`);
+    }
+  });
+};
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (value.trim() === "" || !Number.isFinite(number)) {
+    throw new Error(`Query parameter "${name}" must be a number`);
+  }
+  return number;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Query parameter "${name}" must be an ISO date`);
+  }
+  return date;
+};
+
+const parseBoolean = (value, name) => {
+  if (value !== "true" && value !== "false") {
+    throw new Error(`Query parameter "${name}" must be true or false`);
+  }
+  return value === "true";
+};
+
+/**
+ * Add a { $gte, $lte } range to the filter when either bound is present
+ */
+const addRange = (filter, field, min, max) => {
+  if (min === undefined && max === undefined) {
+    return;
+  }
+  filter[field] = {};
+  if (min !== undefined) filter[field].$gte = min;
+  if (max !== undefined) filter[field].$lte = max;
+};
+
+/**
+ * Build a Mongo filter for active (not deleted) users from query parameters.
+ * Empty values are ignored.
+ */
+const buildUserFilter = (query) => {
+  const params = {};
+  FILTER_PARAMS.forEach((key) => {
+    if (typeof query[key] === "string" && query[key].trim() !== "") {
+      params[key] = query[key].trim();
+    }
+  });
+
+  const filter = { deletedAt: null };
+
+  if (params.search) {
+    const pattern = new RegExp(escapeRegex(params.search), "i");
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  if (params.city && params.cityContains) {
+    throw new Error('Use either "city" or "cityContains", not both');
+  }
+  if (params.city) {
+    filter.city = new RegExp(`^${escapeRegex(params.city)}$`, "i");
+  }
+  if (params.cityContains) {
+    filter.city = new RegExp(escapeRegex(params.cityContains), "i");
+  }
+
+  const optional = (key, parse) =>
+    params[key] === undefined ? undefined : parse(params[key], key);
+
+  addRange(
+    filter,
+    "age",
+    optional("ageMin", parseNumber),
+    optional("ageMax", parseNumber)
+  );
+  addRange(
+    filter,
+    "createdAt",
+    optional("createdFrom", parseDate),
+    optional("createdTo", parseDate)
+  );
+  addRange(
+    filter,
+    "updatedAt",
+    optional("updatedFrom", parseDate),
+    optional("updatedTo", parseDate)
+  );
+
+  if (params.hasPhone !== undefined) {
+    filter.phone = parseBoolean(params.hasPhone, "hasPhone")
+      ? { $exists: true, $nin: [null, ""] }
+      : { $in: [null, ""] };
+  }
+
+  return filter;
+};
+
+/**
+ * Parse ?sort=field or ?sort=-field (descending). _id is appended as a
+ * tie-breaker so pages are stable.
+ */
+const parseSort = (value, defaultSort = { createdAt: -1 }) => {
+  if (!value) {
+    return { ...defaultSort, _id: -1 };
+  }
+
+  const descending = value.startsWith("-");
+  const field = descending ? value.slice(1) : value;
+
+  if (!SORT_FIELDS.includes(field)) {
+    throw new Error(
+      `Cannot sort by "${field}". Sortable fields: ${SORT_FIELDS.join(", ")}`
+    );
+  }
+
+  const direction = descending ? -1 : 1;
+  return { [field]: direction, _id: direction };
+};
+
+/**
+ * Parse ?fields=a,b,c into a list of selectable fields
+ */
+const parseFields = (value) => {
+  if (!value) {
+    return USER_FIELDS;
+  }
+
+  const selected = value
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+  const unknown = selected.filter((field) => !USER_FIELDS.includes(field));
+
+  if (unknown.length > 0 || selected.length === 0) {
+    throw new Error(
+      `Unknown field(s): ${unknown.join(", ") || "(none)"}. ` +
+        `Allowed: ${USER_FIELDS.join(", ")}`
+    );
+  }
+
+  return selected;
+};
+
+/**
+ * Turn a list of fields into a Mongoose projection string, excluding _id
+ * unless it was asked for
+ */
+const toProjection = (fields) =>
+  fields.includes("_id") ? fields.join(" ") : [...fields, "-_id"].join(" ");
+
+module.exports = {
+  USER_FIELDS,
+  SORT_FIELDS,
+  FILTER_PARAMS,
+  escapeRegex,
+  assertKnownParams,
+  buildUserFilter,
+  parseSort,
+  parseFields,
+  toProjection,
+};
@@ -0,0 +1,110 @@
+const User = require("../models/User");
+const { escapeRegex } = require("./userQuery");
+const { MAX_PREFIX_LENGTH, buildHighlights } = require("./searchText");
+
+const SEARCH_MODES = ["prefix", "text"];
+
+/**
+ * Filter for the active users a search matches: in prefix mode every term
+ * must start a word, in text mode the text index decides
+ */
+const searchFilter = (terms, mode = "prefix") =>
+  mode === "text"
+    ? { deletedAt: null, $text: { $search: terms.join(" ") } }
+    : {
+        deletedAt: null,
+        searchPrefixes: {
+          $all: terms.map((term) => term.slice(0, MAX_PREFIX_LENGTH)),
+        },
+      };
+
+/**
+ * Search-as-you-type: every term must be the start of a word in name, email
+ * or city. Matches are ranked by how many terms match a whole word, with a
+ * bonus when the name starts with the first term.
+ */
+const prefixSearch = async (terms, { skip, limit }) => {
+  const [result] = await User.aggregate([
+    { $match: searchFilter(terms, "prefix") },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            { $size: { $setIntersection: ["$searchTokens", terms] } },
+            {
+              $cond: [
+                {
+                  $regexMatch: {
+                    input: { $toLower: "$name" },
+                    regex: `^${escapeRegex(terms[0])}`,
+                  },
+                },
+                1,
+                0,
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $sort: { score: -1, createdAt: -1, _id: -1 } },
+    {
+      $facet: {
+        users: [
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { searchTokens: 0, searchPrefixes: 0 } },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return {
+    users: result.users,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+  };
+};
+
+/**
+ * Whole-word search on the text index, ranked by text score
+ */
+const textSearch = async (terms, { skip, limit }) => {
+  const filter = searchFilter(terms, "text");
+
+  const users = await User.find(filter, { score: { $meta: "textScore" } })
+    .sort({ score: { $meta: "textScore" }, createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const total = await User.countDocuments(filter);
+
+  return { users, total };
+};
+
+/**
+ * Run a ranked, paginated search and attach highlight ranges
+ * (field -> [[start, end], ...]) to each user
+ */
+const searchUsers = async (terms, { mode = "prefix", page, limit }) => {
+  const search = mode === "text" ? textSearch : prefixSearch;
+  const { users, total } = await search(terms, {
+    skip: (page - 1) * limit,
+    limit,
+  });
+
+  return {
+    users: users.map((user) => ({
+      ...user,
+      highlights: buildHighlights(user, terms),
+    })),
+    total,
+  };
+};
+
+module.exports = {
+  SEARCH_MODES,
+  searchFilter,
+  searchUsers,
+};
@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { gauge } = require("./metrics");
+const { logger } = require("./logger");
+
+const DEFAULT_BUFFER_SIZE = 500;
+const WATCH_RETRY_MS = 30000;
+
+// Stored only for search; never sent to clients
+const HIDDEN_FIELDS = ["searchTokens", "searchPrefixes"];
+// Updates that only touch these fields are not changes anyone can see
+const BOOKKEEPING_FIELDS = [...HIDDEN_FIELDS, "updatedAt", "__v"];
+
+// Event ids are "<process>-<sequence>"; an id from another process (a
+// restart, or another instance) can't be resumed from this buffer
+const PROCESS_ID = crypto.randomBytes(4).toString("hex");
+
+let sequence = 0;
+// Recent events, oldest first, for Last-Event-ID resume
+const buffer = [];
+const subscribers = new Set();
+
+let changeStream = null;
+let watching = false;
+let watchTimer = null;
+
+gauge({
+  name: "user_stream_clients",
+  help: "Clients connected to GET /api/users/stream",
+  collect: (metric) => metric.set({}, subscribers.size),
+});
+
+const bufferSize = () =>
+  parseInt(process.env.USER_STREAM_BUFFER_SIZE) || DEFAULT_BUFFER_SIZE;
+
+/**
+ * Plain JSON for a user document, without the hidden search fields
+ */
+const toPlainUser = (user) => {
+  const plain = JSON.parse(JSON.stringify(user));
+  HIDDEN_FIELDS.forEach((field) => delete plain[field]);
+  return plain;
+};
+
+/**
+ * Send a user change to every connected client and keep it for resumes
+ */
+const broadcast = (type, user) => {
+  const event = {
+    id: `${PROCESS_ID}-${++sequence}`,
+    type,
+    data: { type, user: toPlainUser(user), at: new Date().toISOString() },
+  };
+
+  buffer.push(event);
+  if (buffer.length > bufferSize()) {
+    buffer.splice(0, buffer.length - bufferSize());
+  }
+  subscribers.forEach((subscriber) => subscriber.onEvent(event));
+};
+
+/**
+ * Events after `lastEventId`, or null when they can't be replayed (the id
+ * is from another process or has already left the buffer)
+ */
+const eventsSince = (lastEventId) => {
+  const index = buffer.findIndex((event) => event.id === lastEventId);
+  return index === -1 ? null : buffer.slice(index + 1);
+};
+
+/**
+ * Listen for user changes. `onClose` is called when the server shuts down.
+ * Returns a function that stops listening.
+ */
+const subscribe = ({ onEvent, onClose }) => {
+  const subscriber = { onEvent, onClose };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * End every stream, so shutdown doesn't wait for them
+ */
+const closeUserStreams = () => {
+  subscribers.forEach((subscriber) => subscriber.onClose());
+  subscribers.clear();
+};
+
+/**
+ * Publish a change made by a write route. Skipped while a change stream is
+ * watching the collection, since it reports the same change (along with
+ * changes made by other instances).
+ */
+const publishUserChange = (type, user) => {
+  if (!watching) {
+    broadcast(type, user);
+  }
+};
+
+/**
+ * Event type for a change stream event, or null for changes clients can't
+ * see (search keys, users edited while in the trash)
+ */
+const changeType = (change) => {
+  switch (change.operationType) {
+    case "insert":
+      return "user.created";
+    case "delete":
+      return "user.purged";
+    case "update":
+    case "replace": {
+      if (!change.fullDocument) {
+        // Deleted before the lookup
+        return null;
+      }
+      const fields = change.updateDescription
+        ? Object.keys(change.updateDescription.updatedFields).concat(
+            change.updateDescription.removedFields
+          )
+        : [];
+      if (fields.includes("deletedAt")) {
+        return change.fullDocument.deletedAt ? "user.deleted" : "user.restored";
+      }
+      if (
+        change.fullDocument.deletedAt ||
+        (fields.length > 0 &&
+          fields.every((field) => BOOKKEEPING_FIELDS.includes(field)))
+      ) {
+        return null;
+      }
+      return "user.updated";
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Whether the connected deployment supports change streams (a replica set
+ * or a sharded cluster)
+ */
+const supportsChangeStreams = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === "isdbgrid";
+};
+
+/**
+ * Follow the users collection with a change stream when the deployment
+ * supports it, so every instance sees every write. On a standalone server
+ * the write routes publish instead. If the stream fails, the routes take
+ * over until watching succeeds again.
+ */
+const watchUserChanges = async () => {
+  watchTimer = null;
+  if (changeStream) {
+    return;
+  }
+
+  try {
+    if (!(await supportsChangeStreams())) {
+      logger.info(
+        "MongoDB is not a replica set; live user updates come from this instance's writes"
+      );
+      return;
+    }
+  } catch (error) {
+    logger.warn("Could not check for change stream support", { error });
+    return;
+  }
+
+  changeStream = User.watch([], { fullDocument: "updateLookup" });
+  changeStream.on("change", (change) => {
+    const type = changeType(change);
+    if (type) {
+      broadcast(type, change.fullDocument || change.documentKey);
+    }
+  });
+  changeStream.on("error", (error) => {
+    logger.error("User change stream failed; falling back to route events", {
+      error,
+    });
+    stopWatchingUserChanges();
+    watchTimer = setTimeout(watchUserChanges, WATCH_RETRY_MS);
+    watchTimer.unref();
+  });
+  watching = true;
+  logger.info("Watching the users collection for live updates");
+};
+
+/**
+ * Close the change stream (if any) and go back to route events
+ */
+const stopWatchingUserChanges = () => {
+  watching = false;
+  if (watchTimer) {
+    clearTimeout(watchTimer);
+    watchTimer = null;
+  }
+  if (changeStream) {
+    const stream = changeStream;
+    changeStream = null;
+    stream.close().catch(() => {});
+  }
+};
+
+module.exports = {
+  publishUserChange,
+  eventsSince,
+  subscribe,
+  closeUserStreams,
+  watchUserChanges,
+  stopWatchingUserChanges,
+};
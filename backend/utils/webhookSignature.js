@@ -0,0 +1,48 @@
+const crypto = require("crypto");
+
+// Receivers should reject deliveries signed longer ago than this, so a
+// captured request can't be replayed later
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Signature sent in X-Webhook-Signature: "sha256=" followed by the hex
+ * HMAC-SHA256 of "<timestamp>.<body>" keyed with the subscription secret.
+ * `timestamp` is the X-Webhook-Timestamp value, in Unix seconds.
+ */
+const signPayload = (secret, timestamp, body) =>
+  "sha256=" +
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+/**
+ * Check a delivery on the receiving side. `body` must be the raw request
+ * body, exactly as received.
+ */
+const verifySignature = (
+  secret,
+  { signature, timestamp, body },
+  { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS } = {}
+) => {
+  const sentAt = parseInt(timestamp);
+  if (
+    !signature ||
+    !Number.isFinite(sentAt) ||
+    Math.abs(Date.now() / 1000 - sentAt) > toleranceSeconds
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, sentAt, body));
+  const received = Buffer.from(String(signature));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+module.exports = {
+  signPayload,
+  verifySignature,
+};
@@ -0,0 +1,337 @@
+const crypto = require("crypto");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { backoffDelay } = require("./backoff");
+const { counter, histogram } = require("./metrics");
+const { signPayload } = require("./webhookSignature");
+const { logger } = require("./logger");
+const { version } = require("../package.json");
+
+const WEBHOOK_EVENTS =
+  WebhookSubscription.schema.path("events").caster.enumValues;
+
+const DEFAULTS = {
+  WEBHOOK_TIMEOUT_MS: 10000,
+  WEBHOOK_MAX_ATTEMPTS: 8,
+  WEBHOOK_RETRY_BASE_MS: 30000,
+  WEBHOOK_RETRY_MAX_MS: 60 * 60 * 1000,
+  WEBHOOK_POLL_INTERVAL_MS: 5000,
+  WEBHOOK_CONCURRENCY: 4,
+};
+
+// How much of a receiver's response is kept in the delivery log
+const RESPONSE_BODY_LIMIT = 1000;
+
+const webhookDeliveries = counter({
+  name: "webhook_delivery_attempts_total",
+  help: "Webhook delivery attempts, by event and outcome (succeeded, retrying, failed)",
+  labelNames: ["event", "outcome"],
+});
+
+const webhookDuration = histogram({
+  name: "webhook_delivery_duration_seconds",
+  help: "Time receivers took to answer webhook deliveries",
+  labelNames: ["event"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+});
+
+const readSetting = (name) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULTS[name];
+};
+
+/**
+ * A new random signing secret
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * The event envelope sent to receivers. `id` stays the same across retries
+ * and redeliveries.
+ */
+const buildEvent = (req, type, data) =>
+  // Stored as plain JSON so redeliveries send exactly the same body
+  JSON.parse(
+    JSON.stringify({
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      requestId: req ? req.id : undefined,
+      actor:
+        req && req.account
+          ? { id: req.account.id, email: req.account.email }
+          : undefined,
+      data,
+    })
+  );
+
+let pollTimer = null;
+let running = false;
+let runAgain = false;
+
+/**
+ * Claim the next due delivery. The claim pushes nextAttemptAt past the
+ * delivery timeout, so other instances skip it and a crash mid-delivery only
+ * delays it.
+ */
+const claimNextDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: now } },
+    {
+      $set: {
+        nextAttemptAt: new Date(
+          now.getTime() + readSetting("WEBHOOK_TIMEOUT_MS") + 30000
+        ),
+      },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * POST the payload to the receiver and describe what happened
+ */
+const send = async (subscription, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const timeoutMs = readSetting("WEBHOOK_TIMEOUT_MS");
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": `mern-backend-webhooks/${version}`,
+        "X-Webhook-Id": delivery.eventId,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(
+          subscription.secret,
+          timestamp,
+          body
+        ),
+      },
+      body,
+      // A redirect is a misconfigured URL, not a delivery
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const text = await response.text();
+    attempt.responseStatus = response.status;
+    attempt.responseBody = text.slice(0, RESPONSE_BODY_LIMIT);
+    if (!response.ok) {
+      attempt.error = `Receiver answered ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error =
+      error.name === "TimeoutError"
+        ? `No response within ${timeoutMs}ms`
+        : (error.cause && error.cause.message) || error.message;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  return attempt;
+};
+
+/**
+ * Make one delivery attempt and record it. Failures are retried with
+ * exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+ */
+const attemptDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(
+    delivery.subscription
+  ).select("+secret");
+
+  let attempt;
+  if (!subscription) {
+    attempt = { at: new Date(), error: "Subscription was deleted" };
+  } else if (!subscription.active) {
+    attempt = { at: new Date(), error: "Subscription is disabled" };
+  } else {
+    attempt = await send(subscription, delivery);
+    webhookDuration.observe(
+      { event: delivery.event },
+      attempt.durationMs / 1000
+    );
+  }
+
+  const attempts = delivery.attempts.length + 1;
+  let update;
+  if (!attempt.error) {
+    update = { status: "succeeded", nextAttemptAt: null };
+  } else if (subscription && attempts < readSetting("WEBHOOK_MAX_ATTEMPTS")) {
+    const delay = backoffDelay(attempts, {
+      base: readSetting("WEBHOOK_RETRY_BASE_MS"),
+      max: readSetting("WEBHOOK_RETRY_MAX_MS"),
+    });
+    update = {
+      status: "pending",
+      nextAttemptAt: new Date(Date.now() + delay),
+    };
+  } else {
+    update = { status: "failed", nextAttemptAt: null };
+  }
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    { $set: update, $push: { attempts: attempt } }
+  );
+
+  const outcome = update.status === "pending" ? "retrying" : update.status;
+  webhookDeliveries.inc({ event: delivery.event, outcome });
+  if (attempt.error) {
+    logger.warn("Webhook delivery failed", {
+      deliveryId: delivery._id.toString(),
+      subscriptionId: delivery.subscription.toString(),
+      event: delivery.event,
+      attempt: attempts,
+      error: attempt.error,
+      nextAttemptAt: update.nextAttemptAt,
+    });
+  }
+};
+
+/**
+ * Deliver everything that is due, WEBHOOK_CONCURRENCY at a time. Calls made
+ * while a run is in progress make it go round once more.
+ */
+const processDeliveries = async () => {
+  if (running) {
+    runAgain = true;
+    return;
+  }
+  running = true;
+
+  try {
+    do {
+      runAgain = false;
+      const worker = async () => {
+        let delivery;
+        while (pollTimer && (delivery = await claimNextDelivery())) {
+          await attemptDelivery(delivery);
+        }
+      };
+      await Promise.all(
+        Array.from({ length: readSetting("WEBHOOK_CONCURRENCY") }, worker)
+      );
+    } while (runAgain && pollTimer);
+  } catch (error) {
+    logger.error("Webhook delivery run failed", { error });
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Deliver new deliveries now rather than at the next poll
+ */
+const kickWorker = () => {
+  if (pollTimer) {
+    setImmediate(processDeliveries);
+  }
+};
+
+/**
+ * Queue an event for the given subscriptions
+ */
+const enqueue = async (event, subscriptionIds, extra = {}) => {
+  const deliveries = await WebhookDelivery.insertMany(
+    subscriptionIds.map((subscription) => ({
+      subscription,
+      eventId: event.id,
+      event: event.type,
+      payload: event,
+      nextAttemptAt: new Date(),
+      ...extra,
+    }))
+  );
+  kickWorker();
+  return deliveries;
+};
+
+/**
+ * Queue an event for every active subscription that wants it. Failures are
+ * logged rather than thrown so they never break the write that caused them.
+ */
+const queueWebhooks = async (req, type, data) => {
+  try {
+    const subscriptions = await WebhookSubscription.find(
+      { active: true, events: type },
+      { _id: 1 }
+    );
+    if (subscriptions.length === 0) {
+      return;
+    }
+
+    await enqueue(
+      buildEvent(req, type, data),
+      subscriptions.map(({ _id }) => _id)
+    );
+  } catch (error) {
+    logger.error("Failed to queue webhook event", { error, event: type });
+  }
+};
+
+/**
+ * Send a "ping" event to one subscription, to check the receiver
+ */
+const sendPing = async (req, subscription) => {
+  const event = buildEvent(req, "ping", {
+    subscriptionId: subscription._id,
+    url: subscription.url,
+    events: subscription.events,
+  });
+  const [delivery] = await enqueue(event, [subscription._id]);
+  return delivery;
+};
+
+/**
+ * Queue a delivery again as a new delivery with the same event id and body
+ */
+const redeliver = async (delivery) => {
+  const [copy] = await enqueue(delivery.payload, [delivery.subscription], {
+    redeliveryOf: delivery._id,
+  });
+  return copy;
+};
+
+/**
+ * Poll for due deliveries every WEBHOOK_POLL_INTERVAL_MS (and once now)
+ */
+const startWebhookWorker = () => {
+  if (pollTimer) {
+    return;
+  }
+  pollTimer = setInterval(
+    processDeliveries,
+    readSetting("WEBHOOK_POLL_INTERVAL_MS")
+  );
+  // Don't keep the process alive just for the worker
+  pollTimer.unref();
+  processDeliveries();
+};
+
+/**
+ * Stop polling. Attempts already running finish; deliveries they claimed
+ * are retried later if the process exits first.
+ */
+const stopWebhookWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  queueWebhooks,
+  sendPing,
+  redeliver,
+  startWebhookWorker,
+  stopWebhookWorker,
+};
@@ -1,27 +1,74 @@
 import React from "react";
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import { Container } from "react-bootstrap";
+import { AuthProvider } from "./context/AuthContext";
 import Navigation from "./components/Navigation";
+import ProtectedRoute from "./components/ProtectedRoute";
+import RateLimitNotice from "./components/RateLimitNotice";
+import Login from "./components/Login";
 import UserList from "./components/UserList";
 import AddUser from "./components/AddUser";
 import EditUser from "./components/EditUser";
+import Trash from "./components/Trash";
+import Status from "./components/Status";
 import "bootstrap/dist/css/bootstrap.min.css";
 import "./App.css";
 
 function App() {
   return (
-    <Router>
-      <div className="App">
-        <Navigation />
-        <Container className="mt-4">
-          <Routes>
-            <Route path="/" element={<UserList />} />
-            <Route path="/add" element={<AddUser />} />
-            <Route path="/edit/:id" element={<EditUser />} />
-          </Routes>
-        </Container>
-      </div>
-    </Router>
+    <AuthProvider>
+      <Router>
+        <div className="App">
+          <Navigation />
+          <Container className="mt-4">
+            <RateLimitNotice />
+            <Routes>
+              <Route path="/login" element={<Login />} />
+              <Route
+                path="/"
+                element={
+                  <ProtectedRoute>
+                    <UserList />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/add"
+                element={
+                  <ProtectedRoute>
+                    <AddUser />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/edit/:id"
+                element={
+                  <ProtectedRoute>
+                    <EditUser />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/trash"
+                element={
+                  <ProtectedRoute>
+                    <Trash />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/status"
+                element={
+                  <ProtectedRoute>
+                    <Status />
+                  </ProtectedRoute>
+                }
+              />
+            </Routes>
+          </Container>
+        </div>
+      </Router>
+    </AuthProvider>
   );
 }
 
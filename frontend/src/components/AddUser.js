@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useRef } from "react";
 import {
   Form,
   Button,
@@ -9,12 +9,17 @@ import {
   Col,
 } from "react-bootstrap";
 import { useNavigate, Link } from "react-router-dom";
-import { userAPI } from "../services/api";
+import { userAPI, newIdempotencyKey } from "../services/api";
+import { useAuth } from "../context/AuthContext";
 
 const AddUser = () => {
   const navigate = useNavigate();
+  const { can } = useAuth();
+  const canCreate = can("users:create");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  // Per-field messages from the API's validation errors
+  const [fieldErrors, setFieldErrors] = useState({});
   const [formData, setFormData] = useState({
     name: "",
     email: "",
@@ -22,19 +27,25 @@ const AddUser = () => {
     city: "",
     phone: "",
   });
+  // Kept while the form is unchanged, so submitting again after a failed
+  // network request can't create the user twice
+  const idempotencyKey = useRef(newIdempotencyKey());
 
   const handleChange = (e) => {
+    idempotencyKey.current = newIdempotencyKey();
     const { name, value } = e.target;
     setFormData((prevState) => ({
       ...prevState,
       [name]: value,
     }));
+    setFieldErrors((prevErrors) => ({ ...prevErrors, [name]: "" }));
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError("");
+    setFieldErrors({});
 
     try {
       // Convert age to number if provided
@@ -43,10 +54,11 @@ const AddUser = () => {
         age: formData.age ? parseInt(formData.age) : undefined,
       };
 
-      await userAPI.createUser(userData);
+      await userAPI.createUser(userData, idempotencyKey.current);
       navigate("/", { state: { message: "User created successfully!" } });
     } catch (err) {
       setError(err.response?.data?.error || "Failed to create user");
+      setFieldErrors(err.response?.data?.errors || {});
       console.error("Error creating user:", err);
     } finally {
       setLoading(false);
@@ -54,6 +66,7 @@ const AddUser = () => {
   };
 
   const handleReset = () => {
+    idempotencyKey.current = newIdempotencyKey();
     setFormData({
       name: "",
       email: "",
@@ -62,6 +75,7 @@ const AddUser = () => {
       phone: "",
     });
     setError("");
+    setFieldErrors({});
   };
 
   return (
@@ -74,6 +88,11 @@ const AddUser = () => {
             </Card.Header>
             <Card.Body>
               {error && <Alert variant="danger">{error}</Alert>}
+              {!canCreate && (
+                <Alert variant="warning">
+                  You do not have permission to add users.
+                </Alert>
+              )}
 
               <Form onSubmit={handleSubmit}>
                 <Form.Group className="mb-3">
@@ -81,6 +100,7 @@ const AddUser = () => {
                   <Form.Control
                     type="text"
                     name="name"
+                    isInvalid={!!fieldErrors.name}
                     value={formData.name}
                     onChange={handleChange}
                     required
@@ -88,6 +108,9 @@ const AddUser = () => {
                     minLength="2"
                     maxLength="50"
                   />
+                  <Form.Control.Feedback type="invalid">
+                    {fieldErrors.name}
+                  </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     Name should be between 2-50 characters
                   </Form.Text>
@@ -98,11 +121,15 @@ const AddUser = () => {
                   <Form.Control
                     type="email"
                     name="email"
+                    isInvalid={!!fieldErrors.email}
                     value={formData.email}
                     onChange={handleChange}
                     required
                     placeholder="Enter email address"
                   />
+                  <Form.Control.Feedback type="invalid">
+                    {fieldErrors.email}
+                  </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     Please enter a valid email address
                   </Form.Text>
@@ -113,12 +140,16 @@ const AddUser = () => {
                   <Form.Control
                     type="number"
                     name="age"
+                    isInvalid={!!fieldErrors.age}
                     value={formData.age}
                     onChange={handleChange}
                     min="1"
                     max="150"
                     placeholder="Enter age"
                   />
+                  <Form.Control.Feedback type="invalid">
+                    {fieldErrors.age}
+                  </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     Age should be between 1-150 years (optional)
                   </Form.Text>
@@ -129,11 +160,15 @@ const AddUser = () => {
                   <Form.Control
                     type="text"
                     name="city"
+                    isInvalid={!!fieldErrors.city}
                     value={formData.city}
                     onChange={handleChange}
                     placeholder="Enter city name"
                     maxLength="100"
                   />
+                  <Form.Control.Feedback type="invalid">
+                    {fieldErrors.city}
+                  </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     City name (optional)
                   </Form.Text>
@@ -144,11 +179,15 @@ const AddUser = () => {
                   <Form.Control
                     type="text"
                     name="phone"
+                    isInvalid={!!fieldErrors.phone}
                     value={formData.phone}
                     onChange={handleChange}
                     placeholder="Enter phone number"
                     pattern="[0-9\-\+\s\(\)]+"
                   />
+                  <Form.Control.Feedback type="invalid">
+                    {fieldErrors.phone}
+                  </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     Phone number with country code (optional)
                   </Form.Text>
@@ -158,7 +197,7 @@ const AddUser = () => {
                   <Button
                     variant="secondary"
                     onClick={handleReset}
-                    disabled={loading}
+                    disabled={loading || !canCreate}
                   >
                     Reset
                   </Button>
@@ -170,7 +209,11 @@ const AddUser = () => {
                   >
                     Cancel
                   </Button>
-                  <Button type="submit" variant="primary" disabled={loading}>
+                  <Button
+                    type="submit"
+                    variant="primary"
+                    disabled={loading || !canCreate}
+                  >
                     {loading ? "Creating..." : "Create User"}
                   </Button>
                 </div>
@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { Form, Button, InputGroup } from "react-bootstrap";
+
+/**
+ * Actions for the users selected in the list
+ */
+const BulkActionBar = ({
+  count,
+  busy,
+  canUpdate,
+  canDelete,
+  onSetCity,
+  onDelete,
+  onClear,
+}) => {
+  const [city, setCity] = useState("");
+
+  const handleSetCity = (e) => {
+    e.preventDefault();
+    onSetCity(city.trim());
+  };
+
+  return (
+    <div className="bulk-action-bar d-flex flex-wrap align-items-center gap-2 mb-3 p-2">
+      <strong className="me-2">{count} selected</strong>
+      {canUpdate && (
+        <Form onSubmit={handleSetCity}>
+          <InputGroup size="sm">
+            <Form.Control
+              type="text"
+              value={city}
+              onChange={(e) => setCity(e.target.value)}
+              placeholder="New city"
+              maxLength="100"
+              aria-label="New city"
+            />
+            <Button
+              type="submit"
+              variant="outline-primary"
+              disabled={busy || !city.trim()}
+            >
+              Set City
+            </Button>
+          </InputGroup>
+        </Form>
+      )}
+      {canDelete && (
+        <Button
+          variant="outline-danger"
+          size="sm"
+          onClick={onDelete}
+          disabled={busy}
+        >
+          Delete Selected
+        </Button>
+      )}
+      <Button
+        variant="link"
+        size="sm"
+        className="ms-auto"
+        onClick={onClear}
+        disabled={busy}
+      >
+        Clear selection
+      </Button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
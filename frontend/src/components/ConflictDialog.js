@@ -0,0 +1,70 @@
+import React from "react";
+import { Modal, Button, Table } from "react-bootstrap";
+
+const FIELDS = [
+  { name: "name", label: "Name" },
+  { name: "email", label: "Email" },
+  { name: "age", label: "Age" },
+  { name: "city", label: "City" },
+  { name: "phone", label: "Phone" },
+];
+
+/**
+ * Shown when saving a user fails because someone else changed it first.
+ * Lists the user's edits next to the current saved values so they can keep
+ * one or the other.
+ */
+const ConflictDialog = ({
+  show,
+  mine,
+  current,
+  onKeepMine,
+  onUseCurrent,
+  onCancel,
+}) => (
+  <Modal show={show} onHide={onCancel} size="lg" centered>
+    <Modal.Header closeButton>
+      <Modal.Title>This user was changed by someone else</Modal.Title>
+    </Modal.Header>
+    <Modal.Body>
+      <p>
+        Someone saved changes to this user after you opened it. Compare the
+        values below and choose which version to keep.
+      </p>
+      <Table bordered size="sm">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Your changes</th>
+            <th>Current</th>
+          </tr>
+        </thead>
+        <tbody>
+          {FIELDS.map(({ name, label }) => (
+            <tr
+              key={name}
+              className={mine[name] !== current[name] ? "table-warning" : ""}
+            >
+              <th>{label}</th>
+              <td>{mine[name] || <em className="text-muted">empty</em>}</td>
+              <td>{current[name] || <em className="text-muted">empty</em>}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    </Modal.Body>
+    <Modal.Footer>
+      <Button variant="outline-secondary" onClick={onCancel}>
+        Keep Editing
+      </Button>
+      <Button variant="secondary" onClick={onUseCurrent}>
+        Discard Mine, Load Current
+      </Button>
+      <Button variant="warning" onClick={onKeepMine}>
+        Overwrite with Mine
+      </Button>
+    </Modal.Footer>
+  </Modal>
+);
+
+export default ConflictDialog;
@@ -11,13 +11,28 @@ import {
 } from "react-bootstrap";
 import { useNavigate, useParams, Link } from "react-router-dom";
 import { userAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+import ConflictDialog from "./ConflictDialog";
+
+// Form values for a user returned by the API
+const toFormData = (user) => ({
+  name: user.name || "",
+  email: user.email || "",
+  age: user.age ? user.age.toString() : "",
+  city: user.city || "",
+  phone: user.phone || "",
+});
 
 const EditUser = () => {
   const navigate = useNavigate();
+  const { can } = useAuth();
+  const canUpdate = can("users:update");
   const { id } = useParams();
   const [loading, setLoading] = useState(false);
   const [fetchingUser, setFetchingUser] = useState(true);
   const [error, setError] = useState("");
+  // Per-field messages from the API's validation errors
+  const [fieldErrors, setFieldErrors] = useState({});
   const [formData, setFormData] = useState({
     name: "",
     email: "",
@@ -25,19 +40,17 @@ const EditUser = () => {
     city: "",
     phone: "",
   });
+  // ETag of the version being edited, sent back as If-Match on save
+  const [etag, setEtag] = useState(null);
+  // Set when a save hits a newer version: { current, etag }
+  const [conflict, setConflict] = useState(null);
 
   const fetchUser = useCallback(async () => {
     try {
       setFetchingUser(true);
       const response = await userAPI.getUserById(id);
-      const user = response.data;
-      setFormData({
-        name: user.name || "",
-        email: user.email || "",
-        age: user.age ? user.age.toString() : "",
-        city: user.city || "",
-        phone: user.phone || "",
-      });
+      setFormData(toFormData(response.data));
+      setEtag(response.headers.etag || null);
       setError("");
     } catch (err) {
       setError("Failed to fetch user details");
@@ -57,12 +70,13 @@ const EditUser = () => {
       ...prevState,
       [name]: value,
     }));
+    setFieldErrors((prevErrors) => ({ ...prevErrors, [name]: "" }));
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const saveUser = async (ifMatch) => {
     setLoading(true);
     setError("");
+    setFieldErrors({});
 
     try {
       // Convert age to number if provided
@@ -71,19 +85,45 @@ const EditUser = () => {
         age: formData.age ? parseInt(formData.age) : undefined,
       };
 
-      await userAPI.updateUser(id, userData);
+      await userAPI.updateUser(id, userData, ifMatch);
       navigate("/", { state: { message: "User updated successfully!" } });
     } catch (err) {
-      setError(err.response?.data?.error || "Failed to update user");
+      if (err.response?.status === 412) {
+        setConflict({
+          current: err.response.data.current,
+          etag: err.response.headers.etag,
+        });
+      } else {
+        setError(err.response?.data?.error || "Failed to update user");
+        setFieldErrors(err.response?.data?.errors || {});
+      }
       console.error("Error updating user:", err);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    saveUser(etag);
+  };
+
+  const handleKeepMine = () => {
+    setEtag(conflict.etag);
+    setConflict(null);
+    saveUser(conflict.etag);
+  };
+
+  const handleUseCurrent = () => {
+    setFormData(toFormData(conflict.current));
+    setEtag(conflict.etag);
+    setConflict(null);
+  };
+
   const handleReset = () => {
     fetchUser(); // Reset to original values
     setError("");
+    setFieldErrors({});
   };
 
   if (fetchingUser) {
@@ -113,6 +153,11 @@ const EditUser = () => {
             </Card.Header>
             <Card.Body>
               {error && <Alert variant="danger">{error}</Alert>}
+              {!canUpdate && (
+                <Alert variant="warning">
+                  You do not have permission to edit users.
+                </Alert>
+              )}
 
               <Form onSubmit={handleSubmit}>
                 <Form.Group className="mb-3">
@@ -120,6 +165,7 @@ const EditUser = () => {
                   <Form.Control
                     type="text"
                     name="name"
+                    isInvalid={!!fieldErrors.name}
                     value={formData.name}
                     onChange={handleChange}
                     required
@@ -127,6 +173,9 @@ const EditUser = () => {
                     minLength="2"
                     maxLength="50"
                   />
+                  <Form.Control.Feedback type="invalid">
+                    {fieldErrors.name}
+                  </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     Name should be between 2-50 characters
                   </Form.Text>
@@ -137,11 +186,15 @@ const EditUser = () => {
                   <Form.Control
                     type="email"
                     name="email"
+                    isInvalid={!!fieldErrors.email}
                     value={formData.email}
                     onChange={handleChange}
                     required
                     placeholder="Enter email address"
                   />
+                  <Form.Control.Feedback type="invalid">
+                    {fieldErrors.email}
+                  </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     Please enter a valid email address
                   </Form.Text>
@@ -152,12 +205,16 @@ const EditUser = () => {
                   <Form.Control
                     type="number"
                     name="age"
+                    isInvalid={!!fieldErrors.age}
                     value={formData.age}
                     onChange={handleChange}
                     min="1"
                     max="150"
                     placeholder="Enter age"
                   />
+                  <Form.Control.Feedback type="invalid">
+                    {fieldErrors.age}
+                  </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     Age should be between 1-150 years (optional)
                   </Form.Text>
@@ -168,11 +225,15 @@ const EditUser = () => {
                   <Form.Control
                     type="text"
                     name="city"
+                    isInvalid={!!fieldErrors.city}
                     value={formData.city}
                     onChange={handleChange}
                     placeholder="Enter city name"
                     maxLength="100"
                   />
+                  <Form.Control.Feedback type="invalid">
+                    {fieldErrors.city}
+                  </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     City name (optional)
                   </Form.Text>
@@ -183,11 +244,15 @@ const EditUser = () => {
                   <Form.Control
                     type="text"
                     name="phone"
+                    isInvalid={!!fieldErrors.phone}
                     value={formData.phone}
                     onChange={handleChange}
                     placeholder="Enter phone number"
                     pattern="[0-9\-\+\s\(\)]+"
                   />
+                  <Form.Control.Feedback type="invalid">
+                    {fieldErrors.phone}
+                  </Form.Control.Feedback>
                   <Form.Text className="text-muted">
                     Phone number with country code (optional)
                   </Form.Text>
@@ -197,7 +262,7 @@ const EditUser = () => {
                   <Button
                     variant="secondary"
                     onClick={handleReset}
-                    disabled={loading}
+                    disabled={loading || !canUpdate}
                   >
                     Reset
                   </Button>
@@ -209,7 +274,11 @@ const EditUser = () => {
                   >
                     Cancel
                   </Button>
-                  <Button type="submit" variant="warning" disabled={loading}>
+                  <Button
+                    type="submit"
+                    variant="warning"
+                    disabled={loading || !canUpdate}
+                  >
                     {loading ? "Updating..." : "Update User"}
                   </Button>
                 </div>
@@ -218,6 +287,17 @@ const EditUser = () => {
           </Card>
         </Col>
       </Row>
+
+      {conflict && (
+        <ConflictDialog
+          show
+          mine={formData}
+          current={toFormData(conflict.current)}
+          onKeepMine={handleKeepMine}
+          onUseCurrent={handleUseCurrent}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </Container>
   );
 };
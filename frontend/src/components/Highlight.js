@@ -0,0 +1,27 @@
+import React from "react";
+
+/**
+ * Render text with the given [start, end) ranges wrapped in <mark>
+ */
+const Highlight = ({ text, ranges }) => {
+  if (!text || !ranges || ranges.length === 0) {
+    return <>{text}</>;
+  }
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) {
+      parts.push(text.slice(position, start));
+    }
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < text.length) {
+    parts.push(text.slice(position));
+  }
+
+  return <>{parts}</>;
+};
+
+export default Highlight;
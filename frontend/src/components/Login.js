@@ -0,0 +1,160 @@
+import React, { useState } from "react";
+import {
+  Form,
+  Button,
+  Alert,
+  Card,
+  Container,
+  Row,
+  Col,
+} from "react-bootstrap";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+
+const Login = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isAuthenticated, login, register } = useAuth();
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [formData, setFormData] = useState({
+    name: "",
+    email: "",
+    password: "",
+  });
+
+  const redirectTo = location.state?.from?.pathname || "/";
+
+  if (isAuthenticated) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prevState) => ({
+      ...prevState,
+      [name]: value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError("");
+
+    try {
+      if (isRegistering) {
+        await register(formData.name, formData.email, formData.password);
+      } else {
+        await login(formData.email, formData.password);
+      }
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(
+        err.response?.data?.error ||
+          (isRegistering ? "Failed to create account" : "Failed to sign in")
+      );
+      console.error("Error authenticating:", err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setIsRegistering((prev) => !prev);
+    setError("");
+  };
+
+  return (
+    <Container>
+      <Row className="justify-content-center">
+        <Col md={8} lg={5}>
+          <Card>
+            <Card.Header className="bg-dark text-white">
+              <h3 className="mb-0">
+                {isRegistering ? "Create Account" : "Sign In"}
+              </h3>
+            </Card.Header>
+            <Card.Body>
+              {error && <Alert variant="danger">{error}</Alert>}
+
+              <Form onSubmit={handleSubmit}>
+                {isRegistering && (
+                  <Form.Group className="mb-3">
+                    <Form.Label>Name *</Form.Label>
+                    <Form.Control
+                      type="text"
+                      name="name"
+                      value={formData.name}
+                      onChange={handleChange}
+                      required
+                      placeholder="Enter full name"
+                      minLength="2"
+                      maxLength="50"
+                    />
+                  </Form.Group>
+                )}
+
+                <Form.Group className="mb-3">
+                  <Form.Label>Email *</Form.Label>
+                  <Form.Control
+                    type="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    required
+                    placeholder="Enter email address"
+                    autoComplete="username"
+                  />
+                </Form.Group>
+
+                <Form.Group className="mb-4">
+                  <Form.Label>Password *</Form.Label>
+                  <Form.Control
+                    type="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    required
+                    placeholder="Enter password"
+                    minLength={isRegistering ? "8" : undefined}
+                    autoComplete={
+                      isRegistering ? "new-password" : "current-password"
+                    }
+                  />
+                  {isRegistering && (
+                    <Form.Text className="text-muted">
+                      Password must be at least 8 characters
+                    </Form.Text>
+                  )}
+                </Form.Group>
+
+                <div className="d-grid gap-2">
+                  <Button type="submit" variant="primary" disabled={loading}>
+                    {loading
+                      ? "Please wait..."
+                      : isRegistering
+                      ? "Create Account"
+                      : "Sign In"}
+                  </Button>
+                  <Button
+                    variant="link"
+                    onClick={toggleMode}
+                    disabled={loading}
+                  >
+                    {isRegistering
+                      ? "Already have an account? Sign in"
+                      : "Need an account? Register"}
+                  </Button>
+                </div>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default Login;
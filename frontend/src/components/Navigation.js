@@ -1,8 +1,17 @@
 import React from "react";
-import { Navbar, Nav, Container } from "react-bootstrap";
-import { Link } from "react-router-dom";
+import { Navbar, Nav, Container, Button } from "react-bootstrap";
+import { Link, useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
 
 const Navigation = () => {
+  const navigate = useNavigate();
+  const { account, isAuthenticated, logout, can } = useAuth();
+
+  const handleLogout = async () => {
+    await logout();
+    navigate("/login");
+  };
+
   return (
     <Navbar bg="dark" variant="dark" expand="lg">
       <Container>
@@ -11,14 +20,40 @@ const Navigation = () => {
         </Navbar.Brand>
         <Navbar.Toggle aria-controls="basic-navbar-nav" />
         <Navbar.Collapse id="basic-navbar-nav">
-          <Nav className="me-auto">
-            <Nav.Link as={Link} to="/">
-              Users List
-            </Nav.Link>
-            <Nav.Link as={Link} to="/add">
-              Add User
-            </Nav.Link>
-          </Nav>
+          {isAuthenticated && (
+            <>
+              <Nav className="me-auto">
+                <Nav.Link as={Link} to="/">
+                  Users List
+                </Nav.Link>
+                {can("users:create") && (
+                  <Nav.Link as={Link} to="/add">
+                    Add User
+                  </Nav.Link>
+                )}
+                {can("users:delete") && (
+                  <Nav.Link as={Link} to="/trash">
+                    Trash
+                  </Nav.Link>
+                )}
+                <Nav.Link as={Link} to="/status">
+                  Status
+                </Nav.Link>
+              </Nav>
+              <Nav className="align-items-lg-center">
+                <Navbar.Text className="me-3">
+                  Signed in as {account.name} ({account.role})
+                </Navbar.Text>
+                <Button
+                  variant="outline-light"
+                  size="sm"
+                  onClick={handleLogout}
+                >
+                  Logout
+                </Button>
+              </Nav>
+            </>
+          )}
         </Navbar.Collapse>
       </Container>
     </Navbar>
@@ -0,0 +1,49 @@
+import React, { useEffect, useState } from "react";
+import { Alert } from "react-bootstrap";
+import { RATE_LIMITED_EVENT, slowDownMessage } from "../services/api";
+
+/**
+ * Banner shown when the API says we're sending too many requests. Counts
+ * down the Retry-After time and hides itself when it runs out.
+ */
+const RateLimitNotice = () => {
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  useEffect(() => {
+    const handleRateLimited = (event) => {
+      setSecondsLeft(event.detail?.retryAfter || 0);
+    };
+    window.addEventListener(RATE_LIMITED_EVENT, handleRateLimited);
+    return () =>
+      window.removeEventListener(RATE_LIMITED_EVENT, handleRateLimited);
+  }, []);
+
+  useEffect(() => {
+    if (secondsLeft === null) return;
+    // Without a Retry-After the notice stays until dismissed
+    if (secondsLeft === 0) return;
+
+    const timer = setTimeout(
+      () => setSecondsLeft(secondsLeft > 1 ? secondsLeft - 1 : null),
+      1000
+    );
+    return () => clearTimeout(timer);
+  }, [secondsLeft]);
+
+  if (secondsLeft === null) {
+    return null;
+  }
+
+  return (
+    <Alert
+      variant="warning"
+      dismissible
+      onClose={() => setSecondsLeft(null)}
+      className="rate-limit-notice"
+    >
+      <strong>Slow down!</strong> {slowDownMessage(secondsLeft)}
+    </Alert>
+  );
+};
+
+export default RateLimitNotice;
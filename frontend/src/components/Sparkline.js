@@ -0,0 +1,66 @@
+import React from "react";
+
+const WIDTH = 300;
+const HEIGHT = 60;
+const PADDING = 4;
+
+/**
+ * A small line chart of numbers (oldest first). Missing values (null)
+ * break the line.
+ */
+const Sparkline = ({ values, color = "#0d6efd", label }) => {
+  const known = values.filter((value) => value !== null);
+  if (known.length < 2) {
+    return <div className="text-muted small">Collecting data...</div>;
+  }
+
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  // A flat series is drawn in the middle
+  const range = max - min || 1;
+  const x = (index) =>
+    PADDING + (index / (values.length - 1)) * (WIDTH - 2 * PADDING);
+  const y = (value) =>
+    HEIGHT - PADDING - ((value - min) / range) * (HEIGHT - 2 * PADDING);
+
+  // One polyline per run of known values
+  const segments = [];
+  let points = [];
+  values.forEach((value, index) => {
+    if (value === null) {
+      if (points.length > 0) {
+        segments.push(points);
+        points = [];
+      }
+      return;
+    }
+    points.push(`${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+  });
+  if (points.length > 0) {
+    segments.push(points);
+  }
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      width="100%"
+      height={HEIGHT}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label={label}
+    >
+      {segments.map((segment, index) => (
+        <polyline
+          key={index}
+          points={segment.join(" ")}
+          fill="none"
+          stroke={color}
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+        />
+      ))}
+    </svg>
+  );
+};
+
+export default Sparkline;
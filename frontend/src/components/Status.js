@@ -0,0 +1,367 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Card,
+  Button,
+  Row,
+  Col,
+  Alert,
+  Spinner,
+  Badge,
+  ProgressBar,
+  Table,
+} from "react-bootstrap";
+import { healthAPI } from "../services/api";
+import Sparkline from "./Sparkline";
+
+const POLL_INTERVAL_MS = 10000;
+// Ten minutes of charts at the poll interval
+const MAX_POINTS = 60;
+// Latest incidents listed per history window
+const MAX_INCIDENTS = 3;
+
+const STATUS_VARIANTS = {
+  OK: "success",
+  DEGRADED: "warning",
+  ERROR: "danger",
+};
+
+const StatusBadge = ({ status }) => (
+  <Badge bg={STATUS_VARIANTS[status] || "secondary"}>
+    {status || "UNKNOWN"}
+  </Badge>
+);
+
+const usageVariant = (percent) =>
+  percent >= 90 ? "danger" : percent >= 75 ? "warning" : "success";
+
+const formatUptime = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+const formatDuration = (ms) =>
+  ms < 60000 ? `${Math.round(ms / 1000)}s` : formatUptime(ms / 1000);
+
+const orDash = (value, suffix = "") =>
+  value === null || value === undefined ? "—" : `${value}${suffix}`;
+
+const Status = () => {
+  const [dashboard, setDashboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [lastUpdated, setLastUpdated] = useState(null);
+  // Heap and database latency at each poll, oldest first
+  const [points, setPoints] = useState([]);
+
+  const addPoint = (point) =>
+    setPoints((previous) => [...previous, point].slice(-MAX_POINTS));
+
+  const fetchDashboard = useCallback(async () => {
+    try {
+      const response = await healthAPI.getDashboard();
+      const next = response.data.dashboard;
+      const database = next.checks.database;
+      setDashboard(next);
+      addPoint({
+        heapUsed: next.checks.metrics.memory.heapUsed,
+        dbMs: database && database.status === "OK" ? database.durationMs : null,
+      });
+      setLastUpdated(new Date());
+      setError("");
+    } catch (err) {
+      setError(
+        err.response?.data?.dashboard?.error ||
+          "Failed to reach the health endpoints"
+      );
+      // A gap in the charts shows when the server didn't answer
+      addPoint({ heapUsed: null, dbMs: null });
+      console.error("Error fetching health dashboard:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDashboard();
+    const timer = setInterval(fetchDashboard, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [fetchDashboard]);
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p>Loading system status...</p>
+      </div>
+    );
+  }
+
+  const header = (
+    <div className="d-flex justify-content-between align-items-center mb-4">
+      <h2>
+        System Status{" "}
+        {dashboard && <StatusBadge status={dashboard.overall_status} />}
+      </h2>
+      <div>
+        {lastUpdated && (
+          <small className="text-muted me-3">
+            Updated {lastUpdated.toLocaleTimeString()}
+          </small>
+        )}
+        <Button variant="outline-primary" size="sm" onClick={fetchDashboard}>
+          Refresh
+        </Button>
+      </div>
+    </div>
+  );
+
+  if (!dashboard) {
+    return (
+      <div>
+        {header}
+        <Alert variant="danger">{error}</Alert>
+      </div>
+    );
+  }
+
+  const { checks, history } = dashboard;
+  const database = checks.database || {};
+  const memory = checks.metrics.memory;
+  const heap = checks.detailed.checks.heap;
+  const heapLimitPercent = heap ? parseInt(heap.usage, 10) : null;
+  const failing = Object.entries(checks.detailed.checks).filter(
+    ([, result]) => result.status !== "OK"
+  );
+  const latestDbMs = points.length > 0 ? points[points.length - 1].dbMs : null;
+
+  return (
+    <div className="text-start">
+      {header}
+
+      {error && (
+        <Alert variant="danger">{error} - showing the last known status.</Alert>
+      )}
+
+      {failing.length > 0 && (
+        <Alert
+          variant={dashboard.overall_status === "ERROR" ? "danger" : "warning"}
+        >
+          <strong>Failing checks:</strong>{" "}
+          {failing
+            .map(([name, result]) =>
+              result.error ? `${name} (${result.error})` : name
+            )
+            .join(", ")}
+        </Alert>
+      )}
+
+      <Row>
+        <Col md={6} lg={4} className="mb-3">
+          <Card className="h-100">
+            <Card.Body>
+              <Card.Title>
+                Database <StatusBadge status={database.status} />
+              </Card.Title>
+              <Card.Text>
+                <strong>State:</strong> {orDash(database.state)}
+                <br />
+                <strong>Response time:</strong> {orDash(database.responseTime)}
+                <br />
+                <strong>Reconnects:</strong> {orDash(database.reconnects)}
+                {database.error && (
+                  <>
+                    <br />
+                    <small className="text-danger">{database.error}</small>
+                  </>
+                )}
+              </Card.Text>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={6} lg={4} className="mb-3">
+          <Card className="h-100">
+            <Card.Body>
+              <Card.Title>Memory</Card.Title>
+              <div className="mb-2">
+                <small>
+                  Heap {memory.heapUsed} / {memory.heapTotal} MB allocated
+                </small>
+                <ProgressBar
+                  now={memory.heapUsedPercentage}
+                  label={`${memory.heapUsedPercentage}%`}
+                  variant={usageVariant(memory.heapUsedPercentage)}
+                />
+              </div>
+              {heapLimitPercent !== null && (
+                <div className="mb-2">
+                  <small>
+                    Heap {heap.used} of {heap.limit} limit
+                  </small>
+                  <ProgressBar
+                    now={heapLimitPercent}
+                    label={heap.usage}
+                    variant={usageVariant(heapLimitPercent)}
+                  />
+                </div>
+              )}
+              <small className="text-muted">RSS {memory.rss} MB</small>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={12} lg={4} className="mb-3">
+          <Card className="h-100">
+            <Card.Body>
+              <Card.Title>Uptime</Card.Title>
+              <Card.Text>
+                <strong>Process:</strong> {formatUptime(checks.liveness.uptime)}
+                <br />
+                <strong>Readiness:</strong> {checks.readiness.status}
+                {history && (
+                  <>
+                    <br />
+                    <strong>Last 24h:</strong>{" "}
+                    {orDash(history.windows["24h"].uptimePercent, "%")}
+                  </>
+                )}
+              </Card.Text>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <Row>
+        <Col md={6} className="mb-3">
+          <Card className="h-100">
+            <Card.Body>
+              <Card.Title>Heap used</Card.Title>
+              <Sparkline
+                values={points.map((point) => point.heapUsed)}
+                label="Heap used over time"
+              />
+              <small className="text-muted">
+                Now {memory.heapUsed} MB · every {POLL_INTERVAL_MS / 1000}s
+              </small>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col md={6} className="mb-3">
+          <Card className="h-100">
+            <Card.Body>
+              <Card.Title>Database latency</Card.Title>
+              <Sparkline
+                values={points.map((point) => point.dbMs)}
+                color="#198754"
+                label="Database ping latency over time"
+              />
+              <small className="text-muted">
+                Now {orDash(latestDbMs, " ms")} · every{" "}
+                {POLL_INTERVAL_MS / 1000}s
+              </small>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <h4 className="mt-3">Checks</h4>
+      <Table responsive size="sm">
+        <thead>
+          <tr>
+            <th>Check</th>
+            <th>Critical</th>
+            <th>Status</th>
+            <th>Duration</th>
+            <th>Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(checks.detailed.checks).map(([name, result]) => (
+            <tr
+              key={name}
+              className={
+                result.status === "OK"
+                  ? ""
+                  : result.critical && result.status === "ERROR"
+                  ? "table-danger"
+                  : "table-warning"
+              }
+            >
+              <td>{name}</td>
+              <td>{result.critical ? "Yes" : "No"}</td>
+              <td>
+                <StatusBadge status={result.status} />
+              </td>
+              <td>
+                {result.durationMs} ms{result.cached && " (cached)"}
+              </td>
+              <td>
+                <small>{result.error || ""}</small>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+
+      {history && (
+        <>
+          <h4 className="mt-3">History</h4>
+          <Table responsive size="sm">
+            <thead>
+              <tr>
+                <th>Window</th>
+                <th>Uptime</th>
+                <th>Degraded</th>
+                <th>DB p50</th>
+                <th>DB p95</th>
+                <th>Incidents</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(history.windows).map(([name, summary]) => (
+                <tr key={name}>
+                  <td>{name}</td>
+                  <td>{orDash(summary.uptimePercent, "%")}</td>
+                  <td>{orDash(summary.degradedPercent, "%")}</td>
+                  <td>{orDash(summary.dbLatencyMs.p50, " ms")}</td>
+                  <td>{orDash(summary.dbLatencyMs.p95, " ms")}</td>
+                  <td>
+                    {summary.incidents
+                      .slice(-MAX_INCIDENTS)
+                      .reverse()
+                      .map((incident) => (
+                        <div key={incident.start}>
+                          <StatusBadge status={incident.status} />{" "}
+                          <small>
+                            {new Date(incident.start).toLocaleString()},{" "}
+                            {incident.end
+                              ? formatDuration(incident.durationMs)
+                              : "ongoing"}
+                            {incident.checks.length > 0 &&
+                              ` - ${incident.checks.join(", ")}`}
+                          </small>
+                        </div>
+                      ))}
+                    {summary.incidents.length > MAX_INCIDENTS && (
+                      <small className="text-muted">
+                        and {summary.incidents.length - MAX_INCIDENTS} earlier
+                      </small>
+                    )}
+                    {summary.incidents.length === 0 && "None"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Status;
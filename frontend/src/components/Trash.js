@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Card,
+  Button,
+  Row,
+  Col,
+  Alert,
+  Spinner,
+  Pagination,
+} from "react-bootstrap";
+import { userAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const Trash = () => {
+  const { can } = useAuth();
+  const canRestore = can("users:delete");
+  const canPurge = can("users:purge");
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalUsers, setTotalUsers] = useState(0);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const usersPerPage = 6;
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await userAPI.getTrash(currentPage, usersPerPage);
+      setUsers(response.data.users);
+      setTotalPages(response.data.totalPages);
+      setTotalUsers(response.data.totalUsers);
+      setRetentionDays(response.data.retentionDays);
+      setError("");
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to fetch deleted users");
+      console.error("Error fetching trash:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, usersPerPage]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(""), 3000);
+  };
+
+  const handleRestore = async (id) => {
+    try {
+      await userAPI.restoreUser(id);
+      showSuccess("User restored successfully!");
+      fetchTrash();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to restore user");
+      console.error("Error restoring user:", err);
+    }
+  };
+
+  const handlePurge = async (id, userName) => {
+    if (
+      window.confirm(`Permanently delete ${userName}? This cannot be undone.`)
+    ) {
+      try {
+        await userAPI.purgeUser(id);
+        showSuccess("User permanently deleted");
+        fetchTrash();
+      } catch (err) {
+        setError(err.response?.data?.error || "Failed to delete user");
+        console.error("Error purging user:", err);
+      }
+    }
+  };
+
+  const purgeDate = (deletedAt) =>
+    retentionDays === null
+      ? null
+      : new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p>Loading deleted users...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>Trash</h2>
+      </div>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+      {success && <Alert variant="success">{success}</Alert>}
+
+      <div className="mb-3">
+        <small className="text-muted">
+          {totalUsers} deleted user(s)
+          {retentionDays !== null &&
+            ` - permanently deleted after ${retentionDays} day(s)`}
+        </small>
+      </div>
+
+      {users.length === 0 ? (
+        <Alert variant="info">The trash is empty.</Alert>
+      ) : (
+        <Row>
+          {users.map((user) => (
+            <Col md={6} lg={4} key={user._id} className="mb-3">
+              <Card className="h-100 border-danger">
+                <Card.Body>
+                  <Card.Title>{user.name}</Card.Title>
+                  <Card.Text>
+                    <strong>Email:</strong> {user.email}
+                    <br />
+                    <strong>Deleted:</strong>{" "}
+                    {new Date(user.deletedAt).toLocaleString()}
+                    <br />
+                    {user.deletedBy && (
+                      <>
+                        <strong>Deleted by:</strong> {user.deletedBy.name}
+                        <br />
+                      </>
+                    )}
+                    {purgeDate(user.deletedAt) && (
+                      <small className="text-muted">
+                        Purged on:{" "}
+                        {purgeDate(user.deletedAt).toLocaleDateString()}
+                      </small>
+                    )}
+                  </Card.Text>
+                </Card.Body>
+                <Card.Footer className="bg-transparent">
+                  <div className="d-flex justify-content-between">
+                    {canRestore && (
+                      <Button
+                        variant="outline-success"
+                        size="sm"
+                        onClick={() => handleRestore(user._id)}
+                      >
+                        Restore
+                      </Button>
+                    )}
+                    {canPurge && (
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        className="ms-auto"
+                        onClick={() => handlePurge(user._id, user.name)}
+                      >
+                        Delete Forever
+                      </Button>
+                    )}
+                  </div>
+                </Card.Footer>
+              </Card>
+            </Col>
+          ))}
+        </Row>
+      )}
+
+      {totalPages > 1 && (
+        <div className="pagination-container">
+          <Pagination>
+            <Pagination.Prev
+              disabled={currentPage === 1}
+              onClick={() => setCurrentPage(currentPage - 1)}
+            />
+            <Pagination.Item active>
+              {currentPage} / {totalPages}
+            </Pagination.Item>
+            <Pagination.Next
+              disabled={currentPage === totalPages}
+              onClick={() => setCurrentPage(currentPage + 1)}
+            />
+          </Pagination>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { Form, Button, Row, Col } from "react-bootstrap";
+
+export const EMPTY_FILTERS = {
+  city: "",
+  ageMin: "",
+  ageMax: "",
+  sort: "",
+};
+
+const SORT_OPTIONS = [
+  { value: "", label: "Newest first" },
+  { value: "createdAt", label: "Oldest first" },
+  { value: "-updatedAt", label: "Recently updated" },
+  { value: "name", label: "Name (A-Z)" },
+  { value: "-name", label: "Name (Z-A)" },
+  { value: "age", label: "Age (youngest first)" },
+  { value: "-age", label: "Age (oldest first)" },
+  { value: "city", label: "City (A-Z)" },
+];
+
+const UserFilters = ({ filters, onApply }) => {
+  const [values, setValues] = useState(filters);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues((prevState) => ({
+      ...prevState,
+      [name]: value,
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(values);
+  };
+
+  const handleReset = () => {
+    setValues(EMPTY_FILTERS);
+    onApply(EMPTY_FILTERS);
+  };
+
+  return (
+    <Form onSubmit={handleSubmit} className="filter-panel mb-3">
+      <Row className="g-2 align-items-end">
+        <Col md={3}>
+          <Form.Label>City</Form.Label>
+          <Form.Control
+            type="text"
+            name="city"
+            value={values.city}
+            onChange={handleChange}
+            placeholder="Any city"
+            maxLength="100"
+          />
+        </Col>
+        <Col xs={6} md={2}>
+          <Form.Label>Min age</Form.Label>
+          <Form.Control
+            type="number"
+            name="ageMin"
+            value={values.ageMin}
+            onChange={handleChange}
+            min="1"
+            max="150"
+          />
+        </Col>
+        <Col xs={6} md={2}>
+          <Form.Label>Max age</Form.Label>
+          <Form.Control
+            type="number"
+            name="ageMax"
+            value={values.ageMax}
+            onChange={handleChange}
+            min="1"
+            max="150"
+          />
+        </Col>
+        <Col md={3}>
+          <Form.Label>Sort by</Form.Label>
+          <Form.Select name="sort" value={values.sort} onChange={handleChange}>
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </Form.Select>
+        </Col>
+        <Col md={2} className="d-flex gap-2">
+          <Button type="submit" variant="primary">
+            Apply
+          </Button>
+          <Button variant="outline-secondary" onClick={handleReset}>
+            Reset
+          </Button>
+        </Col>
+      </Row>
+    </Form>
+  );
+};
+
+export default UserFilters;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import {
   Card,
   Button,
@@ -9,90 +9,279 @@ import {
   Form,
   InputGroup,
   Pagination,
+  Dropdown,
+  DropdownButton,
 } from "react-bootstrap";
 import { Link } from "react-router-dom";
-import { userAPI } from "../services/api";
+import { userAPI, subscribeToUsers } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+import UserFilters, { EMPTY_FILTERS } from "./UserFilters";
+import Highlight from "./Highlight";
+import BulkActionBar from "./BulkActionBar";
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 300;
+
+// Drop empty filter values so they are not sent as query parameters
+const activeFilters = (filters) =>
+  Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== "")
+  );
 
 const UserList = () => {
+  const { can } = useAuth();
+  const canCreate = can("users:create");
+  const canUpdate = can("users:update");
+  const canDelete = can("users:delete");
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
   const [searchTerm, setSearchTerm] = useState("");
+  const [query, setQuery] = useState("");
   const [currentPage, setCurrentPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(1);
   const [totalUsers, setTotalUsers] = useState(0);
+  const [exporting, setExporting] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Ids of the users ticked on the current page
+  const [selected, setSelected] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  // Set when live updates report users this page can't show in place
+  const [newUsersAvailable, setNewUsersAvailable] = useState(false);
+  const canSelect = canUpdate || canDelete;
   const usersPerPage = 6;
+  // Counted here so live updates keep the pagination right
+  const totalPages = Math.ceil(totalUsers / usersPerPage);
 
   const fetchUsers = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await userAPI.getUsers(currentPage, usersPerPage);
+      const response = query
+        ? await userAPI.searchUsers(query, currentPage, usersPerPage)
+        : await userAPI.getUsers(
+            currentPage,
+            usersPerPage,
+            activeFilters(filters)
+          );
       setUsers(response.data.users);
-      setTotalPages(response.data.totalPages);
+      setSelected([]);
       setTotalUsers(response.data.totalUsers);
+      setNewUsersAvailable(false);
       setError("");
     } catch (err) {
-      setError("Failed to fetch users");
+      setError(
+        err.response?.data?.error ||
+          (query ? "Search failed" : "Failed to fetch users")
+      );
       console.error("Error fetching users:", err);
     } finally {
       setLoading(false);
     }
-  }, [currentPage, usersPerPage]);
+  }, [query, currentPage, usersPerPage, filters]);
 
-  const handleSearch = useCallback(async () => {
-    if (!searchTerm.trim()) {
-      fetchUsers();
-      return;
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  // New users belong at the top of the default (newest first) list; anywhere
+  // else we can't tell where they go
+  const showsNewestFirst =
+    currentPage === 1 &&
+    !query &&
+    Object.keys(activeFilters(filters)).length === 0;
+
+  const handleStreamEvent = (type, data) => {
+    const { user } = data;
+    const onPage = user && users.some(({ _id }) => _id === user._id);
+
+    switch (type) {
+      case "reset":
+        fetchUsers();
+        break;
+      case "user.created":
+        if (showsNewestFirst) {
+          setUsers((prevUsers) =>
+            prevUsers.some(({ _id }) => _id === user._id)
+              ? prevUsers
+              : [user, ...prevUsers].slice(0, usersPerPage)
+          );
+          setTotalUsers((prevTotal) => prevTotal + 1);
+        } else {
+          setNewUsersAvailable(true);
+        }
+        break;
+      case "user.updated":
+        if (onPage) {
+          setUsers((prevUsers) =>
+            prevUsers.map((prevUser) =>
+              prevUser._id === user._id ? user : prevUser
+            )
+          );
+        }
+        break;
+      case "user.deleted":
+      case "user.purged":
+        if (onPage) {
+          setUsers((prevUsers) =>
+            prevUsers.filter(({ _id }) => _id !== user._id)
+          );
+          setSelected((prevSelected) =>
+            prevSelected.filter((id) => id !== user._id)
+          );
+          setTotalUsers((prevTotal) => Math.max(0, prevTotal - 1));
+        }
+        break;
+      case "user.restored":
+        setNewUsersAvailable(true);
+        break;
+      default:
+        break;
     }
+  };
 
-    try {
-      setLoading(true);
-      const response = await userAPI.searchUsers(searchTerm);
-      setUsers(response.data);
-      setTotalPages(1);
+  // Subscribe once; the ref always points at the handler from the latest
+  // render, so it sees the current page, query and filters
+  const streamHandler = useRef(handleStreamEvent);
+  streamHandler.current = handleStreamEvent;
+
+  useEffect(
+    () => subscribeToUsers((type, data) => streamHandler.current(type, data)),
+    []
+  );
+
+  const showNewUsers = () => {
+    if (currentPage === 1) {
+      fetchUsers();
+    } else {
       setCurrentPage(1);
-      setError("");
-    } catch (err) {
-      setError("Search failed");
-      console.error("Error searching users:", err);
-    } finally {
-      setLoading(false);
     }
-  }, [searchTerm, fetchUsers]);
+  };
 
   useEffect(() => {
-    fetchUsers();
-  }, [fetchUsers]);
+    const next = searchTerm.trim();
+    if (next === query) return;
 
-  useEffect(() => {
-    if (searchTerm) {
-      handleSearch();
-    } else {
-      fetchUsers();
-    }
-  }, [searchTerm, handleSearch, fetchUsers]);
+    const timer = setTimeout(() => {
+      setQuery(next);
+      setCurrentPage(1);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm, query]);
 
   const handleDelete = async (id, userName) => {
-    if (window.confirm(`Are you sure you want to delete ${userName}?`)) {
+    if (window.confirm(`Move ${userName} to the trash?`)) {
       try {
         await userAPI.deleteUser(id);
-        setSuccess("User deleted successfully!");
+        setSuccess("User moved to trash. You can restore it from the Trash.");
         fetchUsers();
         setTimeout(() => setSuccess(""), 3000);
       } catch (err) {
-        setError("Failed to delete user");
+        setError(err.response?.data?.error || "Failed to delete user");
         console.error("Error deleting user:", err);
       }
     }
   };
 
+  const toggleSelected = (id) => {
+    setSelected((prevSelected) =>
+      prevSelected.includes(id)
+        ? prevSelected.filter((selectedId) => selectedId !== id)
+        : [...prevSelected, id]
+    );
+  };
+
+  // Run one operation per selected user and report how many went through
+  const runBulk = async (operations, verb) => {
+    try {
+      setBulkBusy(true);
+      const response = await userAPI.batchUsers(operations, "bestEffort");
+      const { summary, results } = response.data;
+
+      if (summary.failed > 0) {
+        const reasons = [
+          ...new Set(
+            results
+              .filter((result) => result.status === "failed")
+              .map((result) => result.error)
+          ),
+        ];
+        setError(
+          `${summary.failed} of ${
+            summary.total
+          } users could not be ${verb}: ${reasons.join("; ")}`
+        );
+      } else {
+        setError("");
+      }
+      if (summary.succeeded > 0) {
+        setSuccess(`${summary.succeeded} user(s) ${verb}.`);
+        setTimeout(() => setSuccess(""), 3000);
+      }
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.error || "Bulk action failed");
+      console.error("Error running bulk action:", err);
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const handleBulkSetCity = (city) =>
+    runBulk(
+      selected.map((id) => ({ op: "update", id, set: { city } })),
+      "updated"
+    );
+
+  const handleBulkDelete = () => {
+    if (window.confirm(`Move ${selected.length} user(s) to the trash?`)) {
+      runBulk(
+        selected.map((id) => ({ op: "delete", id })),
+        "moved to the trash"
+      );
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+      // Export what the list shows: a search ignores the filters
+      const response = await userAPI.exportUsers(
+        format,
+        query ? { q: query } : activeFilters(filters)
+      );
+
+      // Use the server's file name from Content-Disposition when available
+      const disposition = response.headers["content-disposition"] || "";
+      const match = disposition.match(/filename="?([^"]+)"?/);
+      const fileName = match ? match[1] : `users.${format}`;
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError("Failed to export users");
+      console.error("Error exporting users:", err);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleApplyFilters = (values) => {
+    setFilters(values);
+    setCurrentPage(1);
+  };
+
   const handlePageChange = (pageNumber) => {
     setCurrentPage(pageNumber);
   };
 
   const renderPagination = () => {
-    if (totalPages <= 1 || searchTerm) return null;
+    if (totalPages <= 1) return null;
 
     let items = [];
     const maxVisiblePages = 5;
@@ -141,34 +330,55 @@ const UserList = () => {
     );
   };
 
-  if (loading) {
-    return (
-      <div className="loading">
-        <Spinner animation="border" role="status">
-          <span className="visually-hidden">Loading...</span>
-        </Spinner>
-        <p>Loading users...</p>
-      </div>
-    );
-  }
-
   return (
     <div>
       <div className="d-flex justify-content-between align-items-center mb-4">
         <h2>Users Management</h2>
-        <Button as={Link} to="/add" variant="primary">
-          Add New User
-        </Button>
+        <div className="d-flex gap-2">
+          <DropdownButton
+            title={exporting ? "Exporting..." : "Export"}
+            variant="outline-secondary"
+            disabled={exporting}
+            onSelect={handleExport}
+          >
+            <Dropdown.Item eventKey="csv">CSV</Dropdown.Item>
+            <Dropdown.Item eventKey="json">JSON</Dropdown.Item>
+            <Dropdown.Item eventKey="ndjson">NDJSON</Dropdown.Item>
+          </DropdownButton>
+          {canCreate && (
+            <Button as={Link} to="/add" variant="primary">
+              Add New User
+            </Button>
+          )}
+        </div>
       </div>
 
       {error && <Alert variant="danger">{error}</Alert>}
       {success && <Alert variant="success">{success}</Alert>}
+      {newUsersAvailable && (
+        <Alert
+          variant="info"
+          dismissible
+          onClose={() => setNewUsersAvailable(false)}
+          className="d-flex align-items-center"
+        >
+          New users available.
+          <Button
+            variant="link"
+            size="sm"
+            className="ms-2 p-0 align-baseline"
+            onClick={showNewUsers}
+          >
+            Show them
+          </Button>
+        </Alert>
+      )}
 
       <div className="search-box">
         <InputGroup>
           <Form.Control
             type="text"
-            placeholder="Search users by name or email..."
+            placeholder="Search users by name, email or city..."
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
           />
@@ -182,29 +392,74 @@ const UserList = () => {
         </InputGroup>
       </div>
 
+      {!query && <UserFilters filters={filters} onApply={handleApplyFilters} />}
+
       <div className="mb-3">
         <small className="text-muted">
-          {searchTerm
-            ? `Found ${users.length} user(s) matching "${searchTerm}"`
+          {query
+            ? `Found ${totalUsers} user(s) matching "${query}"`
             : `Showing ${users.length} of ${totalUsers} users`}
         </small>
       </div>
 
-      {users.length === 0 ? (
+      {selected.length > 0 && (
+        <BulkActionBar
+          count={selected.length}
+          busy={bulkBusy}
+          canUpdate={canUpdate}
+          canDelete={canDelete}
+          onSetCity={handleBulkSetCity}
+          onDelete={handleBulkDelete}
+          onClear={() => setSelected([])}
+        />
+      )}
+
+      {loading ? (
+        <div className="loading">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </Spinner>
+          <p>Loading users...</p>
+        </div>
+      ) : users.length === 0 ? (
         <Alert variant="info">
-          {searchTerm
+          {query
             ? "No users found matching your search."
-            : "No users found. Add your first user!"}
+            : canCreate
+            ? "No users found. Add your first user!"
+            : "No users found."}
         </Alert>
       ) : (
         <Row>
           {users.map((user) => (
             <Col md={6} lg={4} key={user._id} className="mb-3">
-              <Card className="h-100">
+              <Card
+                className={`h-100${
+                  selected.includes(user._id) ? " border-primary" : ""
+                }`}
+              >
                 <Card.Body>
-                  <Card.Title>{user.name}</Card.Title>
+                  {canSelect && (
+                    <Form.Check
+                      type="checkbox"
+                      className="float-end"
+                      checked={selected.includes(user._id)}
+                      onChange={() => toggleSelected(user._id)}
+                      aria-label={`Select ${user.name}`}
+                    />
+                  )}
+                  <Card.Title>
+                    <Highlight
+                      text={user.name}
+                      ranges={user.highlights?.name}
+                    />
+                  </Card.Title>
                   <Card.Text>
-                    <strong>Email:</strong> {user.email}
+                    <strong>Email:</strong>{" "}
+                    <Highlight
+                      text={user.email}
+                      ranges={user.highlights?.email}
+                    />
                     <br />
                     {user.age && (
                       <>
@@ -214,7 +469,11 @@ const UserList = () => {
                     )}
                     {user.city && (
                       <>
-                        <strong>City:</strong> {user.city}
+                        <strong>City:</strong>{" "}
+                        <Highlight
+                          text={user.city}
+                          ranges={user.highlights?.city}
+                        />
                         <br />
                       </>
                     )}
@@ -229,25 +488,32 @@ const UserList = () => {
                     </small>
                   </Card.Text>
                 </Card.Body>
-                <Card.Footer className="bg-transparent">
-                  <div className="d-flex justify-content-between">
-                    <Button
-                      as={Link}
-                      to={`/edit/${user._id}`}
-                      variant="outline-primary"
-                      size="sm"
-                    >
-                      Edit
-                    </Button>
-                    <Button
-                      variant="outline-danger"
-                      size="sm"
-                      onClick={() => handleDelete(user._id, user.name)}
-                    >
-                      Delete
-                    </Button>
-                  </div>
-                </Card.Footer>
+                {(canUpdate || canDelete) && (
+                  <Card.Footer className="bg-transparent">
+                    <div className="d-flex justify-content-between">
+                      {canUpdate && (
+                        <Button
+                          as={Link}
+                          to={`/edit/${user._id}`}
+                          variant="outline-primary"
+                          size="sm"
+                        >
+                          Edit
+                        </Button>
+                      )}
+                      {canDelete && (
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          className="ms-auto"
+                          onClick={() => handleDelete(user._id, user.name)}
+                        >
+                          Delete
+                        </Button>
+                      )}
+                    </div>
+                  </Card.Footer>
+                )}
               </Card>
             </Col>
           ))}
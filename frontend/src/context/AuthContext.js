@@ -0,0 +1,77 @@
+import React, { createContext, useContext, useEffect, useState } from "react";
+import { authAPI, tokenStorage, SESSION_EXPIRED_EVENT } from "../services/api";
+
+const AuthContext = createContext(null);
+
+export const AuthProvider = ({ children }) => {
+  const [account, setAccount] = useState(() => tokenStorage.getAccount());
+
+  useEffect(() => {
+    // The API layer clears the stored session when a refresh fails
+    const handleExpired = () => setAccount(null);
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+    return () =>
+      window.removeEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  useEffect(() => {
+    // Pick up role changes made since the profile was stored
+    if (!tokenStorage.getAccessToken()) return;
+    authAPI
+      .me()
+      .then((response) => {
+        tokenStorage.setAccount(response.data);
+        setAccount(response.data);
+      })
+      .catch((err) => console.error("Error loading account:", err));
+  }, []);
+
+  const startSession = (data) => {
+    tokenStorage.setSession(data);
+    setAccount(data.account);
+  };
+
+  const login = async (email, password) => {
+    const response = await authAPI.login(email, password);
+    startSession(response.data);
+  };
+
+  const register = async (name, email, password) => {
+    const response = await authAPI.register({ name, email, password });
+    startSession(response.data);
+  };
+
+  const logout = async () => {
+    const refreshToken = tokenStorage.getRefreshToken();
+    try {
+      if (refreshToken) {
+        await authAPI.logout(refreshToken);
+      }
+    } catch (err) {
+      console.error("Error logging out:", err);
+    } finally {
+      tokenStorage.clear();
+      setAccount(null);
+    }
+  };
+
+  const can = (permission) =>
+    Boolean(account?.permissions?.includes(permission));
+
+  return (
+    <AuthContext.Provider
+      value={{
+        account,
+        isAuthenticated: Boolean(account),
+        login,
+        register,
+        logout,
+        can,
+      }}
+    >
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = () => useContext(AuthContext);
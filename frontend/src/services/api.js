@@ -10,11 +10,92 @@ const api = axios.create({
   },
 });
 
+const ACCESS_TOKEN_KEY = "accessToken";
+const REFRESH_TOKEN_KEY = "refreshToken";
+const ACCOUNT_KEY = "account";
+
+// Persisted session (tokens and the signed-in account profile)
+export const tokenStorage = {
+  getAccessToken: () => localStorage.getItem(ACCESS_TOKEN_KEY),
+  getRefreshToken: () => localStorage.getItem(REFRESH_TOKEN_KEY),
+  getAccount: () => {
+    const account = localStorage.getItem(ACCOUNT_KEY);
+    return account ? JSON.parse(account) : null;
+  },
+  setAccount: (account) => {
+    localStorage.setItem(ACCOUNT_KEY, JSON.stringify(account));
+  },
+  setSession: ({ accessToken, refreshToken, account }) => {
+    localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    if (account) {
+      localStorage.setItem(ACCOUNT_KEY, JSON.stringify(account));
+    }
+  },
+  clear: () => {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem(ACCOUNT_KEY);
+  },
+};
+
+// Event fired when the session can no longer be refreshed
+export const SESSION_EXPIRED_EVENT = "auth:session-expired";
+
+// Event fired when the API answers 429; detail.retryAfter is in seconds
+export const RATE_LIMITED_EVENT = "api:rate-limited";
+
+/**
+ * Friendly message for a 429 response
+ */
+export const slowDownMessage = (retryAfter) =>
+  retryAfter > 0
+    ? `You're going a little fast. Please wait ${retryAfter} second${
+        retryAfter === 1 ? "" : "s"
+      } and try again.`
+    : "You're going a little fast. Please wait a moment and try again.";
+
+/**
+ * A new Idempotency-Key. Creates send one so a retried request is handled
+ * once: the server replays the first response instead of creating twice.
+ */
+export const newIdempotencyKey = () =>
+  window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : // randomUUID needs a secure context (https or localhost)
+      Array.from(window.crypto.getRandomValues(new Uint8Array(16)), (byte) =>
+        byte.toString(16).padStart(2, "0")
+      ).join("");
+
+// Auth API endpoints
+export const authAPI = {
+  // Create a new account
+  register: (data) => {
+    return api.post("/auth/register", data);
+  },
+
+  // Exchange credentials for tokens
+  login: (email, password) => {
+    return api.post("/auth/login", { email, password });
+  },
+
+  // Revoke the current refresh token
+  logout: (refreshToken) => {
+    return api.post("/auth/logout", { refreshToken });
+  },
+
+  // Get the signed-in account
+  me: () => {
+    return api.get("/auth/me");
+  },
+};
+
 // User API endpoints
 export const userAPI = {
-  // Get all users with pagination
-  getUsers: (page = 1, limit = 10) => {
-    return api.get(`/users?page=${page}&limit=${limit}`);
+  // Get all users with pagination, filters (city, ageMin, ageMax, ...)
+  // and sorting (sort=field or sort=-field)
+  getUsers: (page = 1, limit = 10, filters = {}) => {
+    return api.get("/users", { params: { page, limit, ...filters } });
   },
 
   // Get a single user by ID
@@ -22,30 +103,79 @@ export const userAPI = {
     return api.get(`/users/${id}`);
   },
 
-  // Create a new user
-  createUser: (userData) => {
-    return api.post("/users", userData);
+  // Create a new user. Pass the same idempotencyKey when retrying a create
+  // that may have gone through, to get its response instead of a duplicate.
+  createUser: (userData, idempotencyKey = newIdempotencyKey()) => {
+    return api.post("/users", userData, {
+      headers: { "Idempotency-Key": idempotencyKey },
+    });
+  },
+
+  // Update an existing user. Pass the ETag from getUserById to get a 412
+  // instead of overwriting someone else's changes.
+  updateUser: (id, userData, etag) => {
+    return api.put(`/users/${id}`, userData, {
+      headers: etag ? { "If-Match": etag } : {},
+    });
+  },
+
+  // Delete a user (moves it to the trash)
+  deleteUser: (id, etag) => {
+    return api.delete(`/users/${id}`, {
+      headers: etag ? { "If-Match": etag } : {},
+    });
+  },
+
+  // Get deleted users with pagination
+  getTrash: (page = 1, limit = 10) => {
+    return api.get(`/users/trash?page=${page}&limit=${limit}`);
   },
 
-  // Update an existing user
-  updateUser: (id, userData) => {
-    return api.put(`/users/${id}`, userData);
+  // Restore a deleted user
+  restoreUser: (id) => {
+    return api.post(`/users/${id}/restore`);
   },
 
-  // Delete a user
-  deleteUser: (id) => {
-    return api.delete(`/users/${id}`);
+  // Permanently delete a user from the trash
+  purgeUser: (id) => {
+    return api.delete(`/users/trash/${id}`);
   },
 
-  // Search users
-  searchUsers: (query) => {
-    return api.get(`/users/search/${encodeURIComponent(query)}`);
+  // Update or delete several users at once. operations:
+  // [{ op: "update", id, set: { city } }, { op: "delete", id }, ...]
+  batchUsers: (
+    operations,
+    mode = "atomic",
+    idempotencyKey = newIdempotencyKey()
+  ) => {
+    return api.post(
+      "/users/batch",
+      { mode, operations },
+      { headers: { "Idempotency-Key": idempotencyKey } }
+    );
+  },
+
+  // Search users by name, email or city (ranked, with highlight ranges)
+  searchUsers: (query, page = 1, limit = 10) => {
+    return api.get("/users/search", { params: { q: query, page, limit } });
+  },
+
+  // Download users as a file (format: csv, json or ndjson)
+  exportUsers: (format = "csv", filters = {}) => {
+    return api.get("/users/export", {
+      params: { format, ...filters },
+      responseType: "blob",
+    });
   },
 };
 
-// Add request interceptor for error handling
+// Add request interceptor to attach the access token
 api.interceptors.request.use(
   (config) => {
+    const token = tokenStorage.getAccessToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -53,15 +183,194 @@ api.interceptors.request.use(
   }
 );
 
-// Add response interceptor for error handling
+// Shared so concurrent 401s wait on a single refresh request
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = tokenStorage.getRefreshToken();
+    refreshPromise = (
+      refreshToken
+        ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+        : Promise.reject(new Error("No refresh token"))
+    )
+      .then((response) => {
+        tokenStorage.setSession(response.data);
+        return response.data.accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Forget the session; AuthContext sends the user back to the login page
+const expireSession = () => {
+  tokenStorage.clear();
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+};
+
+// Add response interceptor for error handling and token refresh
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    console.error("API Error:", error.response?.data || error.message);
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthCall = /^\/auth\/(login|register|refresh|logout)/.test(
+      originalRequest?.url || ""
+    );
+
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !isAuthCall
+    ) {
+      originalRequest._retry = true;
+      try {
+        const accessToken = await refreshSession();
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // A rate-limited refresh doesn't mean the session is gone
+        if (refreshError.response?.status !== 429) {
+          expireSession();
+        }
+      }
+    }
+
+    if (error.response?.status === 429) {
+      const retryAfter =
+        parseInt(error.response.headers["retry-after"]) ||
+        error.response.data?.retryAfter ||
+        0;
+      // Components show data.error, so they get the friendly text too
+      if (error.response.data && typeof error.response.data === "object") {
+        error.response.data.error = slowDownMessage(retryAfter);
+      }
+      window.dispatchEvent(
+        new CustomEvent(RATE_LIMITED_EVENT, { detail: { retryAfter } })
+      );
+    }
+
+    // The request id matches the server's log lines for this request
+    console.error("API Error:", error.response?.data || error.message, {
+      requestId: error.response?.headers["x-request-id"],
+    });
     return Promise.reject(error);
   }
 );
 
+// Wait before reconnecting, unless the server sends its own "retry:"
+const STREAM_RETRY_MS = 5000;
+
+/**
+ * Follow live user changes from GET /users/stream. Calls onEvent(type, data)
+ * for each event ("user.created", "user.updated", ... or "reset" when the
+ * missed events are gone and the list should be reloaded). Reconnects with
+ * Last-Event-ID after a dropped connection. Returns a function that stops
+ * listening.
+ *
+ * Uses fetch because EventSource can't send the Authorization header.
+ */
+export const subscribeToUsers = (onEvent) => {
+  const controller = new AbortController();
+  let lastEventId = null;
+  let retryMs = STREAM_RETRY_MS;
+
+  const dispatch = (block) => {
+    let type = "message";
+    const data = [];
+    block.split("\n").forEach((line) => {
+      if (!line || line.startsWith(":")) return;
+      const colon = line.indexOf(":");
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+      if (field === "event") type = value;
+      if (field === "data") data.push(value);
+      if (field === "id") lastEventId = value;
+      if (field === "retry" && /^\d+$/.test(value)) retryMs = Number(value);
+    });
+    if (data.length > 0) {
+      onEvent(type, JSON.parse(data.join("\n")));
+    }
+  };
+
+  // Resolves false when the session is gone and the stream should stop
+  const connect = async (refreshed = false) => {
+    const token = tokenStorage.getAccessToken();
+    const response = await fetch(`${API_BASE_URL}/users/stream`, {
+      headers: {
+        Accept: "text/event-stream",
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(lastEventId && { "Last-Event-ID": lastEventId }),
+      },
+      signal: controller.signal,
+    });
+    if (response.status === 401) {
+      try {
+        if (refreshed) {
+          throw new Error("User stream refused the refreshed token");
+        }
+        await refreshSession();
+      } catch (error) {
+        // A rate-limited refresh doesn't mean the session is gone
+        if (error.response?.status === 429) {
+          throw error;
+        }
+        expireSession();
+        return false;
+      }
+      return connect(true);
+    }
+    if (!response.ok) {
+      throw new Error(`User stream answered ${response.status}`);
+    }
+
+    const reader = response.body
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+    let buffered = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return true;
+      buffered += value.replace(/\r\n?/g, "\n");
+      let end;
+      while ((end = buffered.indexOf("\n\n")) !== -1) {
+        dispatch(buffered.slice(0, end));
+        buffered = buffered.slice(end + 2);
+      }
+    }
+  };
+
+  const run = async () => {
+    while (!controller.signal.aborted) {
+      try {
+        if (!(await connect())) return;
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error("User stream error:", error.message);
+      }
+      const delay = retryMs;
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  };
+
+  run();
+  return () => controller.abort();
+};
+
+// Health endpoints are served by the backend next to /api, not under it
+const HEALTH_BASE_URL = API_BASE_URL.replace(/\/api\/?$/, "");
+
+// Health API endpoints (public, so they skip the session handling above)
+export const healthAPI = {
+  // Every health check, system metrics and uptime history in one response
+  getDashboard: () => {
+    return axios.get(`${HEALTH_BASE_URL}/health/dashboard`);
+  },
+};
+
 export default api;